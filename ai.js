@@ -1,3 +1,112 @@
+import {
+  DERIVED_INPUTS,
+  DERIVED_KEYS,
+  DERIVED_METRICS,
+  MOLD_RISK,
+  baselineZ,
+  changeOver,
+  dailyMoldRisk,
+  jstDayStart,
+  lightSessions,
+  pressureTendency,
+  seaLevelPressure,
+  weeklyMoldRisk,
+  withDerived,
+  zambretti,
+} from "./metrics.js";
+import { offlineLimits } from "./deviceConfig.js";
+
+/* =========================
+   Alert thresholds (defaults)
+   - spike = single-step (one sample interval, 10s unless configured)
+   - slow5m = total change over last ~5 minutes
+   - slow10m = total change over last ~10 minutes
+   - min / max = absolute band; alert when outside it for minDurationMin,
+     clear only after coming back by `hysteresis` (avoids flapping at the edge)
+   - drop3h = fall over the last 3 hours (needs devices[].history, e.g. the
+     10-min rollups; for pressure this is the "weather is turning" warning)
+   - baselineZ = robust z-score vs the device's learned hour-of-day profile
+     (needs devices[].baselines, see metrics.js learnBaseline); off for pressure,
+     which follows the weather rather than the time of day
+   Profiles from Firestore (alert_profiles/default, alert_profiles/{deviceId})
+   override these per metric/field; a missing field inherits.
+   Derived metrics (metrics.js) take the same fields; only WBGT and the
+   discomfort index have a default band, the rest are opt-in via profiles.
+========================= */
+export const THRESHOLD_METRICS = ["Temperature", "Humidity", "Pressure", "Light", ...DERIVED_KEYS];
+export const THRESHOLD_FIELDS = ["spike", "slow5m", "slow10m", "min", "max", "hysteresis", "minDurationMin", "drop3h", "baselineZ"];
+
+export const DEFAULT_THRESHOLDS = {
+  Temperature: { spike: 3.0, slow5m: 3.0, slow10m: 4.0, min: 5, max: 32, hysteresis: 0.5, minDurationMin: 15, baselineZ: 5 }, // °C
+  Humidity: { spike: 12.0, slow5m: 10.0, slow10m: 15.0, min: 15, max: 80, hysteresis: 2, minDurationMin: 20, baselineZ: 5 }, // %
+  Pressure: { spike: 2.0, slow5m: 2.0, slow10m: 3.0, hysteresis: 1, minDurationMin: 10, drop3h: 3.0 }, // hPa
+  Light: { spike: 1500, slow5m: 1200, slow10m: 2000, hysteresis: 50, minDurationMin: 10, baselineZ: 8 }, // lux
+  DewPoint: {}, // °C
+  HeatIndex: {}, // °C
+  WBGT: { max: 28, hysteresis: 0.5, minDurationMin: 15 }, // °C (28 = 厳重警戒)
+  AbsHumidity: {}, // g/m³
+  DiscomfortIndex: { max: 80, hysteresis: 1, minDurationMin: 20 }, // 80+ = almost everyone uncomfortable
+};
+
+const DERIVED_BY_KEY = Object.fromEntries(DERIVED_METRICS.map((m) => [m.key, m]));
+
+// resolveThresholds(DEFAULT_THRESHOLDS, globalProfile, deviceProfile) -> later wins
+export function resolveThresholds(...profiles) {
+  const out = {};
+  for (const metric of Object.keys(profiles[0] || {})) out[metric] = { ...profiles[0][metric] };
+
+  for (const p of profiles.slice(1)) {
+    if (!p) continue;
+    for (const metric of Object.keys(p)) {
+      if (!out[metric]) out[metric] = {};
+      for (const [field, v] of Object.entries(p[metric] || {})) {
+        if (typeof v === "number" && isFinite(v)) out[metric][field] = v;
+      }
+    }
+  }
+  return out;
+}
+
+// min/max may be zero or negative (e.g. -5 °C); everything else is an amount (>= 0)
+export const THRESHOLD_SIGNED_FIELDS = ["min", "max"];
+export const THRESHOLD_RATE_FIELDS = ["spike", "slow5m", "slow10m", "drop3h", "baselineZ"]; // 0 would fire on every poll
+
+/**
+ * Check a threshold profile { metric: { field: number } } (dashboard editor and
+ * the setAlertProfile function). Unknown metrics/fields are errors.
+ * Returns { metrics } or { error }; label(metric, field) names a field in messages.
+ */
+export function validateThresholdProfile(raw, label = (metric, field) => `${metric} ${field}`) {
+  const metrics = {};
+  if (raw === null || raw === undefined) return { metrics };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "metrics must be an object." };
+
+  for (const [metric, fields] of Object.entries(raw)) {
+    if (!THRESHOLD_METRICS.includes(metric)) return { error: `Unknown metric: ${metric}.` };
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) return { error: `${metric}: must be an object.` };
+
+    for (const [field, v] of Object.entries(fields)) {
+      if (!THRESHOLD_FIELDS.includes(field)) return { error: `${metric}: unknown field ${field}.` };
+      if (typeof v !== "number" || !isFinite(v)) return { error: `${label(metric, field)}: must be a number.` };
+      if (!THRESHOLD_SIGNED_FIELDS.includes(field) && v < 0) {
+        return { error: `${label(metric, field)}: must not be negative.` };
+      }
+      if (THRESHOLD_RATE_FIELDS.includes(field) && v === 0) {
+        return { error: `${label(metric, field)}: must be greater than 0.` };
+      }
+      if (!metrics[metric]) metrics[metric] = {};
+      metrics[metric][field] = v;
+    }
+  }
+
+  for (const metric of Object.keys(metrics)) {
+    const { min, max } = metrics[metric];
+    if (typeof min === "number" && typeof max === "number" && min >= max) {
+      return { error: `${metric}: Min level must be lower than Max level.` };
+    }
+  }
+  return { metrics };
+}
 
 export function createAI() {
   /* =========================
@@ -6,7 +115,8 @@ export function createAI() {
   let cycle = 0; // message rotation for selected feed
 
   // Global event state: eventKey -> state
-  // state = { firstSeenMs, lastSeenMs, lastFiredStage, lastToastMs, lastModalMs, lastCriticalMs, lastAckMs }
+  // state = { firstSeenMs, lastSeenMs, lastFiredStage, lastToastMs, lastModalMs, lastCriticalMs, lastAckMs,
+  //           levelSide, breachSinceMs }  (last two only for ":level" band events)
   const EVENTS = new Map();
 
   /* =========================
@@ -17,6 +127,9 @@ export function createAI() {
       TITLE_LIVE: "AI Live Feed",
       TITLE_DAY: "AI Day Summary",
       TITLE_RANGE: "AI Range Summary",
+      TITLE_WEEK: "AI Weekly Summary",
+      TITLE_MONTH: "AI Monthly Summary",
+      TITLE_YEAR: "AI Yearly Summary",
 
       OK: "OK",
       WARN: "WARNING",
@@ -52,6 +165,7 @@ export function createAI() {
       // Custom range/day one-liners
       RANGE_SUMMARY: (fromDT, toDT, focus) => `From ${fromDT} to ${toDT}, ${focus}.`,
       PEAK: (what, v, at) => `Highest ${what} was ${v} at ${at}.`,
+      PERIOD_AVG: (what, avg, lo, hi) => `Average ${what} was ${avg} (min ${lo}, max ${hi}).`,
       LOW: (what, v, at) => `Lowest ${what} was ${v} at ${at}.`,
 
       // Assumption hints (optional; still single sentence overall)
@@ -61,8 +175,10 @@ export function createAI() {
       HINT_HUMIDIFIER: "Humidifier, shower, or cooking may be adding moisture.",
       HINT_DEHUM: "Dehumidifier or AC may be reducing moisture.",
       HINT_WEATHER: "Outdoor weather may be changing.",
-      HINT_LIGHTS_ON: "Lights or sunlight likely increased.",
-      HINT_LIGHTS_OFF: "Lights turned off or sunlight reduced.",
+      HINT_LIGHTS_ON: "Lights were likely switched on.",
+      HINT_LIGHTS_OFF: "Lights were likely switched off.",
+      HINT_DAYLIGHT_UP: "Daylight is getting stronger.",
+      HINT_DAYLIGHT_DOWN: "Daylight is fading.",
 
       // Device prefix
       PREFIX: (name) => `${name || "Device"}: `,
@@ -72,6 +188,7 @@ export function createAI() {
       TOAST_HUM_SPIKE: (name, d, win) => `${name}: Humidity change (${d}) ${win}.`,
       TOAST_PRESS_SPIKE: (name, d, win) => `${name}: Pressure change (${d}) ${win}.`,
       TOAST_LIGHT_SPIKE: (name, d, win) => `${name}: Light change (${d}) ${win}.`,
+      TOAST_METRIC_SPIKE: (name, what, d, win) => `${name}: Change in ${what} (${d}) ${win}.`,
 
       OFFLINE_WARN: (name, sec) => `${name}: No data for ${sec}s — device may be offline.`,
       OFFLINE_ALERT: (name, m, s) =>
@@ -82,16 +199,107 @@ export function createAI() {
       MODAL_PERSIST: (name, what, mins) =>
         `${name} ${what} has remained abnormal for over ${mins} minutes. This may indicate an environmental issue or sensor exposure. Please check when possible.`,
 
+      LEVEL_HIGH: (name, what, limit, mins, now) =>
+        `${name}: ${what} has been above ${limit} for ${mins} min (now ${now}).`,
+      LEVEL_LOW: (name, what, limit, mins, now) =>
+        `${name}: ${what} has been below ${limit} for ${mins} min (now ${now}).`,
+
       WHAT_TEMP: "temperature",
       WHAT_HUM: "humidity",
       WHAT_PRESS: "pressure",
       WHAT_LIGHT: "light",
+      // Barometric tendency (3 h) + Zambretti forecast
+      PRESS_TREND: (dir, mag, d) =>
+        dir === "steady"
+          ? `Pressure is steady (${d} hPa over 3 h).`
+          : `Pressure is ${dir === "rising" ? "rising" : "falling"}${
+              { slowly: " slowly", quickly: " quickly", very_rapidly: " very rapidly" }[mag] || ""
+            } (${d} hPa over 3 h).`,
+      FORECAST: (text) => `Forecast: ${text}.`,
+      PRESS_DROP_HINT: "People prone to pressure-related headaches may feel unwell.",
+      DROP_3H: (name, what, d, win) =>
+        `${name}: ${what.charAt(0).toUpperCase()}${what.slice(1)} fell by ${d.replace(/^-/, "")} over the last 3 h ${win}.`,
+      BASELINE_DEV: (name, what, now, usual, when, z) =>
+        `${name}: ${what.charAt(0).toUpperCase()}${what.slice(1)} is ${now}, unusual for ${when} (usually about ${usual}, ${z}σ).`,
+      BASELINE_WHEN: {
+        weekday: (h) => `${h}:00 on a weekday`,
+        weekend: (h) => `${h}:00 at the weekend`,
+        hour: (h) => `${h}:00`,
+        overall: () => "this device",
+      },
+      ZAMBRETTI: [
+        "Settled fine", // 1
+        "Fine weather", // 2
+        "Fine, becoming less settled", // 3
+        "Fairly fine, showery later", // 4
+        "Showery, becoming more unsettled", // 5
+        "Unsettled, rain later", // 6
+        "Rain at times, worse later", // 7
+        "Rain at times, becoming very unsettled", // 8
+        "Very unsettled, rain", // 9
+        "Settled fine", // 10
+        "Fine weather", // 11
+        "Fine, possibly showers", // 12
+        "Fairly fine, showers likely", // 13
+        "Showery, bright intervals", // 14
+        "Changeable, some rain", // 15
+        "Unsettled, rain at times", // 16
+        "Rain at frequent intervals", // 17
+        "Very unsettled, rain", // 18
+        "Stormy, much rain", // 19
+        "Settled fine", // 20
+        "Fine weather", // 21
+        "Becoming fine", // 22
+        "Fairly fine, improving", // 23
+        "Fairly fine, possibly showers early", // 24
+        "Showery early, improving", // 25
+        "Changeable, mending", // 26
+        "Rather unsettled, clearing later", // 27
+        "Unsettled, probably improving", // 28
+        "Unsettled, short fine intervals", // 29
+        "Very unsettled, finer at times", // 30
+        "Stormy, possibly improving", // 31
+        "Stormy, much rain", // 32
+      ],
+
+      // Mold / condensation risk (moldRiskReport)
+      RISK_LEVEL: { low: "low", moderate: "moderate", high: "high" },
+      MOLD_DAY: (when, level, score) => `Mold risk ${when}: ${level} (score ${score}/100).`,
+      MOLD_WEEK: (level, score, highDays) =>
+        `Mold risk over the last 7 days: ${level} (avg score ${score}/100, ${highDays} high-risk day${highDays === 1 ? "" : "s"}).`,
+      MOLD_HOURS: (h, rh, t) => `Humidity was above the mold-growth limit for ${h} h (peak ${rh}% at ${t}).`,
+      MOLD_HOURS_TOTAL: (h) => `Humidity was above the mold-growth limit for ${h} h in total.`,
+      MOLD_NONE: "Humidity stayed below the mold-growth limit.",
+      COND_HOURS: (h, spread) =>
+        `For ${h} h the air was within ${spread}°C of its dew point, so cold windows and outside walls are likely to condense.`,
+      COND_NONE: (spread) => `The air never came within ${spread}°C of its dew point.`,
+      MOLD_ADVICE: "Ventilate or dehumidify, keep furniture off outside walls and wipe condensation off windows.",
+      MOLD_TODAY: "today",
+      MOLD_ON: (day) => `on ${day}`,
+
+      // Inferred occupancy from artificial light (lightSessions)
+      OCC_DAY: (when, first, last, h, n) =>
+        `Lights ${when} (inferred occupancy): first on at ${first}, last off at ${last}, lit for ${h} h in ${n} session${n === 1 ? "" : "s"}.`,
+      OCC_STILL_ON: (when, first, h, n) =>
+        `Lights ${when} (inferred occupancy): first on at ${first} and still on, lit for ${h} h in ${n} session${n === 1 ? "" : "s"} so far.`,
+      OCC_NONE: "No artificial light was detected, so the room was probably unoccupied.",
+      OCC_RANGE: (days, total, h, first, last) =>
+        `Lights were on ${days} of ${total} days, ${h} h per lit day on average (usually from about ${first} to ${last}).`,
+
+      WHAT_DewPoint: "dew point",
+      WHAT_HeatIndex: "heat index",
+      WHAT_WBGT: "WBGT",
+      WHAT_AbsHumidity: "absolute humidity",
+      WHAT_DiscomfortIndex: "discomfort index",
     },
 
     jp: {
       TITLE_LIVE: "AIライブフィード",
       TITLE_DAY: "AI 1日まとめ",
       TITLE_RANGE: "AI 範囲まとめ",
+      TITLE_WEEK: "AI 週間まとめ",
+      TITLE_MONTH: "AI 月間まとめ",
+      TITLE_YEAR: "AI 年間まとめ",
 
       OK: "正常",
       WARN: "注意",
@@ -126,6 +334,7 @@ export function createAI() {
       RANGE_SUMMARY: (fromDT, toDT, focus) => `${fromDT}〜${toDT}で、${focus}。`,
       PEAK: (what, v, at) => `最高${what}は${at}に${v}でした。`,
       LOW: (what, v, at) => `最低${what}は${at}に${v}でした。`,
+      PERIOD_AVG: (what, avg, lo, hi) => `${what}の平均は${avg}（最低${lo}、最高${hi}）でした。`,
 
       HINT_HEATER: "暖房が入っている可能性があります。",
       HINT_AC: "空調や換気の影響の可能性があります。",
@@ -133,8 +342,10 @@ export function createAI() {
       HINT_HUMIDIFIER: "加湿器・入浴・調理などで湿気が増えた可能性があります。",
       HINT_DEHUM: "除湿機やエアコンで湿度が下がった可能性があります。",
       HINT_WEATHER: "屋外の天候変化の影響かもしれません。",
-      HINT_LIGHTS_ON: "照明または日光が増えた可能性があります。",
-      HINT_LIGHTS_OFF: "照明OFFまたは日光が減った可能性があります。",
+      HINT_LIGHTS_ON: "照明が点灯した可能性があります。",
+      HINT_LIGHTS_OFF: "照明が消灯した可能性があります。",
+      HINT_DAYLIGHT_UP: "日差しが強くなっています。",
+      HINT_DAYLIGHT_DOWN: "日差しが弱くなっています。",
 
       PREFIX: (name) => `${name || "デバイス"}：`,
 
@@ -142,6 +353,7 @@ export function createAI() {
       TOAST_HUM_SPIKE: (name, d, win) => `${name}：湿度の変化（${d}）${win}。`,
       TOAST_PRESS_SPIKE: (name, d, win) => `${name}：気圧の変化（${d}）${win}。`,
       TOAST_LIGHT_SPIKE: (name, d, win) => `${name}：照度の変化（${d}）${win}。`,
+      TOAST_METRIC_SPIKE: (name, what, d, win) => `${name}：${what}の変化（${d}）${win}。`,
 
       OFFLINE_WARN: (name, sec) => `${name}：${sec}秒データなし（オフラインの可能性）。`,
       OFFLINE_ALERT: (name, m, s) =>
@@ -152,19 +364,109 @@ export function createAI() {
       MODAL_PERSIST: (name, what, mins) =>
         `${name}の${what}が${mins}分以上異常状態です。環境変化またはセンサー露出の可能性があります。可能なら確認してください。`,
 
+      LEVEL_HIGH: (name, what, limit, mins, now) =>
+        `${name}：${what}が${mins}分間${limit}を上回っています（現在${now}）。`,
+      LEVEL_LOW: (name, what, limit, mins, now) =>
+        `${name}：${what}が${mins}分間${limit}を下回っています（現在${now}）。`,
+
       WHAT_TEMP: "温度",
       WHAT_HUM: "湿度",
       WHAT_PRESS: "気圧",
       WHAT_LIGHT: "照度",
+      PRESS_TREND: (dir, mag, d) =>
+        dir === "steady"
+          ? `気圧は横ばいです（3時間で${d}hPa）。`
+          : `気圧が${{ slowly: "ゆっくり", quickly: "急速に", very_rapidly: "非常に急速に" }[mag] || ""}${
+              dir === "rising" ? "上昇" : "下降"
+            }しています（3時間で${d}hPa）。`,
+      FORECAST: (text) => `予報：${text}。`,
+      PRESS_DROP_HINT: "気圧の変化で頭痛などが出やすい方はご注意ください。",
+      DROP_3H: (name, what, d, win) => `${name}：${what}が過去3時間で${d.replace(/^-/, "")}低下しました（${win}）。`,
+      BASELINE_DEV: (name, what, now, usual, when, z) =>
+        `${name}：${what}が${now}で、${when}としては普段と異なります（通常は約${usual}、${z}σ）。`,
+      BASELINE_WHEN: {
+        weekday: (h) => `平日の${h}時台`,
+        weekend: (h) => `週末の${h}時台`,
+        hour: (h) => `${h}時台`,
+        overall: () => "このデバイス",
+      },
+      ZAMBRETTI: [
+        "安定した晴れ", // 1
+        "晴れ", // 2
+        "晴れ、次第に崩れる", // 3
+        "おおむね晴れ、のちにわか雨", // 4
+        "にわか雨、次第に不安定", // 5
+        "不安定、のち雨", // 6
+        "時々雨、次第に悪化", // 7
+        "時々雨、大きく崩れる", // 8
+        "非常に不安定、雨", // 9
+        "安定した晴れ", // 10
+        "晴れ", // 11
+        "晴れ、にわか雨の可能性", // 12
+        "おおむね晴れ、にわか雨が降りやすい", // 13
+        "にわか雨、時々晴れ間", // 14
+        "変わりやすい、多少の雨", // 15
+        "不安定、時々雨", // 16
+        "たびたび雨", // 17
+        "非常に不安定、雨", // 18
+        "荒天、大雨", // 19
+        "安定した晴れ", // 20
+        "晴れ", // 21
+        "次第に晴れる", // 22
+        "おおむね晴れ、回復傾向", // 23
+        "おおむね晴れ、はじめにわか雨", // 24
+        "はじめにわか雨、のち回復", // 25
+        "変わりやすい、回復へ", // 26
+        "やや不安定、のち晴れ", // 27
+        "不安定、回復の見込み", // 28
+        "不安定、ときどき晴れ間", // 29
+        "非常に不安定、時々回復", // 30
+        "荒天、回復の可能性", // 31
+        "荒天、大雨", // 32
+      ],
+
+      RISK_LEVEL: { low: "低", moderate: "中", high: "高" },
+      MOLD_DAY: (when, level, score) => `${when}のカビリスク：${level}（スコア${score}/100）。`,
+      MOLD_WEEK: (level, score, highDays) =>
+        `過去7日間のカビリスク：${level}（平均スコア${score}/100、高リスク日${highDays}日）。`,
+      MOLD_HOURS: (h, rh, t) => `湿度がカビの生育限界を${h}時間上回りました（最高${rh}%、${t}）。`,
+      MOLD_HOURS_TOTAL: (h) => `湿度がカビの生育限界を合計${h}時間上回りました。`,
+      MOLD_NONE: "湿度はカビの生育限界を下回っていました。",
+      COND_HOURS: (h, spread) =>
+        `${h}時間、空気が露点まで${spread}℃以内でした。冷えた窓や外壁で結露しやすい状態です。`,
+      COND_NONE: (spread) => `空気が露点まで${spread}℃以内になることはありませんでした。`,
+      MOLD_ADVICE: "換気や除湿を行い、家具を外壁から離し、窓の結露を拭き取ってください。",
+      MOLD_TODAY: "今日",
+      MOLD_ON: (day) => day,
+
+      OCC_DAY: (when, first, last, h, n) =>
+        `${when}の照明（在室の推定）：${first}に点灯、${last}に消灯し、${n}回・合計${h}時間点灯していました。`,
+      OCC_STILL_ON: (when, first, h, n) =>
+        `${when}の照明（在室の推定）：${first}に点灯して現在も点灯中で、これまで${n}回・合計${h}時間点灯しています。`,
+      OCC_NONE: "人工照明は検出されませんでした。不在だった可能性があります。",
+      OCC_RANGE: (days, total, h, first, last) =>
+        `${total}日中${days}日で照明が点灯し、点灯日は平均${h}時間でした（おおむね${first}〜${last}）。`,
+
+      WHAT_DewPoint: "露点温度",
+      WHAT_HeatIndex: "体感温度（ヒートインデックス）",
+      WHAT_WBGT: "暑さ指数（WBGT）",
+      WHAT_AbsHumidity: "絶対湿度",
+      WHAT_DiscomfortIndex: "不快指数",
     },
   };
 
   function detectLang(langMode) {
     if (langMode === "en" || langMode === "jp") return langMode;
-    const b = (navigator.language || "").toLowerCase();
+    // no navigator when running in the Cloud Function
+    const b = (typeof navigator !== "undefined" ? navigator.language || "" : "").toLowerCase();
     return b.startsWith("ja") ? "jp" : "en";
   }
 
+  // { en, jp } for alert texts that are stored / delivered out-of-band
+  function bothLangs(fn) {
+    return { en: fn("en"), jp: fn("jp") };
+  }
+
   /* =========================
      Helpers (time + math)
   ========================= */
@@ -181,21 +483,31 @@ export function createAI() {
     return typeof x === "number" && isFinite(x) ? x : null;
   }
 
+  // Always JST (same as the dashboard), also when running server-side in UTC
+  const JST_PARTS = new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Asia/Tokyo",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+  function jstParts(ms) {
+    const p = {};
+    for (const x of JST_PARTS.formatToParts(new Date(ms))) p[x.type] = x.value;
+    return p;
+  }
+
   function fmtHM(ms) {
-    const d = new Date(ms);
-    const hh = String(d.getHours()).padStart(2, "0");
-    const mm = String(d.getMinutes()).padStart(2, "0");
-    return `${hh}:${mm}`;
+    const p = jstParts(ms);
+    return `${p.hour}:${p.minute}`;
   }
 
   function fmtYMDHM(ms) {
-    const d = new Date(ms);
-    const y = d.getFullYear();
-    const mo = String(d.getMonth() + 1).padStart(2, "0");
-    const da = String(d.getDate()).padStart(2, "0");
-    const hh = String(d.getHours()).padStart(2, "0");
-    const mm = String(d.getMinutes()).padStart(2, "0");
-    return `${y}/${mo}/${da} ${hh}:${mm}`;
+    const p = jstParts(ms);
+    return `${p.year}/${p.month}/${p.day} ${p.hour}:${p.minute}`;
   }
 
   function mean(arr) {
@@ -220,6 +532,17 @@ export function createAI() {
     return out;
   }
 
+  // Extremes per row: rollup rows (long ranges) carry the bucket min/max in stats
+  function seriesExtreme(rows, key, side) {
+    const out = [];
+    for (const r of rows) {
+      const v = clampNum(r?.stats?.[key]?.[side] ?? r?.[key]);
+      const ms = tsToMs(r?.timestamp);
+      if (v !== null && ms) out.push({ ms, v });
+    }
+    return out;
+  }
+
   function lastN(arr, n) {
     if (arr.length <= n) return arr;
     return arr.slice(arr.length - n);
@@ -253,6 +576,9 @@ export function createAI() {
   function getTitle(viewMode, L) {
     if (viewMode === "day") return TEXT[L].TITLE_DAY;
     if (viewMode === "range") return TEXT[L].TITLE_RANGE;
+    if (viewMode === "week") return TEXT[L].TITLE_WEEK;
+    if (viewMode === "month") return TEXT[L].TITLE_MONTH;
+    if (viewMode === "year") return TEXT[L].TITLE_YEAR;
     return TEXT[L].TITLE_LIVE;
   }
 
@@ -269,6 +595,23 @@ export function createAI() {
     return sliced.length >= 8 ? sliced : rows; // fallback
   }
 
+  // Older rows (e.g. 10-min rollups) in front of the raw rows, for windows
+  // longer than what the caller keeps raw
+  function withHistory(history, rows) {
+    if (!history?.length) return rows;
+    const firstMs = rows.length ? tsToMs(rows[0]?.timestamp) : Infinity;
+    return [...history.filter((h) => tsToMs(h?.timestamp) < firstMs), ...rows];
+  }
+
+  // 3 h tendency + Zambretti number, or null without 3 h of pressure data
+  function pressureOutlook(rows, altitudeM) {
+    const t = pressureTendency(rows);
+    if (!t) return null;
+    const T = series(rows, "Temperature");
+    const temp = T.length ? T[T.length - 1].v : 15;
+    return { ...t, z: zambretti(seaLevelPressure(t.last, altitudeM, temp), t.direction) };
+  }
+
   function buildSelectedMessage({
     rows,
     viewMode,
@@ -277,6 +620,7 @@ export function createAI() {
     deviceName,
     rangeStartMs,
     rangeEndMs,
+    pressure = null,
   }) {
     const prefix = TEXT[L].PREFIX(deviceName);
 
@@ -299,6 +643,7 @@ export function createAI() {
       winFrom = firstMs;
       winTo = lastMs;
     } else {
+      // range / week / month / year: dashboard passes the window as rangeStartMs/rangeEndMs
       const firstMs = tsToMs(rows[0]?.timestamp);
       const lastMs = tsToMs(rows[rows.length - 1]?.timestamp);
       winFrom = typeof rangeStartMs === "number" ? rangeStartMs : firstMs;
@@ -340,14 +685,26 @@ export function createAI() {
       if (rate >= 0.6) return TEXT[L].HINT_WEATHER;
       return "";
     }
-    function lightHint(delta) {
-      if (delta > 200) return TEXT[L].HINT_LIGHTS_ON;
-      if (delta < -200) return TEXT[L].HINT_LIGHTS_OFF;
+    // switch (step) vs gradual change, from the daylight/artificial classifier
+    function lightHint(delta, fromMs, toMs) {
+      if (Math.abs(delta) <= 200) return "";
+      const win = lightSessions(rows).samples.filter((s) => s.ms >= fromMs && s.ms <= toMs);
+      if (win.length < 2) return "";
+      const first = win[0].cls;
+      const last = win[win.length - 1].cls;
+      if (delta > 0) {
+        if (last === "artificial" && first !== "artificial") return TEXT[L].HINT_LIGHTS_ON;
+        if (last === "daylight") return TEXT[L].HINT_DAYLIGHT_UP;
+      } else {
+        if (first === "artificial" && last !== "artificial") return TEXT[L].HINT_LIGHTS_OFF;
+        if (first === "daylight") return TEXT[L].HINT_DAYLIGHT_DOWN;
+      }
       return "";
     }
 
-    // Day / Range mode
-    if (viewMode === "day" || viewMode === "range") {
+    // Day / Range / Week / Month / Year mode
+    const isPeriod = viewMode === "week" || viewMode === "month" || viewMode === "year";
+    if (viewMode === "day" || viewMode === "range" || isPeriod) {
       const fromDT = fmtYMDHM(winFrom || tsToMs(rows[0].timestamp));
       const toDT = fmtYMDHM(winTo || tsToMs(rows[rows.length - 1].timestamp));
 
@@ -388,7 +745,7 @@ export function createAI() {
       }
 
       if (mode === 1) {
-        const pkT = peak(T);
+        const pkT = peak(seriesExtreme(rows, "Temperature", "max"));
         if (pkT) {
           const v = `${pkT.v.toFixed(1)}°C`;
           const at = fmtYMDHM(pkT.ms);
@@ -396,8 +753,20 @@ export function createAI() {
         }
       }
 
+      // Humid days: mold / condensation risk instead of the humidity low
+      if (mode === 2 && T.length && H.length && rows[0]?.resolution !== "1d") {
+        let worst = null;
+        for (const d of dailyMoldRisk(rows)) if (!worst || d.score > worst.score) worst = d;
+        if (worst && worst.level !== "low") {
+          return {
+            badgeLevel: worst.level === "high" ? "WARN" : badgeLevel,
+            message: prefix + moldDayText(L, worst, nowMs),
+          };
+        }
+      }
+
       if (mode === 2) {
-        const loH = low(H);
+        const loH = low(seriesExtreme(rows, "Humidity", "min"));
         if (loH) {
           const v = `${loH.v.toFixed(1)}%`;
           const at = fmtYMDHM(loH.ms);
@@ -405,7 +774,7 @@ export function createAI() {
         }
       }
 
-      if (mode === 3) {
+      if (mode === 3 && !isPeriod) {
         if (T.length >= 2) {
           const d = T[T.length - 1].v - T[0].v;
           const from = fmtYMDHM(T[0].ms);
@@ -417,6 +786,32 @@ export function createAI() {
         }
       }
 
+      // Week+ : averages over the whole period (day-night swings would always look "volatile")
+      if (isPeriod) {
+        const avgOf = (pts, metric) => {
+          if (!pts.length) return null;
+          const lo = low(seriesExtreme(rows, metric, "min"));
+          const hi = peak(seriesExtreme(rows, metric, "max"));
+          return {
+            avg: formatValue(metric, mean(pts.map((p) => p.v))),
+            lo: formatValue(metric, lo.v),
+            hi: formatValue(metric, hi.v),
+          };
+        };
+        const a = mode === 4 && H.length ? avgOf(H, "Humidity") : avgOf(T, "Temperature");
+        if (a) {
+          const what = mode === 4 && H.length ? metricWhat(L, "Humidity") : metricWhat(L, "Temperature");
+          return { badgeLevel, message: prefix + TEXT[L].PERIOD_AVG(what, a.avg, a.lo, a.hi) };
+        }
+        return { badgeLevel, message: prefix + TEXT[L].STABLE() };
+      }
+
+      // Lights / occupancy: needs raw or 1-min rows to see the switches
+      if (mode === 4 && Li.length && (!rows[0]?.resolution || rows[0].resolution === "1m")) {
+        const occ = occupancyText(L, lightSessions(rows).days, nowMs, winFrom, winTo);
+        if (occ) return { badgeLevel, message: prefix + occ };
+      }
+
       const volParts = [];
       if (T.length >= 10 && std(T.map((p) => p.v)) >= 0.8) volParts.push(L === "jp" ? "温度" : "Temperature");
       if (H.length >= 10 && std(H.map((p) => p.v)) >= 4.0) volParts.push(L === "jp" ? "湿度" : "Humidity");
@@ -456,6 +851,17 @@ export function createAI() {
       return { badgeLevel, message: prefix + msg };
     }
 
+    if (mode === 2 && pressure) {
+      const d = `${pressure.delta >= 0 ? "+" : ""}${pressure.delta.toFixed(1)}`;
+      const parts = [
+        TEXT[L].PRESS_TREND(pressure.direction, pressure.magnitude, d),
+        TEXT[L].FORECAST(TEXT[L].ZAMBRETTI[pressure.z - 1]),
+      ];
+      const dropping = pressure.delta <= -DEFAULT_THRESHOLDS.Pressure.drop3h;
+      if (dropping) parts.push(TEXT[L].PRESS_DROP_HINT);
+      return { badgeLevel: dropping ? "WARN" : badgeLevel, message: prefix + parts.join(L === "jp" ? "" : " ") };
+    }
+
     if (mode === 2 && dP) {
       const w = winStr(dP);
       const minutes = Math.max(1, Math.round((dP.toMs - dP.fromMs) / 60000));
@@ -466,7 +872,7 @@ export function createAI() {
 
     if (mode === 3 && dL) {
       const w = winStr(dL);
-      const hint = lightHint(dL.d);
+      const hint = lightHint(dL.d, dL.fromMs, dL.toMs);
       const msg = dL.d >= 0 ? TEXT[L].LIGHT_UP(dL.d, w.from, w.to, hint) : TEXT[L].LIGHT_DOWN(dL.d, w.from, w.to, hint);
       return { badgeLevel, message: prefix + msg };
     }
@@ -505,6 +911,8 @@ export function createAI() {
         lastModalMs: null,
         lastCriticalMs: null,
         lastAckMs: null,
+        levelSide: null,
+        breachSinceMs: null,
       });
     }
     return EVENTS.get(eventKey);
@@ -513,7 +921,8 @@ export function createAI() {
   function acknowledgeEvent(eventKey, nowMs) {
     if (!eventKey) return;
     const st = getOrInitEvent(eventKey);
-    st.lastAckMs = nowMs;
+    // keep the latest ack (acks can also arrive late from Firestore)
+    st.lastAckMs = Math.max(st.lastAckMs || 0, nowMs);
   }
 
   function isSnoozed(st, nowMs, snoozeMs) {
@@ -538,9 +947,54 @@ export function createAI() {
     if (metric === "Humidity") return `${d.d >= 0 ? "+" : ""}${d.d.toFixed(1)}%`;
     if (metric === "Pressure") return `${d.d >= 0 ? "+" : ""}${d.d.toFixed(1)} hPa`;
     if (metric === "Light") return `${d.d >= 0 ? "+" : ""}${d.d.toFixed(0)} lux`;
+    const dm = DERIVED_BY_KEY[metric];
+    if (dm) return `${d.d >= 0 ? "+" : ""}${d.d.toFixed(dm.digits)}${dm.unit ? ` ${dm.unit}` : ""}`;
     return `${d.d >= 0 ? "+" : ""}${d.d.toFixed(2)}`;
   }
 
+  function formatValue(metric, v) {
+    if (metric === "Temperature") return `${v.toFixed(1)}°C`;
+    if (metric === "Humidity") return `${v.toFixed(1)}%`;
+    if (metric === "Pressure") return `${v.toFixed(1)} hPa`;
+    if (metric === "Light") return `${v.toFixed(0)} lux`;
+    const dm = DERIVED_BY_KEY[metric];
+    if (dm) return `${v.toFixed(dm.digits)}${dm.unit ? ` ${dm.unit}` : ""}`;
+    return v.toFixed(2);
+  }
+
+  // Earliest ms of the contiguous run (ending at the last point) outside the band
+  function breachStartMs(points, side, th) {
+    let since = points[points.length - 1].ms;
+    for (let i = points.length - 1; i >= 0; i--) {
+      const p = points[i];
+      if (side === "high" ? p.v > th.max : p.v < th.min) since = p.ms;
+      else break;
+    }
+    return since;
+  }
+
+  // Band state (with hysteresis) from the latest point. Returns "high" | "low" | null.
+  function updateLevelState(st, points, th) {
+    const last = points[points.length - 1];
+    const hasMax = typeof th.max === "number";
+    const hasMin = typeof th.min === "number";
+    const hyst = typeof th.hysteresis === "number" ? th.hysteresis : 0;
+
+    let side = st.levelSide || null;
+    if (side === "high" && !(hasMax && last.v > th.max - hyst)) side = null;
+    if (side === "low" && !(hasMin && last.v < th.min + hyst)) side = null;
+    if (!side) {
+      if (hasMax && last.v > th.max) side = "high";
+      else if (hasMin && last.v < th.min) side = "low";
+    }
+
+    if (side !== st.levelSide) {
+      st.levelSide = side;
+      st.breachSinceMs = side ? breachStartMs(points, side, th) : null;
+    }
+    return side;
+  }
+
   function formatWin(d, L) {
     const from = fmtHM(d.fromMs);
     const to = fmtHM(d.toMs);
@@ -552,7 +1006,7 @@ export function createAI() {
     if (metric === "Humidity") return TEXT[L].WHAT_HUM;
     if (metric === "Pressure") return TEXT[L].WHAT_PRESS;
     if (metric === "Light") return TEXT[L].WHAT_LIGHT;
-    return metric;
+    return TEXT[L][`WHAT_${metric}`] || metric;
   }
 
   function makeSpikeText(L, deviceName, metric, d) {
@@ -562,6 +1016,7 @@ export function createAI() {
     if (metric === "Humidity") return TEXT[L].TOAST_HUM_SPIKE(deviceName, deltaStr, win);
     if (metric === "Pressure") return TEXT[L].TOAST_PRESS_SPIKE(deviceName, deltaStr, win);
     if (metric === "Light") return TEXT[L].TOAST_LIGHT_SPIKE(deviceName, deltaStr, win);
+    if (DERIVED_BY_KEY[metric]) return TEXT[L].TOAST_METRIC_SPIKE(deviceName, metricWhat(L, metric), deltaStr, win);
     return `${deviceName}: Sudden ${metric} change (${deltaStr}) ${win}.`;
   }
 
@@ -590,6 +1045,7 @@ export function createAI() {
       persistWindowMs = 30 * 60 * 1000,
       modalSnoozeMs = 5 * 60 * 1000,
       ackEventKey = null,
+      thresholds = null, // global profile (partial), per-device profile comes in devices[].thresholds
     } = input || {};
 
     const L = detectLang(langMode);
@@ -597,20 +1053,14 @@ export function createAI() {
     // Apply ack first
     if (ackEventKey) acknowledgeEvent(ackEventKey, nowMs);
 
-    // ✅ Your sampling/window model (10s upload)
+    // Sampling/window model: 10s samples and uploads unless the device config
+    // (devices[].sampleIntervalMs / uploadIntervalMs) says otherwise
     const WIN_5M = 5 * 60 * 1000;
     const WIN_10M = 10 * 60 * 1000;
+    const DEFAULT_SAMPLE_MS = 10 * 1000;
 
-    // ✅ HARD thresholds (EDIT HERE)
-    // spike = single-step (about 10s)
-    // slow5m = total change over last ~5 minutes
-    // slow10m = total change over last ~10 minutes
-    const TH = {
-      Temperature: { spike: 3.0, slow5m: 3.0, slow10m: 4.0 }, // °C
-      Humidity: { spike: 12.0, slow5m: 10.0, slow10m: 15.0 }, // %
-      Pressure: { spike: 2.0, slow5m: 2.0, slow10m: 3.0 }, // hPa
-      Light: { spike: 1500, slow5m: 1200, slow10m: 2000 }, // lux
-    };
+    // Thresholds: defaults <- global profile <- device profile
+    const baseTH = resolveThresholds(DEFAULT_THRESHOLDS, thresholds);
 
     const candidates = [];
 
@@ -618,8 +1068,16 @@ export function createAI() {
       const deviceId = dev?.deviceId || "";
       const deviceName = dev?.deviceName || deviceId || "Device";
       const rows = Array.isArray(dev?.rows) ? dev.rows : [];
+      const capabilities = Array.isArray(dev?.capabilities) ? dev.capabilities : null;
+      const TH = dev?.thresholds ? resolveThresholds(baseTH, dev.thresholds) : baseTH;
       const lastDataMs = typeof dev?.lastDataMs === "number" ? dev.lastDataMs : null;
 
+      // Slower cadence: later offline limits and fewer points needed per window
+      const sampleMs = dev?.sampleIntervalMs > 0 ? dev.sampleIntervalMs : DEFAULT_SAMPLE_MS;
+      const uploadMs = dev?.uploadIntervalMs > 0 ? dev.uploadIntervalMs : sampleMs;
+      const { warnMs: devWarnMs, alertMs: devAlertMs } = offlineLimits(uploadMs, warnMs, alertMs);
+      const minWindowPts = Math.max(3, Math.min(10, Math.floor(WIN_5M / sampleMs / 3)));
+
       /* ---------- Offline detection ---------- */
       if (!lastDataMs) {
         const eventKey = `${deviceId}:offline`;
@@ -628,12 +1086,14 @@ export function createAI() {
         if (!st.firstSeenMs) st.firstSeenMs = nowMs;
 
         if (!isSnoozed(st, nowMs, modalSnoozeMs)) {
-          const ev = buildOfflineEvent(deviceName, alertMs + 1, alertMs, L);
+          const texts = bothLangs((l) => buildOfflineEvent(deviceName, devAlertMs + 1, devAlertMs, l).text);
           candidates.push({
             stage: 2,
             level: "modal",
             eventKey,
-            text: ev.text,
+            text: texts[L],
+            texts,
+            deviceId,
             deviceName,
             metric: "offline",
             seenSinceMs: st.firstSeenMs,
@@ -644,21 +1104,23 @@ export function createAI() {
 
       const age = nowMs - lastDataMs;
 
-      if (age >= warnMs) {
+      if (age >= devWarnMs) {
         const eventKey = `${deviceId}:offline`;
         const st = getOrInitEvent(eventKey);
         st.lastSeenMs = nowMs;
         if (!st.firstSeenMs) st.firstSeenMs = nowMs;
 
         if (!isSnoozed(st, nowMs, modalSnoozeMs)) {
-          const ev = buildOfflineEvent(deviceName, age, alertMs, L);
+          const texts = bothLangs((l) => buildOfflineEvent(deviceName, age, devAlertMs, l).text);
 
-          if (age >= alertMs) {
+          if (age >= devAlertMs) {
             candidates.push({
               stage: 2,
               level: "modal",
               eventKey,
-              text: ev.text,
+              text: texts[L],
+              texts,
+              deviceId,
               deviceName,
               metric: "offline",
               seenSinceMs: st.firstSeenMs,
@@ -668,7 +1130,9 @@ export function createAI() {
               stage: 1,
               level: "warn",
               eventKey,
-              text: ev.text,
+              text: texts[L],
+              texts,
+              deviceId,
               deviceName,
               metric: "offline",
               seenSinceMs: st.firstSeenMs,
@@ -686,29 +1150,159 @@ export function createAI() {
       }
 
       /* ---------- Threshold-based anomaly detection ---------- */
-      const T = series(rows, "Temperature");
-      const H = series(rows, "Humidity");
-      const P = series(rows, "Pressure");
-      const Li = series(rows, "Light");
-
-      const metrics = [
-        { key: "Temperature", pts: T },
-        { key: "Humidity", pts: H },
-        { key: "Pressure", pts: P },
-        { key: "Light", pts: Li },
-      ];
+      const derivedRows = rows.map(withDerived);
+      const metrics = THRESHOLD_METRICS.map((key) => ({ key, pts: series(derivedRows, key) }));
+      const history = Array.isArray(dev?.history) ? dev.history : [];
+      const longRows = withHistory(history.map(withDerived), derivedRows);
+      const baselines = dev?.baselines || null; // metric -> learnBaseline() profile
 
       for (const m of metrics) {
         const pts = m.pts;
         const th = TH[m.key];
         if (!th) continue;
+        const needs = DERIVED_BY_KEY[m.key] ? DERIVED_INPUTS : [m.key];
+        if (capabilities && !needs.every((k) => capabilities.includes(k))) continue;
+
+        /* ---------- Absolute level (band) rule ---------- */
+        if (pts.length && (typeof th.min === "number" || typeof th.max === "number")) {
+          const levelKey = `${deviceId}:${m.key}:level`;
+          const lst = getOrInitEvent(levelKey);
+          const last = pts[pts.length - 1];
+          const side = updateLevelState(lst, pts, th);
+          const minDurMs = (typeof th.minDurationMin === "number" ? th.minDurationMin : 0) * 60000;
+          const breachFor = side ? last.ms - lst.breachSinceMs : 0;
+
+          if (side && breachFor >= minDurMs) {
+            lst.lastSeenMs = nowMs;
+            if (!lst.firstSeenMs) lst.firstSeenMs = nowMs;
+
+            if (!isSnoozed(lst, nowMs, modalSnoozeMs)) {
+              const seenFor = nowMs - lst.firstSeenMs;
+              const stage = seenFor >= persistWindowMs ? 3 : 2;
+              if (stage > lst.lastFiredStage) lst.lastFiredStage = stage;
+
+              const limit = formatValue(m.key, side === "high" ? th.max : th.min);
+              const mins = Math.floor(breachFor / 60000);
+              const now = formatValue(m.key, last.v);
+              const texts = bothLangs((l) =>
+                side === "high"
+                  ? TEXT[l].LEVEL_HIGH(deviceName, metricWhat(l, m.key), limit, mins, now)
+                  : TEXT[l].LEVEL_LOW(deviceName, metricWhat(l, m.key), limit, mins, now)
+              );
+              candidates.push({
+                stage,
+                level: stage === 3 ? "critical" : "modal",
+                eventKey: levelKey,
+                text: texts[L],
+                texts,
+                deviceId,
+                deviceName,
+                metric: m.key,
+                seenSinceMs: lst.firstSeenMs,
+              });
+            }
+          } else if (!side) {
+            lst.firstSeenMs = null;
+            lst.lastSeenMs = null;
+            lst.lastFiredStage = 0;
+          }
+        }
+
+        /* ---------- Drop over 3 h rule ---------- */
+        if (typeof th.drop3h === "number" && th.drop3h > 0) {
+          const dropKey = `${deviceId}:${m.key}:drop3h`;
+          const c = changeOver(longRows, m.key);
+          const dst = getOrInitEvent(dropKey);
+
+          if (c && c.delta <= -th.drop3h) {
+            dst.lastSeenMs = nowMs;
+            if (!dst.firstSeenMs) dst.firstSeenMs = nowMs;
+            if (dst.lastFiredStage < 1) dst.lastFiredStage = 1;
+
+            if (!isSnoozed(dst, nowMs, modalSnoozeMs)) {
+              const texts = bothLangs((l) => {
+                const t = TEXT[l].DROP_3H(
+                  deviceName,
+                  metricWhat(l, m.key),
+                  formatSpikeDelta(m.key, { d: c.delta }),
+                  formatWin(c, l)
+                );
+                return m.key === "Pressure" ? `${t}${l === "jp" ? "" : " "}${TEXT[l].PRESS_DROP_HINT}` : t;
+              });
+              candidates.push({
+                stage: 1,
+                level: "warn",
+                eventKey: dropKey,
+                text: texts[L],
+                texts,
+                deviceId,
+                deviceName,
+                metric: m.key,
+                seenSinceMs: dst.firstSeenMs,
+              });
+            }
+          } else {
+            dst.firstSeenMs = null;
+            dst.lastSeenMs = null;
+            dst.lastFiredStage = 0;
+          }
+        }
+
+        /* ---------- Learned baseline rule ----------
+           median of the last 5 min vs the hour-of-day profile; warn first,
+           modal when far off or still off after persistWindowMs */
+        if (baselines?.[m.key] && typeof th.baselineZ === "number" && th.baselineZ > 0 && pts.length) {
+          const blKey = `${deviceId}:${m.key}:baseline`;
+          const last = pts[pts.length - 1];
+          const recent = pts.filter((p) => p.ms >= last.ms - WIN_5M).map((p) => p.v).sort((a, b) => a - b);
+          const v = recent[Math.floor(recent.length / 2)];
+          const s = baselineZ(baselines[m.key], m.key, last.ms, v);
+          const bst = getOrInitEvent(blKey);
+
+          if (s && Math.abs(s.z) >= th.baselineZ) {
+            bst.lastSeenMs = nowMs;
+            if (!bst.firstSeenMs) bst.firstSeenMs = nowMs;
+
+            const stage = Math.abs(s.z) >= 2 * th.baselineZ || nowMs - bst.firstSeenMs >= persistWindowMs ? 2 : 1;
+            if (stage > bst.lastFiredStage) bst.lastFiredStage = stage;
+
+            if (!isSnoozed(bst, nowMs, modalSnoozeMs)) {
+              const hour = jstParts(last.ms).hour;
+              const texts = bothLangs((l) =>
+                TEXT[l].BASELINE_DEV(
+                  deviceName,
+                  metricWhat(l, m.key),
+                  formatValue(m.key, v),
+                  formatValue(m.key, s.expected),
+                  TEXT[l].BASELINE_WHEN[s.source](hour),
+                  Math.abs(s.z).toFixed(1)
+                )
+              );
+              candidates.push({
+                stage,
+                level: stage === 2 ? "modal" : "warn",
+                eventKey: blKey,
+                text: texts[L],
+                texts,
+                deviceId,
+                deviceName,
+                metric: m.key,
+                seenSinceMs: bst.firstSeenMs,
+              });
+            }
+          } else {
+            bst.firstSeenMs = null;
+            bst.lastSeenMs = null;
+            bst.lastFiredStage = 0;
+          }
+        }
 
         // Need enough data to evaluate 5m/10m windows properly
         if (pts.length < 3) continue;
 
-        const step = lastStepDelta(pts); // ~10s step
-        const d5 = pts.length >= 10 ? deltaFromWindow(pts, WIN_5M) : null;
-        const d10 = pts.length >= 10 ? deltaFromWindow(pts, WIN_10M) : null;
+        const step = lastStepDelta(pts); // one sample interval
+        const d5 = pts.length >= minWindowPts ? deltaFromWindow(pts, WIN_5M) : null;
+        const d10 = pts.length >= minWindowPts ? deltaFromWindow(pts, WIN_10M) : null;
 
         const spikeHit = !!(step && Math.abs(step.d) >= th.spike);
         const slow5Hit = !!(d5 && Math.abs(d5.d) >= th.slow5m);
@@ -744,7 +1338,7 @@ export function createAI() {
         else if (slow5Hit) dUse = d5;
         else dUse = d10 || step;
 
-        const text = makeSpikeText(L, deviceName, m.key, dUse);
+        const spikeTexts = bothLangs((l) => makeSpikeText(l, deviceName, m.key, dUse));
 
         const seenFor = nowMs - (st.firstSeenMs || nowMs);
 
@@ -763,13 +1357,15 @@ export function createAI() {
         if (stage > st.lastFiredStage) st.lastFiredStage = stage;
 
         if (stage === 3) {
-          const what = metricWhat(L, m.key);
           const mins = Math.floor(seenFor / 60000);
+          const texts = bothLangs((l) => TEXT[l].MODAL_PERSIST(deviceName, metricWhat(l, m.key), Math.max(30, mins)));
           candidates.push({
             stage,
             level,
             eventKey,
-            text: TEXT[L].MODAL_PERSIST(deviceName, what, Math.max(30, mins)),
+            text: texts[L],
+            texts,
+            deviceId,
             deviceName,
             metric: m.key,
             seenSinceMs: st.firstSeenMs,
@@ -780,7 +1376,9 @@ export function createAI() {
             stage,
             level,
             eventKey,
-            text, // direct delta message with window
+            text: spikeTexts[L], // direct delta message with window
+            texts: spikeTexts,
+            deviceId,
             deviceName,
             metric: m.key,
             seenSinceMs: st.firstSeenMs,
@@ -789,7 +1387,7 @@ export function createAI() {
       }
     }
 
-    if (!candidates.length) return { toast: null, modal: null, lang: L };
+    if (!candidates.length) return { toast: null, modal: null, lang: L, candidates };
 
     candidates.sort((a, b) => {
       if (b.stage !== a.stage) return b.stage - a.stage;
@@ -798,11 +1396,23 @@ export function createAI() {
 
     const top = candidates[0];
 
+    // candidates = every firing event (sorted), for callers that persist/notify all of them
     if (top.stage === 3) {
       return {
         modal: { level: "critical", text: top.text, eventKey: top.eventKey },
         toast: null,
         lang: L,
+        candidates,
+      };
+    }
+
+    // stage 1 only (offline warn, drop3h, baseline) => toast
+    if (top.stage === 1) {
+      return {
+        modal: null,
+        toast: { level: "warn", text: top.text, eventKey: top.eventKey },
+        lang: L,
+        candidates,
       };
     }
 
@@ -811,9 +1421,108 @@ export function createAI() {
       modal: { level: "modal", text: top.text, eventKey: top.eventKey },
       toast: null,
       lang: L,
+      candidates,
     };
   }
 
+  /* =========================
+     Mold / condensation risk (model in metrics.js)
+  ========================= */
+  function fmtHours(h) {
+    return h >= 10 ? h.toFixed(0) : h.toFixed(1);
+  }
+
+  function fmtMD(ms) {
+    const p = jstParts(ms);
+    return `${p.month}/${p.day}`;
+  }
+
+  function moldDayText(l, d, nowMs) {
+    const when = d.dayStartMs === jstDayStart(nowMs) ? TEXT[l].MOLD_TODAY : TEXT[l].MOLD_ON(fmtMD(d.dayStartMs));
+    const spread = MOLD_RISK.condensationSpreadC;
+    const parts = [
+      TEXT[l].MOLD_DAY(when, TEXT[l].RISK_LEVEL[d.level], d.score),
+      d.moldHours > 0
+        ? TEXT[l].MOLD_HOURS(fmtHours(d.moldHours), d.peakRh.toFixed(0), formatValue("Temperature", d.peakRhTemp))
+        : TEXT[l].MOLD_NONE,
+      d.condensationHours > 0 ? TEXT[l].COND_HOURS(fmtHours(d.condensationHours), spread) : TEXT[l].COND_NONE(spread),
+    ];
+    if (d.level === "high") parts.push(TEXT[l].MOLD_ADVICE);
+    return parts.join(l === "jp" ? "" : " ");
+  }
+
+  function moldWeekText(l, w) {
+    const spread = MOLD_RISK.condensationSpreadC;
+    const parts = [
+      TEXT[l].MOLD_WEEK(TEXT[l].RISK_LEVEL[w.level], w.score, w.highDays),
+      w.moldHours > 0 ? TEXT[l].MOLD_HOURS_TOTAL(fmtHours(w.moldHours)) : TEXT[l].MOLD_NONE,
+      w.condensationHours > 0 ? TEXT[l].COND_HOURS(fmtHours(w.condensationHours), spread) : TEXT[l].COND_NONE(spread),
+    ];
+    if (w.level === "high") parts.push(TEXT[l].MOLD_ADVICE);
+    return parts.join(l === "jp" ? "" : " ");
+  }
+
+  /* =========================
+     Light / occupancy (model in metrics.js)
+  ========================= */
+  function avgTimeOfDay(list) {
+    const mins = list.map((ms) => {
+      const p = jstParts(ms);
+      return Number(p.hour) * 60 + Number(p.minute);
+    });
+    const m = Math.round(mean(mins));
+    return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+  }
+
+  // one day: first on / last off; several days: how many were lit and the usual hours
+  function occupancyText(l, days, nowMs, fromMs, toMs) {
+    const span = typeof fromMs === "number" && typeof toMs === "number" ? toMs - fromMs : 0;
+    const total = Math.max(days.length, Math.round(span / (24 * 60 * 60 * 1000)));
+    const lit = days.filter((d) => d.sessions > 0);
+
+    if (total <= 1) {
+      const d = lit[0];
+      if (!d) return TEXT[l].OCC_NONE;
+      const isToday = d.dayStartMs === jstDayStart(nowMs);
+      const when = isToday ? TEXT[l].MOLD_TODAY : TEXT[l].MOLD_ON(fmtMD(d.dayStartMs));
+      // last session reaching the newest sample on today's chart: not switched off yet
+      if (isToday && typeof toMs === "number" && toMs - d.lastOffMs < 5 * 60 * 1000) {
+        return TEXT[l].OCC_STILL_ON(when, fmtHM(d.firstOnMs), fmtHours(d.litHours), d.sessions);
+      }
+      return TEXT[l].OCC_DAY(when, fmtHM(d.firstOnMs), fmtHM(d.lastOffMs), fmtHours(d.litHours), d.sessions);
+    }
+
+    if (!lit.length) return TEXT[l].OCC_NONE;
+    return TEXT[l].OCC_RANGE(
+      lit.length,
+      total,
+      fmtHours(mean(lit.map((d) => d.litHours))),
+      avgTimeOfDay(lit.map((d) => d.firstOnMs)),
+      avgTimeOfDay(lit.map((d) => d.lastOffMs))
+    );
+  }
+
+  /* =========================
+     Event state persistence
+     (server-side evaluator keeps EVENTS in Firestore between runs)
+  ========================= */
+  function exportEvents() {
+    const out = {};
+    for (const [k, st] of EVENTS) out[k] = { ...st };
+    return out;
+  }
+
+  function importEvents(obj) {
+    EVENTS.clear();
+    for (const [k, st] of Object.entries(obj || {})) {
+      EVENTS.set(k, { ...getOrInitEvent(k), ...st });
+    }
+  }
+
+  function isEventActive(eventKey) {
+    return !!EVENTS.get(eventKey)?.firstSeenMs;
+  }
+
   /* =========================
      Public API
   ========================= */
@@ -827,12 +1536,15 @@ export function createAI() {
         deviceName = "",
         rangeStartMs = null,
         rangeEndMs = null,
+        history = [], // live: older rows (10-min rollups) for the 3 h pressure tendency
+        altitudeM = 0, // device altitude, for the sea-level pressure in the forecast
       } = input || {};
 
       const L = detectLang(langMode);
 
       let workingRows = rows;
       if (viewMode === "live") workingRows = sliceLive10Min(rows, nowMs);
+      const pressure = viewMode === "live" ? pressureOutlook(withHistory(history, rows), altitudeM) : null;
 
       const { badgeLevel, message } = buildSelectedMessage({
         rows: workingRows,
@@ -842,6 +1554,7 @@ export function createAI() {
         deviceName,
         rangeStartMs,
         rangeEndMs,
+        pressure,
       });
 
       return {
@@ -852,6 +1565,28 @@ export function createAI() {
       };
     },
 
+    /**
+     * Daily + 7-day mold/condensation risk for one device.
+     * rows: ASC readings or 10m/1h rollups covering the days of interest;
+     * dayStartMs: JST day to report (default today), the week ends with it.
+     */
+    moldRiskReport({ rows = [], nowMs = Date.now(), langMode = "auto", deviceName = "", dayStartMs = null } = {}) {
+      const L = detectLang(langMode);
+      const target = typeof dayStartMs === "number" ? dayStartMs : jstDayStart(nowMs);
+      const days = dailyMoldRisk(rows).filter((d) => d.dayStartMs <= target && d.dayStartMs > target - 7 * 86400000);
+      const day = days.find((d) => d.dayStartMs === target) || null;
+      const week = weeklyMoldRisk(days);
+
+      const dayTexts = day ? bothLangs((l) => TEXT[l].PREFIX(deviceName) + moldDayText(l, day, nowMs)) : null;
+      const weekTexts = week ? bothLangs((l) => TEXT[l].PREFIX(deviceName) + moldWeekText(l, week)) : null;
+
+      return { lang: L, day, week, days, dayTexts, weekTexts };
+    },
+
     evaluateGlobal,
+    exportEvents,
+    importEvents,
+    isEventActive,
+    acknowledgeEvent,
   };
 }
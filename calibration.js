@@ -0,0 +1,231 @@
+/* =========================
+   Sensor calibration (Firestore: calibrations/{deviceId})
+   { entries: [{ id, metric, fromMs, mode, offset, gain, points, note,
+                 createdBy, createdAtMs }], updatedAt }
+   mode:
+   - offset:   corrected = v + offset
+   - gain:     corrected = gain * v + offset
+   - twoPoint: two { raw, ref } pairs (e.g. ice bath / warm reference), the
+               line through them gives gain and offset
+   - none:     back to the raw reading (ends an earlier entry)
+   An entry applies to readings at or after fromMs until the next entry for
+   the same metric. Stored readings and rollups are never rewritten: rows are
+   corrected when they are read (a rollup bucket uses the entry at its start).
+   Shared by the dashboard and Cloud Functions (copied by sync-shared).
+========================= */
+export const CALIBRATION_METRICS = ["Temperature", "Humidity", "Pressure", "Light"];
+export const CALIBRATION_MODES = ["offset", "gain", "twoPoint", "none"];
+
+export const CALIBRATION_LIMITS = {
+  gain: { min: 0.5, max: 2 },
+  offset: { Temperature: 20, Humidity: 50, Pressure: 100, Light: 5000 }, // max |offset| per metric
+};
+
+const NOTE_MAX = 200;
+
+function num(v) {
+  const n = typeof v === "number" ? v : typeof v === "string" && v.trim() !== "" ? Number(v) : NaN;
+  return Number.isFinite(n) ? n : null;
+}
+
+/** { gain, offset } of an entry, or null for "none". */
+export function calibrationLine(entry) {
+  if (!entry || entry.mode === "none") return null;
+  if (entry.mode === "twoPoint") {
+    const [a, b] = entry.points;
+    const gain = (b.ref - a.ref) / (b.raw - a.raw);
+    return { gain, offset: a.ref - gain * a.raw };
+  }
+  return { gain: entry.mode === "gain" ? entry.gain : 1, offset: entry.offset || 0 };
+}
+
+/**
+ * Validate one entry. Returns { entry, errors: [string] }; entry is null when
+ * anything is wrong (a half-valid correction is worse than none).
+ */
+export function normalizeCalibrationEntry(raw) {
+  const errors = [];
+  const metric = raw?.metric;
+  if (!CALIBRATION_METRICS.includes(metric)) errors.push(`metric must be one of ${CALIBRATION_METRICS.join(", ")}`);
+  const mode = raw?.mode;
+  if (!CALIBRATION_MODES.includes(mode)) errors.push(`mode must be one of ${CALIBRATION_MODES.join(", ")}`);
+  const fromMs = num(raw?.fromMs);
+  if (fromMs === null || fromMs < 0) errors.push("fromMs (effective from) is required");
+  if (errors.length) return { entry: null, errors };
+
+  const entry = { id: String(raw.id || `${metric}@${fromMs}`), metric, fromMs, mode };
+  if (typeof raw.note === "string" && raw.note.trim()) entry.note = raw.note.trim().slice(0, NOTE_MAX);
+  if (raw.createdBy) entry.createdBy = String(raw.createdBy);
+  if (num(raw.createdAtMs) !== null) entry.createdAtMs = num(raw.createdAtMs);
+
+  const maxOffset = CALIBRATION_LIMITS.offset[metric];
+  const { min, max } = CALIBRATION_LIMITS.gain;
+
+  if (mode === "offset" || mode === "gain") {
+    const offset = num(mode === "gain" ? raw.offset ?? 0 : raw.offset);
+    if (offset === null || Math.abs(offset) > maxOffset) errors.push(`offset must be a number within ±${maxOffset}`);
+    else entry.offset = offset;
+  }
+  if (mode === "gain") {
+    const gain = num(raw.gain);
+    if (gain === null || gain < min || gain > max) errors.push(`gain must be ${min}–${max}`);
+    else entry.gain = gain;
+  }
+  if (mode === "twoPoint") {
+    const pts = Array.isArray(raw.points) ? raw.points.map((p) => ({ raw: num(p?.raw), ref: num(p?.ref) })) : [];
+    if (pts.length !== 2 || pts.some((p) => p.raw === null || p.ref === null)) {
+      errors.push("twoPoint needs two { raw, ref } pairs");
+    } else if (pts[0].raw === pts[1].raw) {
+      errors.push("the two raw readings must differ");
+    } else {
+      entry.points = pts;
+      const line = calibrationLine(entry);
+      if (line.gain < min || line.gain > max) {
+        errors.push(`the two points give a gain of ${line.gain.toFixed(3)} (allowed ${min}–${max})`);
+      } else if (Math.abs(line.offset) > maxOffset) errors.push(`the two points give an offset beyond ±${maxOffset}`);
+    }
+  }
+
+  return errors.length ? { entry: null, errors } : { entry, errors };
+}
+
+/** Valid entries of a calibrations doc, oldest first (invalid ones dropped). */
+export function calibrationEntries(doc) {
+  const list = [];
+  for (const raw of Array.isArray(doc?.entries) ? doc.entries : []) {
+    const { entry } = normalizeCalibrationEntry(raw);
+    if (entry) list.push(entry);
+  }
+  return list.sort((a, b) => a.fromMs - b.fromMs);
+}
+
+/** Entry in effect for a metric at ms (null = raw). */
+export function calibrationAt(entries, metric, ms) {
+  let cur = null;
+  for (const e of entries || []) {
+    if (e.metric !== metric) continue;
+    if (e.fromMs > ms) break;
+    cur = e;
+  }
+  return cur?.mode === "none" ? null : cur;
+}
+
+function rowMs(ts) {
+  if (!ts) return null;
+  if (ts.toMillis) return ts.toMillis();
+  if (typeof ts === "number") return ts < 1e12 ? ts * 1000 : ts;
+  const ms = new Date(ts).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Corrected copy of a reading or rollup row; the originals go to row.raw
+ * ({ Temperature: 24.1, ... }, corrected metrics only). Rollup stats are
+ * corrected too (gain > 0 keeps min/max in order). Same row back when no
+ * entry applies.
+ */
+export function calibrateRow(row, entries) {
+  if (!entries?.length || !row) return row;
+  const ms = rowMs(row.timestamp);
+  if (!ms) return row;
+
+  let out = null;
+  for (const metric of CALIBRATION_METRICS) {
+    const v = row[metric];
+    if (typeof v !== "number" || !isFinite(v)) continue;
+    const line = calibrationLine(calibrationAt(entries, metric, ms));
+    if (!line) continue;
+
+    if (!out) out = { ...row, raw: {} };
+    const fix = (x) => line.gain * x + line.offset;
+    out.raw[metric] = v;
+    out[metric] = fix(v);
+
+    const st = row.stats?.[metric];
+    if (st) {
+      out.stats = { ...out.stats };
+      out.stats[metric] = {
+        ...st,
+        min: fix(st.min),
+        max: fix(st.max),
+        sum: line.gain * st.sum + line.offset * (st.count || 0),
+      };
+    }
+  }
+  return out || row;
+}
+
+/* =========================
+   Co-location check (two devices side by side)
+   The device under test is compared on its raw readings (row.raw when the
+   row was calibrated), the reference on its corrected ones, so the result
+   can be saved as a new calibration entry for the device under test.
+========================= */
+export const COLOCATION_MIN_PAIRS = 30;
+
+/**
+ * Pairs matched by nearest timestamp within toleranceMs (ASC rows):
+ * [{ ms, v (device under test, raw), ref }]
+ */
+export function alignPairs(rows, refRows, metric, toleranceMs) {
+  const refs = [];
+  for (const r of refRows) {
+    const ms = rowMs(r?.timestamp);
+    if (ms && typeof r[metric] === "number" && isFinite(r[metric])) refs.push({ ms, v: r[metric] });
+  }
+
+  const pairs = [];
+  let j = 0;
+  for (const r of rows) {
+    const ms = rowMs(r?.timestamp);
+    const v = r?.raw?.[metric] ?? r?.[metric];
+    if (!ms || typeof v !== "number" || !isFinite(v)) continue;
+    while (j + 1 < refs.length && Math.abs(refs[j + 1].ms - ms) <= Math.abs(refs[j].ms - ms)) j++;
+    const best = refs[j];
+    if (best && Math.abs(best.ms - ms) <= toleranceMs) pairs.push({ ms, v, ref: best.v });
+  }
+  return pairs;
+}
+
+/**
+ * Agreement of the pairs: bias = mean(v - ref), rmse, and the least-squares
+ * line ref = slope * v + intercept (directly a gain + offset correction) with r2.
+ * null below two pairs; slope/intercept/r2 null when v doesn't vary.
+ */
+export function agreementStats(pairs) {
+  const n = pairs.length;
+  if (n < 2) return null;
+
+  let sumD = 0;
+  let sumD2 = 0;
+  let sumV = 0;
+  let sumR = 0;
+  for (const p of pairs) {
+    const d = p.v - p.ref;
+    sumD += d;
+    sumD2 += d * d;
+    sumV += p.v;
+    sumR += p.ref;
+  }
+  const meanV = sumV / n;
+  const meanR = sumR / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const p of pairs) {
+    sxx += (p.v - meanV) ** 2;
+    sxy += (p.v - meanV) * (p.ref - meanR);
+    syy += (p.ref - meanR) ** 2;
+  }
+
+  const slope = sxx > 0 ? sxy / sxx : null;
+  return {
+    n,
+    bias: sumD / n,
+    rmse: Math.sqrt(sumD2 / n),
+    slope,
+    intercept: slope === null ? null : meanR - slope * meanV,
+    r2: slope === null || !(syy > 0) ? null : (sxy * sxy) / (sxx * syy),
+  };
+}
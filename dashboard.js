@@ -23,7 +23,47 @@ import {
 } from "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
 
 import { firebaseConfig } from "./firebase-config.js";
-import { createAI } from "./ai.js";
+import {
+  createAI,
+  DEFAULT_THRESHOLDS,
+  THRESHOLD_METRICS,
+  THRESHOLD_FIELDS,
+  THRESHOLD_SIGNED_FIELDS,
+  resolveThresholds,
+  validateThresholdProfile,
+} from "./ai.js";
+import {
+  DERIVED_INPUTS,
+  DERIVED_METRICS,
+  ROLLUP_BUCKET_MS,
+  baselineAnomalies,
+  dailyUptime,
+  deriveMetrics,
+  expectedIntervalMs,
+  findGaps,
+  gapThresholdMs,
+  lightSessions,
+  withDerived,
+} from "./metrics.js";
+import {
+  DEVICE_CONFIG_DEFAULTS,
+  DEVICE_CONFIG_LIMITS,
+  SENSOR_KEYS,
+  normalizeDeviceConfig,
+  offlineLimits,
+  sampleIntervalMs,
+  uploadIntervalMs,
+} from "./deviceConfig.js";
+import {
+  CALIBRATION_METRICS,
+  COLOCATION_MIN_PAIRS,
+  agreementStats,
+  alignPairs,
+  calibrateRow,
+  calibrationEntries,
+  calibrationLine,
+  normalizeCalibrationEntry,
+} from "./calibration.js";
 
 /* =======================
    Firebase
@@ -43,18 +83,33 @@ const AI = createAI();
 
 /* =======================
    Devices
+   - The Firestore registry (devices/{deviceId}) is the only source, see
+     subscribeDeviceRegistry(). Until its first snapshot (or while it has no
+     enabled devices) nothing is selected and the status line says so.
 ======================= */
-const DEVICES = [
-  { id: "atom_s3_lite_01", name: "永井研究室 01" },
-  { id: "atom_s3_lite_02", name: "学習支援室" },
-  { id: "atom_s3_lite_03", name: "永井研究室 02" },
-  { id: "atom_s3_lite_04", name: "自宅" },
-];
+const ALL_METRICS = ["Temperature", "Humidity", "Pressure", "Light"];
+
+let DEVICES = []; // enabled devices only, sorted by id
+let DEVICES_STATE = "loading"; // "loading" | "ready" | "empty" | "error"
+const DEVICES_STATE_TEXT = {
+  loading: "Loading devices…",
+  empty: "No devices registered",
+  error: "Device registry unavailable",
+};
 
-let currentDeviceId = DEVICES[0].id;
+let currentDeviceId = null;
+
+function getDevice(id) {
+  return DEVICES.find((d) => d.id === id) || null;
+}
 
 function getCurrentDeviceName() {
-  return DEVICES.find((d) => d.id === currentDeviceId)?.name || currentDeviceId;
+  return getDevice(currentDeviceId)?.name || currentDeviceId || "";
+}
+
+function deviceHasMetric(dev, metric) {
+  if (!dev || !Array.isArray(dev.capabilities)) return true;
+  return dev.capabilities.includes(metric);
 }
 
 /* =======================
@@ -66,6 +121,13 @@ const statusText = document.getElementById("deviceStatusText");
 const nowEl = document.getElementById("nowDateTime");
 const lastUpdatedText = document.getElementById("lastUpdatedText");
 const goLiveBtn = document.getElementById("goLiveBtn");
+const compareDevicesEl = document.getElementById("compareDevices");
+const compareLegendEl = document.getElementById("compareLegend");
+const refOverlaySelect = document.getElementById("refOverlaySelect");
+const refOverlayDateEl = document.getElementById("refOverlayDate");
+const overviewBtn = document.getElementById("overviewBtn");
+const overviewSectionEl = document.getElementById("overviewSection");
+const overviewGridEl = document.getElementById("overviewGrid");
 
 /* =======================
    DOM (cards)
@@ -110,6 +172,7 @@ const tempCanvas = document.getElementById("tempChart");
 const humCanvas = document.getElementById("humChart");
 const pressCanvas = document.getElementById("pressChart");
 const lightCanvas = document.getElementById("lightChart");
+const derivedCanvas = document.getElementById("derivedChart");
 
 /* =======================
    DOM (chart titles)
@@ -118,6 +181,22 @@ const tempChartTitleEl = document.getElementById("tempChartTitle");
 const humChartTitleEl = document.getElementById("humChartTitle");
 const pressChartTitleEl = document.getElementById("pressChartTitle");
 const lightChartTitleEl = document.getElementById("lightChartTitle");
+const derivedChartTitleEl = document.getElementById("derivedChartTitle");
+const lightBandInfoEl = document.getElementById("lightBandInfo");
+const derivedMetricSelect = document.getElementById("derivedMetricSelect");
+const derivedCardsEl = document.getElementById("derivedCards");
+const moldRiskPanel = document.getElementById("moldRiskPanel");
+const healthPanel = document.getElementById("healthPanel");
+const gapPanel = document.getElementById("gapPanel");
+const gapMsgEl = document.getElementById("gapMsg");
+const gapTableEl = document.getElementById("gapTable");
+const uptimeInfoEl = document.getElementById("uptimeInfo");
+const healthMsgEl = document.getElementById("healthMsg");
+const healthCurrentEl = document.getElementById("healthCurrent");
+const healthHistoryEl = document.getElementById("healthHistory");
+const moldDateInput = document.getElementById("moldDateInput");
+const moldMsgEl = document.getElementById("moldMsg");
+const moldTableEl = document.getElementById("moldTable");
 
 /* =======================
    DOM (calendar + range)
@@ -126,6 +205,8 @@ const calPrevBtn = document.getElementById("calPrevBtn");
 const calNextBtn = document.getElementById("calNextBtn");
 const calTitleEl = document.getElementById("calTitle");
 const calGridEl = document.getElementById("calendarGrid");
+const calModeBtns = document.querySelectorAll(".calModeBtn");
+const calHeatSelect = document.getElementById("calHeatSelect");
 
 const rangeStartEl = document.getElementById("rangeStart");
 const rangeEndEl = document.getElementById("rangeEnd");
@@ -153,13 +234,65 @@ const csvDownloadAllDevicesLastNBtn = document.getElementById("csvDownloadAllDev
 const csvLimitInput = document.getElementById("csvLimitInput");
 const csvHintText = document.getElementById("csvHintText");
 
+/* =======================
+   DOM (settings)
+======================= */
+const thresholdProfileSelect = document.getElementById("thresholdProfileSelect");
+const thresholdTableEl = document.getElementById("thresholdTable");
+const thresholdSaveBtn = document.getElementById("thresholdSaveBtn");
+const thresholdClearBtn = document.getElementById("thresholdClearBtn");
+const thresholdMsgEl = document.getElementById("thresholdMsg");
+const operatorNameInput = document.getElementById("operatorNameInput");
+const adminKeyInput = document.getElementById("adminKeyInput");
+const configDeviceSelect = document.getElementById("configDeviceSelect");
+const configFormEl = document.getElementById("configForm");
+const configSaveBtn = document.getElementById("configSaveBtn");
+const configResetBtn = document.getElementById("configResetBtn");
+const configMsgEl = document.getElementById("configMsg");
+const calibDeviceSelect = document.getElementById("calibDeviceSelect");
+const calibTableEl = document.getElementById("calibTable");
+const calibFormEl = document.getElementById("calibForm");
+const calibMetricSelect = document.getElementById("calibMetricSelect");
+const calibModeSelect = document.getElementById("calibModeSelect");
+const calibFromInput = document.getElementById("calibFromInput");
+const calibAddBtn = document.getElementById("calibAddBtn");
+const calibMsgEl = document.getElementById("calibMsg");
+
+/* =======================
+   DOM (co-location)
+======================= */
+const colocPanel = document.getElementById("colocPanel");
+const colocDeviceSelect = document.getElementById("colocDeviceSelect");
+const colocRefSelect = document.getElementById("colocRefSelect");
+const colocFromInput = document.getElementById("colocFrom");
+const colocToInput = document.getElementById("colocTo");
+const colocRunBtn = document.getElementById("colocRunBtn");
+const colocMsgEl = document.getElementById("colocMsg");
+const colocStatsEl = document.getElementById("colocStats");
+const colocMetricSelect = document.getElementById("colocMetricSelect");
+const colocEffectiveInput = document.getElementById("colocEffective");
+const colocScatterCanvas = document.getElementById("colocScatter");
+const colocDiffCanvas = document.getElementById("colocDiff");
+
+/* =======================
+   DOM (alert history)
+======================= */
+const alertHistoryPanel = document.getElementById("alertHistoryPanel");
+const historyDeviceSelect = document.getElementById("historyDeviceSelect");
+const historyMetricSelect = document.getElementById("historyMetricSelect");
+const historyDateInput = document.getElementById("historyDateInput");
+const historyClearBtn = document.getElementById("historyClearBtn");
+const historyMsgEl = document.getElementById("historyMsg");
+const historyTableEl = document.getElementById("historyTable");
+
 /* =======================
    State
 ======================= */
 let tempChart = null,
   humChart = null,
   pressChart = null,
-  lightChart = null;
+  lightChart = null,
+  derivedChart = null; // one derived metric at a time (derivedMetricSelect)
 
 let unsubscribeData = null;
 let unsubscribeStatus = null; // ✅ IMPORTANT (was missing)
@@ -173,8 +306,12 @@ const OFFLINE_ALERT_MS = 5 * 60 * 1000;
 
 let IGNORE_ZOOM_EVENTS = false;
 
-let VIEW_MODE = "live"; // live | day | range
-let selectedDayStartMs = null;
+let VIEW_MODE = "live"; // live | day | week | month | year | range
+let selectedDayStartMs = null; // clicked day; week/month/year views are the period containing it
+
+// What a calendar click selects (header buttons)
+let CAL_PICK_MODE = "day";
+const PERIOD_VIEWS = ["day", "week", "month", "year"];
 let rangeStartMs = null;
 let rangeEndMs = null;
 
@@ -188,12 +325,27 @@ const RANGE_INPUT_DEBOUNCE_MS = 200;
 const FIRESTORE_LIMIT_DOCS = 6500; // live last N
 const WINDOW_LIMIT_DOCS = 9000; // day/range window (increase if you log very fast)
 
-// Global monitoring limits (IMPORTANT):
-const GLOBAL_LIMIT_DOCS = 120; // keep small
+// Global monitoring limits (IMPORTANT): ~20 min of raw readings at the
+// device's sample interval (120 docs at the default 10s), kept small
+const GLOBAL_WINDOW_MS = 20 * 60 * 1000;
+const GLOBAL_LIMIT_MIN_DOCS = 30;
+const GLOBAL_LIMIT_MAX_DOCS = 1200;
 const GLOBAL_POLL_MS = 15000; // poll every 15s (stable)
 
 // Safety range cap
-const MAX_RANGE_MS = 48 * 60 * 60 * 1000; // 48 hours
+const MAX_RANGE_MS = 366 * 24 * 60 * 60 * 1000; // 1 year
+
+// Day/range windows wider than this read rollups (public_rollups/{deviceId}/{res})
+// instead of raw 10s readings; the finest level that stays under WINDOW_LIMIT_DOCS wins.
+const RAW_MAX_WINDOW_MS = 48 * 60 * 60 * 1000;
+const ROLLUP_LEVELS = [
+  { res: "1m", maxWindowMs: 4 * 24 * 60 * 60 * 1000, label: "1-min avg" },
+  { res: "10m", maxWindowMs: 31 * 24 * 60 * 60 * 1000, label: "10-min avg" },
+  { res: "1h", maxWindowMs: 200 * 24 * 60 * 60 * 1000, label: "hourly avg" },
+  { res: "1d", maxWindowMs: Infinity, label: "daily avg" },
+];
+
+let CURRENT_RESOLUTION = "raw"; // raw | 1m | 10m | 1h | 1d
 
 let CURRENT_VIEW_ROWS = [];
 
@@ -214,6 +366,12 @@ function setLangMode(v) {
   if (langSelect) langSelect.value = LANG_MODE;
 }
 
+// "en" | "jp" (same rule as ai.js detectLang)
+function currentLang() {
+  if (LANG_MODE === "en" || LANG_MODE === "jp") return LANG_MODE;
+  return (navigator.language || "").toLowerCase().startsWith("ja") ? "jp" : "en";
+}
+
 /* =======================
    Helpers
 ======================= */
@@ -242,6 +400,29 @@ function startOfDayMs(y, m, day) {
     .toMillis();
 }
 
+// Calendar periods (JST); weeks start on Sunday like the calendar grid
+function periodWindow(mode, anchorMs) {
+  const day = luxon.DateTime.fromMillis(anchorMs, { zone: "Asia/Tokyo" }).startOf("day");
+  let start = day;
+  let end = day.plus({ days: 1 });
+
+  if (mode === "week") {
+    start = day.minus({ days: day.weekday % 7 });
+    end = start.plus({ weeks: 1 });
+  } else if (mode === "month") {
+    start = day.startOf("month");
+    end = start.plus({ months: 1 });
+  } else if (mode === "year") {
+    start = day.startOf("year");
+    end = start.plus({ years: 1 });
+  }
+  return { from: start.toMillis(), to: end.toMillis() };
+}
+
+function isPeriodView() {
+  return PERIOD_VIEWS.includes(VIEW_MODE) && !!selectedDayStartMs;
+}
+
 /* ===== Display helpers (force JST) ===== */
 function fmtTime(ms) {
   if (!ms) return "--";
@@ -278,6 +459,12 @@ function fmtMD(ms) {
   return luxon.DateTime.fromMillis(ms, { zone: "Asia/Tokyo" }).toFormat("LL/dd");
 }
 
+// "HH:mm" for live/day, "MM/DD HH:mm" when the view spans several days
+function fmtAt(ms) {
+  if (!ms) return "--";
+  return VIEW_MODE === "live" || VIEW_MODE === "day" ? fmtHM(ms) : `${fmtMD(ms)} ${fmtHM(ms)}`;
+}
+
 /* ===== datetime-local handling (treat input as JST) ===== */
 function toJstDateTimeLocalValueFromMs(ms) {
   const dt = luxon.DateTime.fromMillis(ms, { zone: "Asia/Tokyo" });
@@ -318,16 +505,30 @@ function updateChartTitles() {
     set(humChartTitleEl, `Humidity (${dayStr})`);
     set(pressChartTitleEl, `Pressure (${dayStr})`);
     set(lightChartTitleEl, `Light (${dayStr})`);
+    set(derivedChartTitleEl, `${derivedMetric().label} (${dayStr})`);
+    return;
+  }
+
+  if (isPeriodView()) {
+    const resLabel = resolutionLabel(CURRENT_RESOLUTION);
+    const periodStr = `${periodLabel()}${resLabel ? `, ${resLabel}` : ""}`;
+    set(tempChartTitleEl, `Temperature (${periodStr})`);
+    set(humChartTitleEl, `Humidity (${periodStr})`);
+    set(pressChartTitleEl, `Pressure (${periodStr})`);
+    set(lightChartTitleEl, `Light (${periodStr})`);
+    set(derivedChartTitleEl, `${derivedMetric().label} (${periodStr})`);
     return;
   }
 
   if (VIEW_MODE === "range" && typeof rangeStartMs === "number" && typeof rangeEndMs === "number") {
     const endClamped = Math.min(rangeEndMs, Date.now());
-    const rangeStr = `${fmtYMDHM(rangeStartMs)} – ${fmtYMDHM(endClamped)}`;
+    const resLabel = resolutionLabel(CURRENT_RESOLUTION);
+    const rangeStr = `${fmtYMDHM(rangeStartMs)} – ${fmtYMDHM(endClamped)}${resLabel ? `, ${resLabel}` : ""}`;
     set(tempChartTitleEl, `Temperature (${rangeStr})`);
     set(humChartTitleEl, `Humidity (${rangeStr})`);
     set(pressChartTitleEl, `Pressure (${rangeStr})`);
     set(lightChartTitleEl, `Light (${rangeStr})`);
+    set(derivedChartTitleEl, `${derivedMetric().label} (${rangeStr})`);
     return;
   }
 
@@ -335,15 +536,38 @@ function updateChartTitles() {
   set(humChartTitleEl, "Humidity (Today)");
   set(pressChartTitleEl, "Pressure (Today)");
   set(lightChartTitleEl, "Light (Today)");
+  set(derivedChartTitleEl, `${derivedMetric().label} (Today)`);
+}
+
+// Week / month / year title text, e.g. "Week of 2026/10/11 – 10/17", "October 2026", "2026"
+function periodLabel() {
+  const win = periodWindow(VIEW_MODE, selectedDayStartMs);
+  const start = luxon.DateTime.fromMillis(win.from, { zone: "Asia/Tokyo" });
+  if (VIEW_MODE === "week") return `Week of ${fmtYMD(win.from)} – ${fmtMD(win.to - 1)}`;
+  if (VIEW_MODE === "month") return start.setLocale("en").toFormat("LLLL yyyy");
+  if (VIEW_MODE === "year") return start.toFormat("yyyy");
+  return fmtYMD(win.from);
 }
 
 /* =======================
    ✅ NEW: Card label text switching (Option 1)
 ======================= */
+const CURRENT_PERIOD_PREFIX = { week: "This week's", month: "This month's", year: "This year's" };
+
 function getCardLabelPrefix() {
   if (VIEW_MODE === "day" && selectedDayStartMs) {
     return fmtMD(selectedDayStartMs); // "01/15"
   }
+  if (isPeriodView()) {
+    const win = periodWindow(VIEW_MODE, selectedDayStartMs);
+    const now = Date.now();
+    if (now >= win.from && now < win.to) return CURRENT_PERIOD_PREFIX[VIEW_MODE];
+
+    const start = luxon.DateTime.fromMillis(win.from, { zone: "Asia/Tokyo" });
+    if (VIEW_MODE === "week") return `Week of ${fmtMD(win.from)}`;
+    if (VIEW_MODE === "month") return start.setLocale("en").toFormat("LLL yyyy");
+    return start.toFormat("yyyy");
+  }
   if (VIEW_MODE === "range" && typeof rangeStartMs === "number" && typeof rangeEndMs === "number") {
     const end = Math.min(rangeEndMs, Date.now());
     return `${fmtMD(rangeStartMs)}–${fmtMD(end)}`; // "01/15–01/16"
@@ -516,7 +740,10 @@ function hideGlobalModal(ack) {
   MODAL.overlay.style.display = "none";
   MODAL_VISIBLE = false;
 
-  if (ack && MODAL_EVENT_KEY) runGlobalAI({ ackEventKey: MODAL_EVENT_KEY });
+  if (ack && MODAL_EVENT_KEY) {
+    recordAlertAck(MODAL_EVENT_KEY);
+    runGlobalAI({ ackEventKey: MODAL_EVENT_KEY });
+  }
   MODAL_EVENT_KEY = null;
 }
 
@@ -524,14 +751,19 @@ function hideGlobalModal(ack) {
    Selected device AI update
 ======================= */
 function updateAIUI() {
+  // week / month / year summaries cover the whole period
+  const periodWin = isPeriodView() && VIEW_MODE !== "day" ? getActiveWindow() : null;
+
   const res = AI.update({
     viewMode: VIEW_MODE,
     rows: CURRENT_VIEW_ROWS,
     deviceName: getCurrentDeviceName(),
     langMode: LANG_MODE,
     nowMs: Date.now(),
-    rangeStartMs,
-    rangeEndMs,
+    rangeStartMs: periodWin ? periodWin.from : rangeStartMs,
+    rangeEndMs: periodWin ? periodWin.to : rangeEndMs,
+    history: GLOBAL_HISTORY.get(currentDeviceId)?.rows || [],
+    altitudeM: getDevice(currentDeviceId)?.altitudeM || 0,
   });
 
   if (aiTitleEl) aiTitleEl.textContent = res?.title ?? "AI";
@@ -545,6 +777,12 @@ function updateAIUI() {
 let GLOBAL_STATE = new Map(); // deviceId -> { deviceId, deviceName, rows, lastDataMs }
 let GLOBAL_AI_TIMER = null;
 
+// 10-min rollups of the last few hours per device, for the 3 h rules (drop3h,
+// pressure tendency); the polled raw rows only cover ~20 min
+const GLOBAL_HISTORY_MS = 4 * 60 * 60 * 1000;
+const GLOBAL_HISTORY_TTL_MS = 5 * 60 * 1000; // rollups are refreshed every 5 min server-side
+const GLOBAL_HISTORY = new Map(); // deviceId -> { fetchedMs, rows (ASC) }
+
 function getGlobalDevicesPayload() {
   const list = [];
   for (const dev of DEVICES) {
@@ -556,8 +794,14 @@ function getGlobalDevicesPayload() {
     };
     list.push({
       deviceId: st.deviceId,
-      deviceName: st.deviceName,
+      deviceName: dev.name, // registry name may change live
+      capabilities: dev.capabilities,
+      thresholds: ALERT_PROFILES.get(dev.id) || null,
       rows: st.rows || [],
+      history: GLOBAL_HISTORY.get(dev.id)?.rows || [],
+      baselines: BASELINES.get(dev.id) || null,
+      sampleIntervalMs: sampleIntervalMs(DEVICE_CONFIGS.get(dev.id)),
+      uploadIntervalMs: uploadIntervalMs(DEVICE_CONFIGS.get(dev.id)),
       lastDataMs: st.lastDataMs || null,
     });
   }
@@ -578,6 +822,7 @@ function runGlobalAI({ ackEventKey = null } = {}) {
     persistWindowMs: 30 * 60 * 1000,
     modalSnoozeMs: 5 * 60 * 1000,
     ackEventKey,
+    thresholds: ALERT_PROFILES.get("default") || null,
   });
 
   const lang = res?.lang || (LANG_MODE === "jp" ? "jp" : "en");
@@ -609,6 +854,11 @@ function runGlobalAI({ ackEventKey = null } = {}) {
   }
 }
 
+function globalLimitDocs(deviceId) {
+  const n = Math.ceil(GLOBAL_WINDOW_MS / sampleIntervalMs(DEVICE_CONFIGS.get(deviceId)));
+  return Math.min(GLOBAL_LIMIT_MAX_DOCS, Math.max(GLOBAL_LIMIT_MIN_DOCS, n));
+}
+
 /* =======================
    Global monitoring (FIXED: POLLING, NOT onSnapshot)
 ======================= */
@@ -620,10 +870,11 @@ async function pollGlobalOnce() {
   GLOBAL_POLL_INFLIGHT = true;
 
   try {
-    for (const dev of DEVICES) {
+    // snapshot: the registry listener may replace DEVICES while we await
+    for (const dev of DEVICES.slice()) {
       try {
         const dataCol = collection(db, "public_readings", dev.id, "data");
-        const qData = query(dataCol, orderBy("timestamp", "desc"), limit(GLOBAL_LIMIT_DOCS));
+        const qData = query(dataCol, orderBy("timestamp", "desc"), limit(globalLimitDocs(dev.id)));
         const snap = await getDocs(qData);
 
         if (snap.empty) {
@@ -632,11 +883,20 @@ async function pollGlobalOnce() {
         }
 
         const rows = [];
-        snap.forEach((doc) => rows.push(doc.data()));
+        snap.forEach((doc) => rows.push(calibrated(dev.id, doc.data())));
         rows.reverse();
 
         const lastMs = tsToMs(rows[rows.length - 1]?.timestamp);
         GLOBAL_STATE.set(dev.id, { deviceId: dev.id, deviceName: dev.name, rows, lastDataMs: lastMs });
+
+        const hist = GLOBAL_HISTORY.get(dev.id);
+        const now = Date.now();
+        if (!hist || now - hist.fetchedMs >= GLOBAL_HISTORY_TTL_MS) {
+          const hSnap = await getDocs(windowQuery(dev.id, { from: now - GLOBAL_HISTORY_MS, to: now }, "10m"));
+          const hRows = [];
+          hSnap.forEach((doc) => hRows.push(calibrated(dev.id, doc.data())));
+          GLOBAL_HISTORY.set(dev.id, { fetchedMs: now, rows: hRows });
+        }
       } catch (e) {
         console.error("Global poll error:", dev.id, e);
         GLOBAL_STATE.set(dev.id, { deviceId: dev.id, deviceName: dev.name, rows: [], lastDataMs: null });
@@ -644,6 +904,7 @@ async function pollGlobalOnce() {
     }
 
     runGlobalAI();
+    if (isOverviewMode()) loadOverviewHistory().then(renderOverview);
   } finally {
     GLOBAL_POLL_INFLIGHT = false;
   }
@@ -659,37 +920,188 @@ function startGlobalMonitoring() {
 }
 
 /* =======================
-   Status (dot/text)
+   Server alerts (Firestore: alerts/{eventKey})
+   Written by the evaluateAlerts Cloud Function, so alerts raised while
+   no tab was open still show up here.
 ======================= */
-function renderStatus() {
-  if (!statusDot || !statusText) return;
+let SERVER_ALERTS = new Map(); // eventKey -> alert doc (active only)
+const SERVER_ALERT_SHOWN_STAGE = new Map(); // eventKey -> highest stage already shown
+let unsubscribeServerAlerts = null;
+
+function subscribeServerAlerts() {
+  if (unsubscribeServerAlerts) {
+    unsubscribeServerAlerts();
+    unsubscribeServerAlerts = null;
+  }
 
-  if (!deviceLastSeenMs) {
-    statusDot.classList.remove("online");
-    statusDot.classList.add("offline");
-    statusText.textContent = "Offline (no data)";
-    return;
+  const qActive = query(collection(db, "alerts"), where("active", "==", true));
+
+  unsubscribeServerAlerts = onSnapshot(
+    qActive,
+    (snap) => {
+      const m = new Map();
+      snap.forEach((d) => m.set(d.id, d.data()));
+      SERVER_ALERTS = m;
+      renderOverview();
+
+      // acks survive a reload: snooze here too
+      for (const [k, a] of m) {
+        if (typeof a.ackMs === "number") AI.acknowledgeEvent(k, a.ackMs);
+      }
+
+      for (const k of Array.from(SERVER_ALERT_SHOWN_STAGE.keys())) {
+        if (!m.has(k)) SERVER_ALERT_SHOWN_STAGE.delete(k);
+      }
+
+      // new alerts / escalations only; show the most severe one
+      const fresh = [];
+      for (const [k, a] of m) {
+        if ((a.stage || 0) > (SERVER_ALERT_SHOWN_STAGE.get(k) || 0)) fresh.push(a);
+        SERVER_ALERT_SHOWN_STAGE.set(k, Math.max(a.stage || 0, SERVER_ALERT_SHOWN_STAGE.get(k) || 0));
+      }
+      if (!fresh.length || MODAL_VISIBLE) return;
+
+      fresh.sort((a, b) => (b.stage || 0) - (a.stage || 0));
+      const top = fresh[0];
+      if (top.eventKey === MODAL_EVENT_KEY) return;
+
+      const text = top.texts?.[currentLang()] || top.texts?.en || top.eventKey;
+      showBigToast(top.stage >= 3 ? "alert" : "warn", text);
+    },
+    (err) => {
+      console.error("❌ Server alerts snapshot error:", err);
+    }
+  );
+}
+
+/* =======================
+   Alert acknowledgements
+   - sent to the ackAlert function (admin key), which stamps the time and sets
+     alerts/{eventKey}.ackPending; the next evaluateAlerts run snoozes the event
+     server-side and copies the ack to its alert_log entry (history within a minute)
+   - without the key the ack only snoozes this tab
+======================= */
+const OPERATOR_NAME_KEY = "envDashboard.operatorName";
+
+function getOperatorName() {
+  try {
+    return (localStorage.getItem(OPERATOR_NAME_KEY) || "").trim();
+  } catch {
+    return "";
   }
+}
 
-  const ageMs = Date.now() - deviceLastSeenMs;
+function setOperatorName(name) {
+  try {
+    localStorage.setItem(OPERATOR_NAME_KEY, String(name || "").trim());
+  } catch {
+    // private mode etc.: name is just not remembered
+  }
+}
 
-  if (ageMs < OFFLINE_WARN_MS) {
-    statusDot.classList.remove("offline");
-    statusDot.classList.add("online");
-    statusText.textContent = `Online (${Math.floor(ageMs / 1000)}s ago)`;
-  } else if (ageMs < OFFLINE_ALERT_MS) {
-    statusDot.classList.remove("offline");
-    statusDot.classList.add("online");
-    statusText.textContent = `Online (slow: ${Math.floor(ageMs / 1000)}s ago)`;
-  } else {
-    statusDot.classList.remove("online");
+async function recordAlertAck(eventKey) {
+  try {
+    await callAdminFunction("ackAlert", { eventKey, ackBy: getOperatorName() || null });
+  } catch (e) {
+    console.error("❌ Alert ack write failed:", eventKey, e);
+  }
+}
+
+function setupOperatorName() {
+  if (!operatorNameInput) return;
+  operatorNameInput.value = getOperatorName();
+  operatorNameInput.addEventListener("change", () => setOperatorName(operatorNameInput.value));
+}
+
+/* =======================
+   Admin functions
+   Settings writes (thresholds, device config, calibration) go through
+   admin-keyed Cloud Functions; the key is kept for this tab only.
+======================= */
+const FUNCTIONS_BASE_URL = `https://us-central1-${firebaseConfig.projectId}.cloudfunctions.net`;
+const ADMIN_KEY_STORAGE = "envDashboard.adminKey";
+
+function getAdminKey() {
+  try {
+    return sessionStorage.getItem(ADMIN_KEY_STORAGE) || "";
+  } catch {
+    return adminKeyInput?.value || "";
+  }
+}
+
+function setAdminKey(key) {
+  try {
+    if (key) sessionStorage.setItem(ADMIN_KEY_STORAGE, key);
+    else sessionStorage.removeItem(ADMIN_KEY_STORAGE);
+  } catch {
+    // private mode etc.: getAdminKey falls back to the input
+  }
+}
+
+// POST body + adminKey -> response JSON; throws with a message for the settings line
+async function callAdminFunction(name, body) {
+  const adminKey = getAdminKey();
+  if (!adminKey) throw new Error("Enter the admin key first.");
+
+  const res = await fetch(`${FUNCTIONS_BASE_URL}/${name}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...body, adminKey }),
+  });
+  if (res.status === 403) throw new Error("Admin key rejected.");
+
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data?.ok) throw new Error(data?.error || `Request failed (${res.status}).`);
+  return data;
+}
+
+function setupAdminKey() {
+  if (!adminKeyInput) return;
+  adminKeyInput.value = getAdminKey();
+  adminKeyInput.addEventListener("change", () => setAdminKey(adminKeyInput.value.trim()));
+}
+
+/* =======================
+   Status (dot/text)
+======================= */
+// Shared by the header status and the overview tiles; health issues (device_status) only while online
+function statusFor(lastSeenMs, deviceId = null) {
+  if (!lastSeenMs) return { online: false, text: "Offline (no data)" };
+
+  const ageMs = Date.now() - lastSeenMs;
+  const lim = offlineLimits(uploadIntervalMs(DEVICE_CONFIGS.get(deviceId)), OFFLINE_WARN_MS, OFFLINE_ALERT_MS);
+  if (ageMs >= lim.alertMs) return { online: false, text: `Offline (last seen ${fmtTime(lastSeenMs)})` };
+
+  const issues = healthIssues(DEVICE_HEALTH.get(deviceId));
+  const secs = Math.floor(ageMs / 1000);
+  const base = ageMs < lim.warnMs ? `Online (${secs}s ago)` : `Online (slow: ${secs}s ago)`;
+  return { online: true, degraded: issues.length > 0, text: issues.length ? `${base} · ${issues.join(", ")}` : base };
+}
+
+function renderStatusDot(dotEl, textEl, lastSeenMs, deviceId = null) {
+  const st = statusFor(lastSeenMs, deviceId);
+  dotEl.classList.toggle("online", st.online);
+  dotEl.classList.toggle("offline", !st.online);
+  dotEl.classList.toggle("degraded", !!st.degraded);
+  textEl.textContent = st.text;
+}
+
+function renderStatus() {
+  if (!statusDot || !statusText) return;
+  if (!currentDeviceId) {
+    statusDot.classList.remove("online", "degraded");
     statusDot.classList.add("offline");
-    statusText.textContent = `Offline (last seen ${fmtTime(deviceLastSeenMs)})`;
+    statusText.textContent = DEVICES_STATE_TEXT[DEVICES_STATE] || DEVICES_STATE_TEXT.loading;
+    return;
   }
+  renderStatusDot(statusDot, statusText, deviceLastSeenMs, currentDeviceId);
 }
 
 function startStatusTicker() {
-  setInterval(renderStatus, 1000);
+  setInterval(() => {
+    renderStatus();
+    renderOverviewStatuses();
+  }, 1000);
 }
 
 /* =======================
@@ -715,44 +1127,51 @@ function registerZoomPlugin() {
   return true;
 }
 
-function makeTimeChart(canvas, label, color) {
+function makeTimeChart(canvas, label, color, { plugins = [], padBottom = 0 } = {}) {
   return new Chart(canvas, {
     type: "line",
     data: {
       datasets: [{ label, data: [], borderColor: color, borderWidth: 2, pointRadius: 0, tension: 0.25 }],
     },
+    plugins,
     options: {
       responsive: true,
       parsing: false,
       animation: { duration: 200 },
+      layout: { padding: { bottom: padBottom } },
       adapters: { date: { zone: "Asia/Tokyo" } },
       scales: {
         x: {
           type: "time",
-          time: { displayFormats: { hour: "HH:mm", minute: "HH:mm", second: "HH:mm:ss" } },
+          time: {
+            displayFormats: { month: "yyyy/LL", day: "LL/dd", hour: "HH:mm", minute: "HH:mm", second: "HH:mm:ss" },
+          },
           ticks: { maxTicksLimit: 10, autoSkip: true },
         },
         y: { beginAtZero: false },
       },
       plugins: {
+        legend: { display: true }, // replaced by the shared legend in compare mode
         zoom: {
           pan: {
             enabled: true,
             mode: "x",
-            onPanComplete() {
+            onPanComplete({ chart }) {
               if (IGNORE_ZOOM_EVENTS) return;
               LIVE_MODE = false;
               renderGoLiveButton();
+              syncZoomFrom(chart);
             },
           },
           zoom: {
             wheel: { enabled: true },
             pinch: { enabled: true },
             mode: "x",
-            onZoomComplete() {
+            onZoomComplete({ chart }) {
               if (IGNORE_ZOOM_EVENTS) return;
               LIVE_MODE = false;
               renderGoLiveButton();
+              syncZoomFrom(chart);
             },
           },
         },
@@ -763,10 +1182,15 @@ function makeTimeChart(canvas, label, color) {
 
 function initCharts() {
   registerZoomPlugin();
-  tempChart = makeTimeChart(tempCanvas, "Temperature (°C)", "#ff3b30");
-  humChart = makeTimeChart(humCanvas, "Humidity (%)", "#00a3ff");
-  pressChart = makeTimeChart(pressCanvas, "Pressure (hPa)", "#22c55e");
-  lightChart = makeTimeChart(lightCanvas, "Light (lux)", "#ffb020");
+  const plugins = [gapShadePlugin, anomalyMarksPlugin];
+  tempChart = makeTimeChart(tempCanvas, "Temperature (°C)", "#ff3b30", { plugins });
+  humChart = makeTimeChart(humCanvas, "Humidity (%)", "#00a3ff", { plugins });
+  pressChart = makeTimeChart(pressCanvas, "Pressure (hPa)", "#22c55e", { plugins });
+  lightChart = makeTimeChart(lightCanvas, "Light (lux)", "#ffb020", {
+    plugins: [...plugins, lightBandPlugin],
+    padBottom: LIGHT_BAND_HEIGHT + 6,
+  });
+  if (derivedCanvas) derivedChart = makeTimeChart(derivedCanvas, derivedChartLabel(), DERIVED_COLOR, { plugins });
 }
 
 /* =======================
@@ -779,6 +1203,8 @@ function getActiveWindow() {
     return { from: selectedDayStartMs, to: selectedDayStartMs + 24 * 60 * 60 * 1000 };
   }
 
+  if (isPeriodView()) return periodWindow(VIEW_MODE, selectedDayStartMs);
+
   if (VIEW_MODE === "range" && typeof rangeStartMs === "number" && typeof rangeEndMs === "number") {
     const to = Math.min(rangeEndMs, now);
     const from = Math.min(rangeStartMs, to);
@@ -788,6 +1214,45 @@ function getActiveWindow() {
   return { from: startOfTodayMs(), to: endOfTodayMs() };
 }
 
+// "raw" or a rollup level for the window (live always reads raw)
+function pickResolution(win) {
+  if (VIEW_MODE === "live") return "raw";
+  return resolutionForWindow(win);
+}
+
+function resolutionForWindow(win) {
+  const width = win.to - win.from;
+  if (width <= RAW_MAX_WINDOW_MS) return "raw";
+  return ROLLUP_LEVELS.find((l) => width <= l.maxWindowMs).res;
+}
+
+function resolutionLabel(res) {
+  return ROLLUP_LEVELS.find((l) => l.res === res)?.label || "";
+}
+
+// Window query for one device at the given resolution (ASC, capped)
+function windowQuery(deviceId, win, res) {
+  const col =
+    res === "raw"
+      ? collection(db, "public_readings", deviceId, "data")
+      : collection(db, "public_rollups", deviceId, res);
+  return query(
+    col,
+    where("timestamp", ">=", new Date(win.from)),
+    where("timestamp", "<", new Date(win.to)),
+    orderBy("timestamp", "asc"),
+    limit(WINDOW_LIMIT_DOCS)
+  );
+}
+
+// Rollup rows carry the bucket mean in d[metric] and the true extremes in d.stats
+function rowMax(d, metric) {
+  return d.stats?.[metric]?.max ?? d[metric];
+}
+function rowMin(d, metric) {
+  return d.stats?.[metric]?.min ?? d[metric];
+}
+
 function applyLiveWindow() {
   if (!LIVE_MODE) return;
 
@@ -795,23 +1260,24 @@ function applyLiveWindow() {
   const min = win.from;
   const max = Math.min(Date.now(), win.to);
 
-  [tempChart, humChart, pressChart, lightChart].forEach((ch) => {
+  allCharts().forEach((ch) => {
     ch.options.scales.x.min = min;
     ch.options.scales.x.max = max;
   });
 }
 
+// Fixed tick unit for calendar periods; auto for live/day/range
+const PERIOD_TIME_UNITS = { week: "day", month: "day", year: "month" };
+
 function forceWindowToActiveRange() {
   const win = getActiveWindow();
-  [tempChart, humChart, pressChart, lightChart].forEach((ch) => {
+  const unit = isPeriodView() ? PERIOD_TIME_UNITS[VIEW_MODE] : undefined;
+  allCharts().forEach((ch) => {
     ch.options.scales.x.min = win.from;
     ch.options.scales.x.max = win.to;
+    ch.options.scales.x.time.unit = unit;
+    ch.update();
   });
-
-  tempChart?.update();
-  humChart?.update();
-  pressChart?.update();
-  lightChart?.update();
 }
 
 function updateCharts({ tempPts, humPts, pressPts, lightPts }) {
@@ -821,16 +1287,42 @@ function updateCharts({ tempPts, humPts, pressPts, lightPts }) {
   humChart.data.datasets[0].data = humPts;
   pressChart.data.datasets[0].data = pressPts;
   lightChart.data.datasets[0].data = lightPts;
+  updateDataGaps();
 
   tempChart.update();
   humChart.update();
   pressChart.update();
+  updateAnomalyMarks();
+  updateLightBand();
   lightChart.update();
+  renderDerivedChart();
 }
 
 /* =======================
    Cards
 ======================= */
+// Hide cards/charts for metrics the selected device has no sensor for (registry capabilities)
+function applyCapabilitiesToLayout() {
+  const dev = getDevice(currentDeviceId);
+  const ui = [
+    { metric: "Temperature", card: tempNowEl?.closest(".sensorCard"), chart: tempCanvas?.closest(".chartCard") },
+    { metric: "Humidity", card: humNowEl?.closest(".sensorCard"), chart: humCanvas?.closest(".chartCard") },
+    { metric: "Pressure", card: pressNowEl?.closest(".sensorCard"), chart: pressCanvas?.closest(".chartCard") },
+    { metric: "Light", card: lightNowEl?.closest(".sensorCard"), chart: lightCanvas?.closest(".chartCard") },
+  ];
+
+  for (const u of ui) {
+    const display = deviceHasMetric(dev, u.metric) ? "" : "none";
+    if (u.card) u.card.style.display = display;
+    if (u.chart) u.chart.style.display = display;
+  }
+
+  const derivedDisplay = DERIVED_INPUTS.every((m) => deviceHasMetric(dev, m)) ? "" : "none";
+  if (derivedCardsEl) derivedCardsEl.style.display = derivedDisplay;
+  const derivedChartCard = derivedCanvas?.closest(".chartCard");
+  if (derivedChartCard) derivedChartCard.style.display = derivedDisplay;
+}
+
 function setAllCardTextToDash() {
   if (tempNowEl) tempNowEl.textContent = "--";
   if (tempMaxEl) tempMaxEl.textContent = "--";
@@ -849,6 +1341,16 @@ function setAllCardTextToDash() {
   if (lightMinEl) lightMinEl.textContent = "--";
 }
 
+// Calibrated "now" values: the raw reading on hover
+function setRawTitles(latest) {
+  const els = { Temperature: tempNowEl, Humidity: humNowEl, Pressure: pressNowEl, Light: lightNowEl };
+  for (const [metric, el] of Object.entries(els)) {
+    if (!el) continue;
+    const raw = VIEW_MODE === "live" ? latest?.raw?.[metric] : undefined;
+    el.title = typeof raw === "number" ? `Calibrated (raw ${formatNum(raw, 2)})` : "";
+  }
+}
+
 function updateCards({
   latest,
   tMax, tMaxMs, tMin, tMinMs,
@@ -863,6 +1365,8 @@ function updateCards({
     return;
   }
 
+  setRawTitles(latest);
+
   if (VIEW_MODE === "live") {
     if (tempNowEl) tempNowEl.textContent = `${formatNum(latest.Temperature, 2)} °C`;
     if (humNowEl) humNowEl.textContent = `${formatNum(latest.Humidity, 2)} %`;
@@ -875,17 +1379,17 @@ function updateCards({
     if (lightNowEl) lightNowEl.textContent = "--";
   }
 
-  if (tempMaxEl) tempMaxEl.textContent = `${formatNum(tMax, 2)} °C at ${fmtHM(tMaxMs)}`;
-  if (tempMinEl) tempMinEl.textContent = `${formatNum(tMin, 2)} °C at ${fmtHM(tMinMs)}`;
+  if (tempMaxEl) tempMaxEl.textContent = `${formatNum(tMax, 2)} °C at ${fmtAt(tMaxMs)}`;
+  if (tempMinEl) tempMinEl.textContent = `${formatNum(tMin, 2)} °C at ${fmtAt(tMinMs)}`;
 
-  if (humMaxEl) humMaxEl.textContent = `${formatNum(hMax, 2)} % at ${fmtHM(hMaxMs)}`;
-  if (humMinEl) humMinEl.textContent = `${formatNum(hMin, 2)} % at ${fmtHM(hMinMs)}`;
+  if (humMaxEl) humMaxEl.textContent = `${formatNum(hMax, 2)} % at ${fmtAt(hMaxMs)}`;
+  if (humMinEl) humMinEl.textContent = `${formatNum(hMin, 2)} % at ${fmtAt(hMinMs)}`;
 
-  if (pressMaxEl) pressMaxEl.textContent = `${formatNum(pMax, 1)} hPa at ${fmtHM(pMaxMs)}`;
-  if (pressMinEl) pressMinEl.textContent = `${formatNum(pMin, 1)} hPa at ${fmtHM(pMinMs)}`;
+  if (pressMaxEl) pressMaxEl.textContent = `${formatNum(pMax, 1)} hPa at ${fmtAt(pMaxMs)}`;
+  if (pressMinEl) pressMinEl.textContent = `${formatNum(pMin, 1)} hPa at ${fmtAt(pMinMs)}`;
 
-  if (lightMaxEl) lightMaxEl.textContent = `${formatNum(lMax, 1)} lux at ${fmtHM(lMaxMs)}`;
-  if (lightMinEl) lightMinEl.textContent = `${formatNum(lMin, 1)} lux at ${fmtHM(lMinMs)}`;
+  if (lightMaxEl) lightMaxEl.textContent = `${formatNum(lMax, 1)} lux at ${fmtAt(lMaxMs)}`;
+  if (lightMinEl) lightMinEl.textContent = `${formatNum(lMin, 1)} lux at ${fmtAt(lMinMs)}`;
 }
 
 /* =======================
@@ -897,6 +1401,11 @@ function subscribeDeviceStatus() {
     unsubscribeStatus = null;
   }
 
+  if (!currentDeviceId) {
+    deviceLastSeenMs = null;
+    return renderStatus();
+  }
+
   const dataCol = collection(db, "public_readings", currentDeviceId, "data");
   const qLatest = query(dataCol, orderBy("timestamp", "desc"), limit(1));
 
@@ -927,26 +1436,22 @@ function subscribeToTodayData() {
     unsubscribeData();
     unsubscribeData = null;
   }
+  if (!currentDeviceId) return; // registry not loaded / empty
 
   setCardLabelsForView();
 
-  const dataCol = collection(db, "public_readings", currentDeviceId, "data");
-
   const win = getActiveWindow();
-  const fromDate = new Date(win.from);
-  const toDate = new Date(win.to);
+  CURRENT_RESOLUTION = pickResolution(win);
+  updateChartTitles();
+  subscribeCompareData();
+  loadReferenceOverlay();
 
   let qData = null;
 
-  if (VIEW_MODE === "day" || VIEW_MODE === "range") {
-    qData = query(
-      dataCol,
-      where("timestamp", ">=", fromDate),
-      where("timestamp", "<", toDate),
-      orderBy("timestamp", "asc"),
-      limit(WINDOW_LIMIT_DOCS)
-    );
+  if (VIEW_MODE !== "live") {
+    qData = windowQuery(currentDeviceId, win, CURRENT_RESOLUTION);
   } else {
+    const dataCol = collection(db, "public_readings", currentDeviceId, "data");
     qData = query(dataCol, orderBy("timestamp", "desc"), limit(FIRESTORE_LIMIT_DOCS));
   }
 
@@ -962,14 +1467,16 @@ function subscribeToTodayData() {
 
         setCardLabelsForView();
         setAllCardTextToDash();
+        renderDerivedCards(null);
 
         updateCharts({ tempPts: [], humPts: [], pressPts: [], lightPts: [] });
+        renderCompare();
         updateAIUI();
         return;
       }
 
       const rows = [];
-      snap.forEach((doc) => rows.push(doc.data()));
+      snap.forEach((doc) => rows.push(withDerived(calibrated(currentDeviceId, doc.data()))));
 
       if (VIEW_MODE === "live") rows.reverse(); // now ASC order in live
 
@@ -1030,12 +1537,14 @@ function subscribeToTodayData() {
         if (typeof d.Temperature === "number") {
           tempPts.push({ x: ms, y: d.Temperature });
 
-          if (tMax === null || d.Temperature > tMax) {
-            tMax = d.Temperature;
+          const hi = rowMax(d, "Temperature");
+          const lo = rowMin(d, "Temperature");
+          if (tMax === null || hi > tMax) {
+            tMax = hi;
             tMaxMs = ms;
           }
-          if (tMin === null || d.Temperature < tMin) {
-            tMin = d.Temperature;
+          if (tMin === null || lo < tMin) {
+            tMin = lo;
             tMinMs = ms;
           }
         }
@@ -1043,12 +1552,14 @@ function subscribeToTodayData() {
         if (typeof d.Humidity === "number") {
           humPts.push({ x: ms, y: d.Humidity });
 
-          if (hMax === null || d.Humidity > hMax) {
-            hMax = d.Humidity;
+          const hi = rowMax(d, "Humidity");
+          const lo = rowMin(d, "Humidity");
+          if (hMax === null || hi > hMax) {
+            hMax = hi;
             hMaxMs = ms;
           }
-          if (hMin === null || d.Humidity < hMin) {
-            hMin = d.Humidity;
+          if (hMin === null || lo < hMin) {
+            hMin = lo;
             hMinMs = ms;
           }
         }
@@ -1056,12 +1567,14 @@ function subscribeToTodayData() {
         if (typeof d.Pressure === "number") {
           pressPts.push({ x: ms, y: d.Pressure });
 
-          if (pMax === null || d.Pressure > pMax) {
-            pMax = d.Pressure;
+          const hi = rowMax(d, "Pressure");
+          const lo = rowMin(d, "Pressure");
+          if (pMax === null || hi > pMax) {
+            pMax = hi;
             pMaxMs = ms;
           }
-          if (pMin === null || d.Pressure < pMin) {
-            pMin = d.Pressure;
+          if (pMin === null || lo < pMin) {
+            pMin = lo;
             pMinMs = ms;
           }
         }
@@ -1069,12 +1582,14 @@ function subscribeToTodayData() {
         if (typeof d.Light === "number") {
           lightPts.push({ x: ms, y: d.Light });
 
-          if (lMax === null || d.Light > lMax) {
-            lMax = d.Light;
+          const hi = rowMax(d, "Light");
+          const lo = rowMin(d, "Light");
+          if (lMax === null || hi > lMax) {
+            lMax = hi;
             lMaxMs = ms;
           }
-          if (lMin === null || d.Light < lMin) {
-            lMin = d.Light;
+          if (lMin === null || lo < lMin) {
+            lMin = lo;
             lMinMs = ms;
           }
         }
@@ -1092,8 +1607,10 @@ function subscribeToTodayData() {
         pMax, pMaxMs, pMin, pMinMs,
         lMax, lMaxMs, lMin, lMinMs,
       });
+      renderDerivedCards(latest);
 
       updateCharts({ tempPts, humPts, pressPts, lightPts });
+      renderCompare();
 
       forceWindowToActiveRange();
       updateAIUI();
@@ -1107,546 +1624,3153 @@ function subscribeToTodayData() {
 }
 
 /* =======================
-   Device dropdown
+   Derived comfort metrics (metrics.js)
+   Rows get DewPoint / HeatIndex / WBGT / AbsHumidity / DiscomfortIndex
+   fields when they are read, so charts, compare and overlays treat them
+   like sensor metrics. One card per metric, one chart for the selected one.
 ======================= */
-function setupDeviceDropdown() {
-  if (!deviceSelect) return;
+const DERIVED_COLOR = "#e879f9";
+let DERIVED_CHART_METRIC = DERIVED_METRICS[0].key;
 
-  deviceSelect.innerHTML = "";
-  DEVICES.forEach((dev, idx) => {
-    const opt = document.createElement("option");
-    opt.value = dev.id;
-    opt.textContent = dev.name;
-    deviceSelect.appendChild(opt);
-    if (idx === 0) currentDeviceId = dev.id;
-  });
+function derivedMetric(key = DERIVED_CHART_METRIC) {
+  return DERIVED_METRICS.find((m) => m.key === key) || DERIVED_METRICS[0];
+}
 
-  deviceSelect.value = currentDeviceId;
+function derivedChartLabel() {
+  const m = derivedMetric();
+  return m.unit ? `${m.label} (${m.unit})` : m.label;
+}
 
-  deviceSelect.addEventListener("change", () => {
-    currentDeviceId = deviceSelect.value;
+function fmtDerived(m, v) {
+  return `${formatNum(v, m.digits)}${m.unit ? ` ${m.unit}` : ""}`;
+}
 
-    // clear paused buffer on device change
-    PAUSED_LIVE_BUFFER = null;
-    PAUSED_LIVE_LAST_MS = null;
+function derivedCardEl(key) {
+  return derivedCardsEl?.querySelector(`.sensorCard[data-metric="${key}"]`) || null;
+}
 
-    subscribeDeviceStatus();
+function renderDerivedCards(latest) {
+  if (!derivedCardsEl) return;
+  const prefix = getCardLabelPrefix();
 
-    VIEW_MODE = "live";
-    selectedDayStartMs = null;
-    rangeStartMs = null;
-    rangeEndMs = null;
-    setMsg("");
+  for (const m of DERIVED_METRICS) {
+    const card = derivedCardEl(m.key);
+    if (!card) continue;
+    const ex = rowsExtremes(CURRENT_VIEW_ROWS, m.key);
+
+    card.querySelector(".sensorNow").textContent =
+      VIEW_MODE === "live" && typeof latest?.[m.key] === "number" ? fmtDerived(m, latest[m.key]) : "--";
+    card.querySelector(".derivedMaxLabel").textContent = `${prefix} Max:`;
+    card.querySelector(".derivedMinLabel").textContent = `${prefix} Min:`;
+    card.querySelector(".derivedMax").textContent =
+      ex.max === null ? "--" : `${fmtDerived(m, ex.max)} at ${fmtAt(ex.maxMs)}`;
+    card.querySelector(".derivedMin").textContent =
+      ex.min === null ? "--" : `${fmtDerived(m, ex.min)} at ${fmtAt(ex.minMs)}`;
+  }
+}
 
-    LIVE_MODE = true;
-    renderGoLiveButton();
-    updateChartTitles();
-    setCardLabelsForView();
+function renderDerivedChart() {
+  if (!derivedChart) return;
+  const data = [];
+  for (const d of CURRENT_VIEW_ROWS) {
+    const ms = tsToMs(d.timestamp);
+    if (ms && typeof d[DERIVED_CHART_METRIC] === "number") data.push({ x: ms, y: d[DERIVED_CHART_METRIC] });
+  }
+  derivedChart.data.datasets[0].label = derivedChartLabel();
+  derivedChart.data.datasets[0].data = data;
+  derivedChart.update();
+}
 
-    syncRangeMaxNow();
-    const nowJ = luxon.DateTime.now().setZone("Asia/Tokyo");
-    calYear = nowJ.year;
-    calMonth = nowJ.month - 1;
-    renderCalendar();
+function setupDerivedMetrics() {
+  if (derivedCardsEl) {
+    derivedCardsEl.innerHTML = "";
+    for (const m of DERIVED_METRICS) {
+      const card = document.createElement("div");
+      card.className = "sensorCard derived";
+      card.dataset.metric = m.key;
+      card.innerHTML = `
+        <div class="sensorHeader"><div class="sensorTitle"></div></div>
+        <div class="sensorNow">--</div>
+        <div class="sensorMeta">
+          <div><span class="derivedMaxLabel">Today's Max:</span> <span class="derivedMax">--</span></div>
+          <div><span class="derivedMinLabel">Today's Min:</span> <span class="derivedMin">--</span></div>
+        </div>`;
+      card.querySelector(".sensorTitle").textContent = m.label;
+      derivedCardsEl.appendChild(card);
+    }
+  }
 
-    subscribeToTodayData();
-    updateAIUI();
-  });
+  if (derivedMetricSelect) {
+    derivedMetricSelect.innerHTML = "";
+    for (const m of DERIVED_METRICS) {
+      const opt = document.createElement("option");
+      opt.value = m.key;
+      opt.textContent = m.label;
+      derivedMetricSelect.appendChild(opt);
+    }
+    derivedMetricSelect.value = DERIVED_CHART_METRIC;
+    derivedMetricSelect.addEventListener("change", () => {
+      DERIVED_CHART_METRIC = derivedMetricSelect.value;
+      updateChartTitles();
+      renderDerivedChart();
+      renderCompare();
+    });
+  }
 }
 
 /* =======================
-   Go Live button
+   Light timeline band (inferred occupancy)
+   - metrics.js lightSessions() tells daylight from artificial light; the band
+     under the light chart shows both, the line below it the sessions summary
+   - needs raw / 1-min rows: rollup means smear the on/off steps
 ======================= */
-function setupGoLiveButton() {
-  if (!goLiveBtn) return;
-
-  goLiveBtn.addEventListener("click", () => {
-    // clear paused buffer when user explicitly resumes live
-    PAUSED_LIVE_BUFFER = null;
-    PAUSED_LIVE_LAST_MS = null;
+const LIGHT_BAND_HEIGHT = 8;
+const LIGHT_BAND_COLORS = { artificial: "#ffb020", daylight: "rgba(125,211,252,0.55)" };
+let LIGHT_BAND = []; // [{ fromMs, toMs, cls }]
+
+// Drawn below the x-axis labels, in the bottom padding reserved by makeTimeChart
+const lightBandPlugin = {
+  id: "lightBand",
+  afterDraw(chart) {
+    if (!LIGHT_BAND.length) return;
+    const { ctx, chartArea, scales } = chart;
+    const x = scales.x;
+    const top = x.bottom + 3;
+    ctx.save();
+    for (const seg of LIGHT_BAND) {
+      const x0 = Math.max(chartArea.left, x.getPixelForValue(seg.fromMs));
+      const x1 = Math.min(chartArea.right, x.getPixelForValue(seg.toMs));
+      if (x1 <= x0) continue;
+      ctx.fillStyle = LIGHT_BAND_COLORS[seg.cls];
+      ctx.fillRect(x0, top, Math.max(1, x1 - x0), LIGHT_BAND_HEIGHT);
+    }
+    ctx.restore();
+  },
+};
 
-    VIEW_MODE = "live";
-    selectedDayStartMs = null;
-    rangeStartMs = null;
-    rangeEndMs = null;
-    setMsg("");
-    updateChartTitles();
-    setCardLabelsForView();
+function lightBandSummary(days) {
+  const win = getActiveWindow();
+  const total = Math.max(days.length, Math.round((win.to - win.from) / DAY_MS));
+  const lit = days.filter((d) => d.sessions > 0);
+  if (!lit.length) return "No artificial light detected";
+  if (total <= 1) {
+    const d = lit[0];
+    const stillOn = VIEW_MODE === "live" && Date.now() - d.lastOffMs < 5 * 60 * 1000;
+    const off = stillOn ? "still on" : `last off ${fmtHM(d.lastOffMs)}`;
+    const sessions = `${d.sessions} session${d.sessions === 1 ? "" : "s"}`;
+    return `Lights first on ${fmtHM(d.firstOnMs)} · ${off} · ${d.litHours.toFixed(1)} h lit in ${sessions}`;
+  }
+  const hours = lit.reduce((a, d) => a + d.litHours, 0);
+  return `Lights on ${lit.length} of ${total} days · ${(hours / lit.length).toFixed(1)} h per lit day`;
+}
 
-    if (rangeStartEl) rangeStartEl.value = "";
-    if (rangeEndEl) rangeEndEl.value = "";
+function updateLightBand() {
+  const rows = CURRENT_VIEW_ROWS;
+  const res = rows[0]?.resolution;
+  const usable = rows.length && (!res || res === "1m");
+  const result = usable ? lightSessions(rows) : null;
+  LIGHT_BAND = result ? result.segments : [];
+
+  if (!lightBandInfoEl) return;
+  lightBandInfoEl.classList.toggle("hidden", !result || !result.samples.length);
+  if (!result || !result.samples.length) return;
+  lightBandInfoEl.querySelector(".lightBandText").textContent = lightBandSummary(result.days);
+}
 
-    LIVE_MODE = true;
-    renderGoLiveButton();
+/* =======================
+   Baseline anomalies (Firestore: baselines/{deviceId})
+   - hour-of-day profiles learned server-side (functions/baselines.js); points
+     of the selected device's view beyond the metric's baselineZ threshold are
+     ringed on its chart, one ring per run at the largest deviation
+   - the same profiles go into the global monitor payload (baseline rule)
+======================= */
+const ANOMALY_COLOR = "#ef4444";
+let BASELINES = new Map(); // deviceId -> { metric: profile }
+let ANOMALY_MARKS = {}; // metric -> [{ ms, v, z, expected }]
+let unsubscribeBaselines = null;
 
-    IGNORE_ZOOM_EVENTS = true;
-    [tempChart, humChart, pressChart, lightChart].forEach((ch) => ch?.resetZoom?.());
+function anomalyChartMetric(chart) {
+  return chartMetrics().find((c) => c.chart === chart)?.metric || null;
+}
 
-    setTimeout(() => {
-      IGNORE_ZOOM_EVENTS = false;
-      LIVE_MODE = true;
-      renderGoLiveButton();
-    }, 0);
+const anomalyMarksPlugin = {
+  id: "anomalyMarks",
+  afterDatasetsDraw(chart) {
+    const runs = ANOMALY_MARKS[anomalyChartMetric(chart)];
+    if (!runs?.length) return;
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.strokeStyle = ANOMALY_COLOR;
+    ctx.fillStyle = `${ANOMALY_COLOR}33`;
+    ctx.lineWidth = 2;
+    for (const r of runs) {
+      const x = scales.x.getPixelForValue(r.ms);
+      const y = scales.y.getPixelForValue(r.v);
+      if (x < chartArea.left || x > chartArea.right || y < chartArea.top || y > chartArea.bottom) continue;
+      ctx.beginPath();
+      ctx.arc(x, y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  },
+};
+
+function updateAnomalyMarks() {
+  ANOMALY_MARKS = {};
+  const profiles = BASELINES.get(currentDeviceId);
+  if (!profiles) return;
+
+  const TH = resolveThresholds(DEFAULT_THRESHOLDS, ALERT_PROFILES.get("default"), ALERT_PROFILES.get(currentDeviceId));
+  for (const metric of THRESHOLD_METRICS) {
+    const runs = baselineAnomalies(CURRENT_VIEW_ROWS, profiles[metric], metric, TH[metric]?.baselineZ);
+    if (runs.length) ANOMALY_MARKS[metric] = runs;
+  }
+}
 
-    const nowJ = luxon.DateTime.now().setZone("Asia/Tokyo");
-    calYear = nowJ.year;
-    calMonth = nowJ.month - 1;
-    renderCalendar();
+function renderAnomalyMarks() {
+  updateAnomalyMarks();
+  allCharts().forEach((ch) => ch.update("none"));
+}
 
-    subscribeToTodayData();
-    updateAIUI();
-  });
+function subscribeBaselines() {
+  if (unsubscribeBaselines) {
+    unsubscribeBaselines();
+    unsubscribeBaselines = null;
+  }
 
-  setInterval(() => renderGoLiveButton(), 500);
+  unsubscribeBaselines = onSnapshot(
+    collection(db, "baselines"),
+    (snap) => {
+      const m = new Map();
+      snap.forEach((d) => m.set(d.id, d.data()?.metrics || null));
+      BASELINES = m;
+      renderAnomalyMarks();
+      runGlobalAI();
+    },
+    (err) => {
+      console.error("❌ Baseline snapshot error:", err);
+    }
+  );
 }
 
 /* =======================
-   Day rollover (JST)
+   Data gaps (metrics.js findGaps / dailyUptime)
+   - expected row spacing = the device's sample interval (device_config) or the
+     rollup bucket; lines break where rows are further apart (spanGaps) and
+     the missing stretches are shaded on every chart
+   - gap table for the current view (built only while its panel is open),
+     uptime per JST day next to the cards
+   - a view capped by the query limit only covers the rows it got
 ======================= */
-let currentDayKey = null;
-function dayKeyNow() {
-  return luxon.DateTime.now().setZone("Asia/Tokyo").toFormat("yyyy-LL-dd");
+const GAP_FILL = "rgba(148,163,184,0.16)";
+const GAP_TABLE_MAX_ROWS = 200;
+const UPTIME_MAX_DAYS = 31; // longer views show the average and the worst day
+const UPTIME_WARN = 0.95;
+let DATA_GAPS_VIEW = { gaps: [], days: [], expectedMs: 0, fromMs: null, toMs: null };
+
+const gapShadePlugin = {
+  id: "gapShade",
+  beforeDatasetsDraw(chart) {
+    if (!DATA_GAPS_VIEW.gaps.length) return;
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.fillStyle = GAP_FILL;
+    for (const g of DATA_GAPS_VIEW.gaps) {
+      const x0 = Math.max(chartArea.left, scales.x.getPixelForValue(g.fromMs));
+      const x1 = Math.min(chartArea.right, scales.x.getPixelForValue(g.toMs));
+      if (x1 <= x0) continue;
+      ctx.fillRect(x0, chartArea.top, Math.max(1, x1 - x0), chartArea.bottom - chartArea.top);
+    }
+    ctx.restore();
+  },
+};
+
+function deviceSpanGapsMs(deviceId) {
+  return gapThresholdMs(expectedIntervalMs(CURRENT_RESOLUTION, sampleIntervalMs(DEVICE_CONFIGS.get(deviceId))));
 }
 
-function startDayWatcher() {
-  currentDayKey = dayKeyNow();
-  setInterval(() => {
-    const k = dayKeyNow();
-    if (k !== currentDayKey) {
-      currentDayKey = k;
+// Part of the active window the current rows can speak for
+function gapCoverageWindow(rows) {
+  const win = getActiveWindow();
+  let fromMs = win.from;
+  // live: the newest readings may still be waiting for the next upload
+  const pendingMs = VIEW_MODE === "live" ? uploadIntervalMs(DEVICE_CONFIGS.get(currentDeviceId)) : 0;
+  let toMs = Math.min(win.to, Date.now() - pendingMs);
+
+  if (VIEW_MODE === "live" && rows.length >= FIRESTORE_LIMIT_DOCS) {
+    fromMs = Math.max(fromMs, tsToMs(rows[0].timestamp) || fromMs); // newest N only
+  } else if (VIEW_MODE !== "live" && rows.length >= WINDOW_LIMIT_DOCS) {
+    toMs = Math.min(toMs, tsToMs(rows[rows.length - 1].timestamp) || toMs); // oldest N only
+  }
+  return { fromMs, toMs };
+}
 
-      // clear paused buffer on day rollover
-      PAUSED_LIVE_BUFFER = null;
-      PAUSED_LIVE_LAST_MS = null;
+function fmtDuration(ms) {
+  if (ms < 60000) return `${Math.round(ms / 1000)} s`;
+  const min = Math.round(ms / 60000);
+  if (min < 60) return `${min} min`;
+  const h = Math.floor(min / 60);
+  if (h < 48) return `${h} h ${min % 60} min`;
+  return `${Math.floor(h / 24)} d ${h % 24} h`;
+}
 
-      VIEW_MODE = "live";
-      selectedDayStartMs = null;
-      rangeStartMs = null;
-      rangeEndMs = null;
-      setMsg("");
+function fmtUptimePct(u) {
+  return `${(u * 100).toFixed(u >= 0.999 || u < 0.1 ? 0 : 1)}%`;
+}
 
-      LIVE_MODE = true;
-      renderGoLiveButton();
-      updateChartTitles();
-      setCardLabelsForView();
+function updateDataGaps() {
+  const rows = CURRENT_VIEW_ROWS;
+  const sampleMs = sampleIntervalMs(DEVICE_CONFIGS.get(currentDeviceId));
+  const expectedMs = expectedIntervalMs(CURRENT_RESOLUTION, sampleMs);
+  const { fromMs, toMs } = gapCoverageWindow(rows);
 
-      syncRangeMaxNow();
-      renderCalendar();
-      subscribeToTodayData();
-      updateAIUI();
-    }
-  }, 10000);
-}
+  const gaps = toMs > fromMs ? findGaps(rows, expectedMs, fromMs, toMs) : [];
+  const bucketMs = ROLLUP_BUCKET_MS[CURRENT_RESOLUTION] || 0;
+  const days = toMs > fromMs ? dailyUptime(rows, gaps, { sampleMs, bucketMs }, fromMs, toMs) : [];
+  DATA_GAPS_VIEW = { gaps, days, expectedMs, fromMs, toMs };
 
-/* =======================
-   Calendar (JST)
-======================= */
-function monthName(y, m) {
-  const dt = luxon.DateTime.fromObject({ year: y, month: m + 1, day: 1 }, { zone: "Asia/Tokyo" });
-  return dt.setLocale("en").toFormat("LLLL yyyy");
-}
-function isFutureDay(y, m, day) {
-  const start = startOfDayMs(y, m, day);
-  return start > startOfTodayMs();
+  const spanGaps = deviceSpanGapsMs(currentDeviceId);
+  allCharts().forEach((ch) => (ch.data.datasets[0].spanGaps = spanGaps));
+
+  renderUptime();
+  renderGapTable();
 }
-function isSelectedDay(y, m, day) {
-  if (!selectedDayStartMs) return false;
-  return selectedDayStartMs === startOfDayMs(y, m, day);
+
+function renderUptime() {
+  if (!uptimeInfoEl) return;
+  const { days } = DATA_GAPS_VIEW;
+  uptimeInfoEl.classList.toggle("hidden", !days.length);
+  uptimeInfoEl.innerHTML = "";
+  if (!days.length) return;
+
+  const chip = (label, u) => {
+    const el = document.createElement("span");
+    el.className = `uptimeChip${u < UPTIME_WARN ? " low" : ""}`;
+    el.textContent = `${label} ${fmtUptimePct(u)}`;
+    uptimeInfoEl.appendChild(el);
+  };
+
+  uptimeInfoEl.append("Uptime:");
+  if (days.length === 1) {
+    chip(VIEW_MODE === "live" ? "today" : fmtMD(days[0].dayStartMs), days[0].uptime);
+  } else if (days.length <= UPTIME_MAX_DAYS) {
+    days.forEach((d) => chip(fmtMD(d.dayStartMs), d.uptime));
+  } else {
+    const elapsed = days.reduce((a, d) => a + d.elapsedMs, 0);
+    const missing = days.reduce((a, d) => a + d.missingMs, 0);
+    const worst = days.reduce((a, d) => (d.uptime < a.uptime ? d : a));
+    chip(`${days.length} days`, Math.max(0, 1 - missing / elapsed));
+    chip(`worst ${fmtYMD(worst.dayStartMs)}`, worst.uptime);
+  }
 }
-function isTodayCell(y, m, day) {
-  const t = luxon.DateTime.now().setZone("Asia/Tokyo");
-  return y === t.year && m === t.month - 1 && day === t.day;
+
+function setGapMsg(text) {
+  if (gapMsgEl) gapMsgEl.textContent = text || "";
 }
 
-function renderCalendar() {
-  if (!calGridEl || !calTitleEl) return;
+function renderGapTable() {
+  if (!gapTableEl || (gapPanel && !gapPanel.open)) return;
+  const { gaps, expectedMs, fromMs, toMs } = DATA_GAPS_VIEW;
+  gapTableEl.innerHTML = "";
 
-  const now = luxon.DateTime.now().setZone("Asia/Tokyo");
-  const isCurrentMonth = calYear === now.year && calMonth === now.month - 1;
-  if (calNextBtn) calNextBtn.disabled = isCurrentMonth;
+  if (fromMs === null || toMs <= fromMs) {
+    setGapMsg("");
+    return;
+  }
+  const missing = gaps.reduce((a, g) => a + (g.toMs - g.fromMs), 0);
+  const every = `expected every ${fmtDuration(expectedMs)}`;
+  setGapMsg(
+    gaps.length
+      ? `${gaps.length} gap${gaps.length === 1 ? "" : "s"}, ${fmtDuration(missing)} without data (${every}).`
+      : `No gaps in ${fmtDateTime(fromMs)} – ${fmtDateTime(toMs)} (${every}).`
+  );
+  if (!gaps.length) return;
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["From", "To", "Duration", "Missing samples"].forEach((t) => {
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  const sampleMs = sampleIntervalMs(DEVICE_CONFIGS.get(currentDeviceId));
+  for (const g of gaps.slice(0, GAP_TABLE_MAX_ROWS)) {
+    const tr = document.createElement("tr");
+    const ongoing = VIEW_MODE === "live" && g.toMs >= toMs;
+    [
+      fmtDateTime(g.fromMs),
+      ongoing ? "now (ongoing)" : fmtDateTime(g.toMs),
+      fmtDuration(g.toMs - g.fromMs),
+      `~${Math.round((g.toMs - g.fromMs) / sampleMs)}`,
+    ].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  }
+  gapTableEl.appendChild(table);
 
-  calTitleEl.textContent = monthName(calYear, calMonth);
-  calGridEl.innerHTML = "";
+  if (gaps.length > GAP_TABLE_MAX_ROWS) {
+    const more = document.createElement("div");
+    more.className = "settingsMsg";
+    more.textContent = `… ${gaps.length - GAP_TABLE_MAX_ROWS} more`;
+    gapTableEl.appendChild(more);
+  }
+}
 
-  const first = luxon.DateTime.fromObject({ year: calYear, month: calMonth + 1, day: 1 }, { zone: "Asia/Tokyo" });
-  const startWeekday = first.weekday % 7;
-  const daysInMonth = first.daysInMonth;
+// Config (sample interval) changed: redo the gaps without re-reading the data
+function renderDataGaps() {
+  updateDataGaps();
+  renderCompare();
+  allCharts().forEach((ch) => ch.update("none"));
+}
 
-  for (let i = 0; i < startWeekday; i++) {
-    const pad = document.createElement("div");
-    pad.className = "calCell calPad";
-    calGridEl.appendChild(pad);
-  }
+function setupDataGaps() {
+  if (gapPanel) gapPanel.addEventListener("toggle", renderGapTable);
+}
 
-  for (let day = 1; day <= daysInMonth; day++) {
-    const cell = document.createElement("button");
-    cell.type = "button";
-    cell.className = "calCell";
-    cell.textContent = String(day);
+/* =======================
+   Compare mode (multi-device overlay)
+   - each compared device gets a listener on the same window/resolution as the
+     selected device and one extra dataset per chart (dataset 0 = selected device;
+     the reference-day overlay, if any, is appended last)
+   - one shared legend (click to hide a device on all charts), zoom/pan mirrored
+     across the four charts, per-device min/max under each card
+======================= */
+const COMPARE_COLORS = ["#a78bfa", "#f472b6", "#2dd4bf", "#facc15", "#94a3b8", "#fb923c"];
+const SELECTED_DEVICE_SWATCH = "linear-gradient(90deg, #ff3b30, #00a3ff, #22c55e, #ffb020)";
+
+let COMPARE_DEVICE_IDS = []; // chosen in the compare bar (selected device excluded when used)
+const COMPARE_ROWS = new Map(); // deviceId -> rows (ASC)
+const COMPARE_HIDDEN = new Set(); // deviceIds toggled off in the legend
+let unsubscribeCompare = [];
+
+function chartMetrics() {
+  return [
+    { chart: tempChart, metric: "Temperature", nowEl: tempNowEl, unit: "°C", digits: 2 },
+    { chart: humChart, metric: "Humidity", nowEl: humNowEl, unit: "%", digits: 2 },
+    { chart: pressChart, metric: "Pressure", nowEl: pressNowEl, unit: "hPa", digits: 1 },
+    { chart: lightChart, metric: "Light", nowEl: lightNowEl, unit: "lux", digits: 1 },
+    ...(derivedChart
+      ? [
+          {
+            chart: derivedChart,
+            metric: DERIVED_CHART_METRIC,
+            nowEl: derivedCardEl(DERIVED_CHART_METRIC)?.querySelector(".sensorNow"),
+            unit: derivedMetric().unit,
+            digits: derivedMetric().digits,
+          },
+        ]
+      : []),
+  ];
+}
 
-    const disabled = isFutureDay(calYear, calMonth, day);
-    if (disabled) {
-      cell.disabled = true;
-      cell.classList.add("calDisabled");
-    }
+function allCharts() {
+  return chartMetrics()
+    .map((c) => c.chart)
+    .filter(Boolean);
+}
 
-    if (isTodayCell(calYear, calMonth, day)) cell.classList.add("calToday");
-    if (VIEW_MODE === "day" && isSelectedDay(calYear, calMonth, day)) cell.classList.add("calSelected");
+function compareDeviceIds() {
+  return COMPARE_DEVICE_IDS.filter((id) => id !== currentDeviceId && getDevice(id));
+}
 
-    cell.addEventListener("click", () => {
-      if (disabled) return;
+function isCompareMode() {
+  return compareDeviceIds().length > 0;
+}
 
-      // leaving live => clear paused buffer
-      PAUSED_LIVE_BUFFER = null;
-      PAUSED_LIVE_LAST_MS = null;
+function compareColor(id) {
+  const i = compareDeviceIds().indexOf(id);
+  return COMPARE_COLORS[(i < 0 ? 0 : i) % COMPARE_COLORS.length];
+}
 
-      VIEW_MODE = "day";
-      selectedDayStartMs = startOfDayMs(calYear, calMonth, day);
+function subscribeCompareData() {
+  unsubscribeCompare.forEach((u) => u());
+  unsubscribeCompare = [];
+  COMPARE_ROWS.clear();
+
+  const ids = compareDeviceIds();
+  if (ids.length) {
+    const win = getActiveWindow();
+    const res = pickResolution(win);
+
+    ids.forEach((id) => {
+      const unsub = onSnapshot(
+        windowQuery(id, win, res),
+        (snap) => {
+          const rows = [];
+          snap.forEach((d) => rows.push(withDerived(calibrated(id, d.data()))));
+          COMPARE_ROWS.set(id, rows);
+
+          // paused live view stays frozen, same as the selected device
+          if (VIEW_MODE === "live" && LIVE_MODE === false) return;
+          renderCompare();
+        },
+        (err) => {
+          console.error("❌ Compare snapshot error:", id, err);
+        }
+      );
+      unsubscribeCompare.push(unsub);
+    });
+  }
 
-      LIVE_MODE = false;
-      renderGoLiveButton();
-      updateChartTitles();
-      setCardLabelsForView();
+  renderCompare();
+}
 
-      rangeStartMs = null;
-      rangeEndMs = null;
-      if (rangeStartEl) rangeStartEl.value = "";
-      if (rangeEndEl) rangeEndEl.value = "";
-      setMsg("");
+function renderCompare() {
+  const ids = compareDeviceIds();
 
-      forceWindowToActiveRange();
-      renderCalendar();
+  for (const { chart, metric } of chartMetrics()) {
+    if (!chart) continue;
 
-      subscribeToTodayData();
-      updateAIUI();
+    chart.data.datasets.length = 1;
+    chart.data.datasets[0].hidden = ids.length > 0 && COMPARE_HIDDEN.has(currentDeviceId);
+    chart.options.plugins.legend.display = !ids.length;
+
+    ids.forEach((id) => {
+      const data = [];
+      for (const d of COMPARE_ROWS.get(id) || []) {
+        const ms = tsToMs(d.timestamp);
+        if (ms && typeof d[metric] === "number") data.push({ x: ms, y: d[metric] });
+      }
+      chart.data.datasets.push({
+        label: getDevice(id)?.name || id,
+        data,
+        borderColor: compareColor(id),
+        borderWidth: 1.5,
+        pointRadius: 0,
+        tension: 0.25,
+        spanGaps: deviceSpanGapsMs(id),
+        hidden: COMPARE_HIDDEN.has(id),
+      });
     });
 
-    calGridEl.appendChild(cell);
+    const ref = referenceDataset(metric, chart.data.datasets[0].borderColor);
+    if (ref) chart.data.datasets.push(ref);
+
+    chart.update("none");
   }
+
+  renderCompareLegend(ids);
+  renderCompareCards(ids);
 }
 
-function setupCalendarNav() {
-  if (calPrevBtn) {
-    calPrevBtn.addEventListener("click", () => {
-      calMonth -= 1;
-      if (calMonth < 0) {
-        calMonth = 11;
-        calYear -= 1;
-      }
-      renderCalendar();
+function renderCompareLegend(ids) {
+  if (!compareLegendEl) return;
+  compareLegendEl.classList.toggle("hidden", !ids.length);
+  compareLegendEl.innerHTML = "";
+  if (!ids.length) return;
+
+  [currentDeviceId, ...ids].forEach((id) => {
+    const item = document.createElement("div");
+    item.className = "compareLegendItem";
+    if (COMPARE_HIDDEN.has(id)) item.classList.add("off");
+
+    const sw = document.createElement("span");
+    sw.className = "compareSwatch";
+    sw.style.background = id === currentDeviceId ? SELECTED_DEVICE_SWATCH : compareColor(id);
+
+    const name = document.createElement("span");
+    name.textContent = getDevice(id)?.name || id;
+
+    item.appendChild(sw);
+    item.appendChild(name);
+    item.addEventListener("click", () => {
+      if (COMPARE_HIDDEN.has(id)) COMPARE_HIDDEN.delete(id);
+      else COMPARE_HIDDEN.add(id);
+      renderCompare();
     });
-  }
+    compareLegendEl.appendChild(item);
+  });
 
-  if (calNextBtn) {
-    calNextBtn.addEventListener("click", () => {
-      const now = luxon.DateTime.now().setZone("Asia/Tokyo");
-      const curY = now.year;
-      const curM = now.month - 1;
+  if (REF_ROWS.length) {
+    const item = document.createElement("div");
+    item.className = "compareLegendItem";
+    const sw = document.createElement("span");
+    sw.className = "compareSwatch";
+    sw.style.background = "repeating-linear-gradient(90deg, #e5e7eb 0 4px, transparent 4px 7px)";
+    const name = document.createElement("span");
+    name.textContent = `${getCurrentDeviceName()}: ${referenceLabel()}`;
+    item.appendChild(sw);
+    item.appendChild(name);
+    compareLegendEl.appendChild(item);
+  }
+}
 
-      let nextY = calYear;
-      let nextM = calMonth + 1;
-      if (nextM > 11) {
-        nextM = 0;
-        nextY += 1;
-      }
+// Max/min of one metric over rows (rollup rows use their bucket extremes)
+function rowsExtremes(rows, metric) {
+  let max = null, maxMs = null, min = null, minMs = null;
+  for (const d of rows) {
+    const ms = tsToMs(d.timestamp);
+    if (!ms || typeof d[metric] !== "number") continue;
+    const hi = rowMax(d, metric);
+    const lo = rowMin(d, metric);
+    if (max === null || hi > max) {
+      max = hi;
+      maxMs = ms;
+    }
+    if (min === null || lo < min) {
+      min = lo;
+      minMs = ms;
+    }
+  }
+  return { max, maxMs, min, minMs };
+}
 
-      if (nextY > curY || (nextY === curY && nextM > curM)) return;
+function renderCompareCards(ids) {
+  for (const { metric, nowEl, unit, digits } of chartMetrics()) {
+    const card = nowEl?.closest(".sensorCard");
+    if (!card) continue;
 
-      calYear = nextY;
-      calMonth = nextM;
-      renderCalendar();
+    let box = card.querySelector(".sensorCompare");
+    if (!box) {
+      box = document.createElement("div");
+      box.className = "sensorCompare";
+      card.appendChild(box);
+    }
+    box.classList.toggle("hidden", !ids.length);
+    box.innerHTML = "";
+    if (!ids.length) continue;
+
+    [currentDeviceId, ...ids].forEach((id) => {
+      const rows = id === currentDeviceId ? CURRENT_VIEW_ROWS : COMPARE_ROWS.get(id) || [];
+      const ex = rowsExtremes(rows, metric);
+
+      const row = document.createElement("div");
+      row.className = "sensorCompareRow";
+
+      const name = document.createElement("span");
+      name.className = "sensorCompareName";
+      const sw = document.createElement("span");
+      sw.className = "compareSwatch";
+      sw.style.background = id === currentDeviceId ? SELECTED_DEVICE_SWATCH : compareColor(id);
+      name.appendChild(sw);
+      name.appendChild(document.createTextNode(getDevice(id)?.name || id));
+
+      const vals = document.createElement("span");
+      vals.textContent =
+        ex.max === null
+          ? "--"
+          : `↑ ${formatNum(ex.max, digits)} ${unit} (${fmtAt(ex.maxMs)})  ↓ ${formatNum(ex.min, digits)} ${unit} (${fmtAt(ex.minMs)})`;
+
+      row.appendChild(name);
+      row.appendChild(vals);
+      box.appendChild(row);
     });
   }
 }
 
+// Mirror one chart's x range to the others while comparing
+function syncZoomFrom(source) {
+  if (!isCompareMode() || !source?.scales?.x) return;
+  const { min, max } = source.scales.x;
+  for (const { chart } of chartMetrics()) {
+    if (!chart || chart === source) continue;
+    chart.options.scales.x.min = min;
+    chart.options.scales.x.max = max;
+    chart.update("none");
+  }
+}
+
 /* =======================
-   Range (kept)
+   Reference-day overlay (live / day view)
+   Yesterday, the same weekday last week or a chosen day of the selected device,
+   time-shifted onto the shown day as a dashed line.
 ======================= */
-function syncRangeMaxNow() {
-  const nowJ = luxon.DateTime.now().setZone("Asia/Tokyo").toMillis();
-  const maxStr = toJstDateTimeLocalValueFromMs(nowJ);
-  if (rangeStartEl) rangeStartEl.max = maxStr;
-  if (rangeEndEl) rangeEndEl.max = maxStr;
-}
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-function validateAndApplyRangeFromInputs() {
-  if (!rangeStartEl || !rangeEndEl) return;
+let REF_MODE = ""; // "" | yesterday | lastweek | custom
+let REF_ROWS = [];
+let REF_DAY_MS = null; // reference day start (JST)
+let REF_SHIFT_MS = 0; // added to reference timestamps
+let REF_KEY = null; // `${deviceId}:${refDayMs}:${baseDayMs}` of REF_ROWS
 
-  syncRangeMaxNow();
+function refOverlayAvailable() {
+  return VIEW_MODE === "live" || (VIEW_MODE === "day" && !!selectedDayStartMs);
+}
 
-  const nowMs = Date.now();
-  const s = parseDateTimeLocalToMs(rangeStartEl.value);
-  const e = parseDateTimeLocalToMs(rangeEndEl.value);
+function referenceBaseDayMs() {
+  return VIEW_MODE === "day" ? selectedDayStartMs : startOfTodayMs();
+}
 
-  if (!s || !e) {
-    setMsg("");
-    return;
-  }
-  if (s > nowMs || e > nowMs) {
-    setMsg("Future time is not allowed. Please select up to the current time.");
-    return;
-  }
-  if (s >= e) {
-    setMsg("Start must be earlier than End.");
-    return;
+function referenceDayMs(baseMs) {
+  const base = luxon.DateTime.fromMillis(baseMs, { zone: "Asia/Tokyo" });
+  if (REF_MODE === "yesterday") return base.minus({ days: 1 }).toMillis();
+  if (REF_MODE === "lastweek") return base.minus({ weeks: 1 }).toMillis();
+  if (REF_MODE === "custom" && refOverlayDateEl?.value) {
+    const dt = luxon.DateTime.fromISO(refOverlayDateEl.value, { zone: "Asia/Tokyo" });
+    return dt.isValid ? dt.startOf("day").toMillis() : null;
   }
+  return null;
+}
 
-  if (e - s > MAX_RANGE_MS) {
-    setMsg("Range too large. Please select 48 hours or less.");
-    return;
+function referenceLabel() {
+  if (!REF_DAY_MS) return "";
+  const day = `${fmtMD(REF_DAY_MS)} ${fmtWeekday(REF_DAY_MS)}`;
+  if (REF_MODE === "yesterday") return `Yesterday (${day})`;
+  if (REF_MODE === "lastweek") return `Last week (${day})`;
+  return day;
+}
+
+function referenceDataset(metric, color) {
+  if (!REF_ROWS.length) return null;
+  const data = [];
+  for (const d of REF_ROWS) {
+    const ms = tsToMs(d.timestamp);
+    if (ms && typeof d[metric] === "number") data.push({ x: ms + REF_SHIFT_MS, y: d[metric] });
   }
+  return {
+    label: referenceLabel(),
+    data,
+    borderColor: typeof color === "string" && color.length === 7 ? `${color}99` : color,
+    borderWidth: 1.5,
+    borderDash: [6, 4],
+    pointRadius: 0,
+    tension: 0.25,
+    spanGaps: deviceSpanGapsMs(currentDeviceId),
+  };
+}
 
-  setMsg("");
+async function loadReferenceOverlay() {
+  if (refOverlaySelect) refOverlaySelect.disabled = !refOverlayAvailable();
 
-  // leaving live => clear paused buffer
-  PAUSED_LIVE_BUFFER = null;
-  PAUSED_LIVE_LAST_MS = null;
+  const baseMs = refOverlayAvailable() ? referenceBaseDayMs() : null;
+  const refMs = baseMs && REF_MODE ? referenceDayMs(baseMs) : null;
 
-  VIEW_MODE = "range";
-  selectedDayStartMs = null;
-  rangeStartMs = s;
-  rangeEndMs = e;
+  if (!refMs || refMs === baseMs || !currentDeviceId) {
+    REF_ROWS = [];
+    REF_DAY_MS = null;
+    REF_KEY = null;
+    renderCompare();
+    return;
+  }
 
-  LIVE_MODE = false;
-  renderGoLiveButton();
-  updateChartTitles();
-  setCardLabelsForView();
+  const key = `${currentDeviceId}:${refMs}:${baseMs}`;
+  if (key === REF_KEY) return renderCompare();
 
-  forceWindowToActiveRange();
-  renderCalendar();
+  try {
+    const snap = await getDocs(windowQuery(currentDeviceId, { from: refMs, to: refMs + DAY_MS }, "raw"));
+    const expected = refOverlayAvailable() ? `${currentDeviceId}:${referenceDayMs(referenceBaseDayMs())}:${referenceBaseDayMs()}` : null;
+    if (key !== expected) return; // selection changed while loading
 
-  subscribeToTodayData();
-  updateAIUI();
+    const rows = [];
+    snap.forEach((d) => rows.push(withDerived(calibrated(currentDeviceId, d.data()))));
+    REF_ROWS = rows;
+    REF_DAY_MS = refMs;
+    REF_SHIFT_MS = baseMs - refMs;
+    REF_KEY = key;
+  } catch (e) {
+    console.error("❌ Reference overlay load failed:", e);
+    REF_ROWS = [];
+    REF_KEY = null;
+  }
+  renderCompare();
 }
 
-function setupRangeAutoUpdate() {
-  if (!rangeStartEl || !rangeEndEl) return;
+function setupReferenceOverlay() {
+  if (refOverlaySelect) {
+    refOverlaySelect.value = REF_MODE;
+    refOverlaySelect.addEventListener("change", () => {
+      REF_MODE = refOverlaySelect.value;
+      if (refOverlayDateEl) refOverlayDateEl.classList.toggle("hidden", REF_MODE !== "custom");
+      loadReferenceOverlay();
+    });
+  }
+  if (refOverlayDateEl) {
+    refOverlayDateEl.max = luxon.DateTime.now().setZone("Asia/Tokyo").toFormat("yyyy-LL-dd");
+    refOverlayDateEl.addEventListener("change", loadReferenceOverlay);
+  }
+}
 
-  syncRangeMaxNow();
+function renderCompareOptions() {
+  if (!compareDevicesEl) return;
 
-  const onInput = () => {
-    if (RANGE_INPUT_TIMER) clearTimeout(RANGE_INPUT_TIMER);
-    RANGE_INPUT_TIMER = setTimeout(() => validateAndApplyRangeFromInputs(), RANGE_INPUT_DEBOUNCE_MS);
-  };
+  // drop devices that left the registry
+  COMPARE_DEVICE_IDS = COMPARE_DEVICE_IDS.filter((id) => getDevice(id));
 
-  rangeStartEl.addEventListener("input", onInput);
-  rangeEndEl.addEventListener("input", onInput);
+  compareDevicesEl.innerHTML = "";
+  DEVICES.filter((dev) => dev.id !== currentDeviceId).forEach((dev) => {
+    const chip = document.createElement("label");
+    chip.className = "compareChip";
 
-  setInterval(syncRangeMaxNow, 60 * 1000);
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = COMPARE_DEVICE_IDS.includes(dev.id);
+    chip.classList.toggle("checked", cb.checked);
+
+    cb.addEventListener("change", () => {
+      if (cb.checked) COMPARE_DEVICE_IDS.push(dev.id);
+      else COMPARE_DEVICE_IDS = COMPARE_DEVICE_IDS.filter((id) => id !== dev.id);
+      chip.classList.toggle("checked", cb.checked);
+      subscribeCompareData();
+    });
+
+    chip.appendChild(cb);
+    chip.appendChild(document.createTextNode(dev.name || dev.id));
+    compareDevicesEl.appendChild(chip);
+  });
 }
 
 /* =======================
-   CSV helpers
+   Device registry (Firestore: devices/{deviceId})
 ======================= */
-function msToJst(ms) {
-  if (!ms) return "";
-  return new Date(ms).toLocaleString("sv-SE", { timeZone: "Asia/Tokyo", hour12: false }).replace("T", " ");
+let unsubscribeRegistry = null;
+
+function normalizeRegistryDevice(id, d) {
+  return {
+    id,
+    name: d?.name || id,
+    location: d?.location || "",
+    timezone: d?.timezone || "Asia/Tokyo",
+    altitudeM: typeof d?.altitudeM === "number" ? d.altitudeM : 0,
+    enabled: d?.enabled !== false,
+    capabilities: Array.isArray(d?.capabilities)
+      ? ALL_METRICS.filter((m) => d.capabilities.includes(m))
+      : ALL_METRICS,
+  };
 }
 
-function safeCsv(v) {
-  if (v === null || v === undefined) return "";
-  const s = String(v);
-  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
+function applyDeviceRegistry(list) {
+  DEVICES = list;
+  DEVICES_STATE = list.length ? "ready" : "empty";
 
-function rowsToCsv(rows, deviceId) {
-  const header = ["deviceId", "timestamp_jst", "timestamp_ms", "Temperature", "Humidity", "Pressure", "Light"];
-  const lines = [header.join(",")];
+  // forget polled state of retired devices
+  for (const id of Array.from(GLOBAL_STATE.keys())) {
+    if (!getDevice(id)) GLOBAL_STATE.delete(id);
+  }
 
-  for (const r of rows) {
-    const ms = tsToMs(r.timestamp);
-    const line = [
-      deviceId,
-      msToJst(ms),
-      ms ?? "",
-      typeof r.Temperature === "number" ? r.Temperature : "",
-      typeof r.Humidity === "number" ? r.Humidity : "",
-      typeof r.Pressure === "number" ? r.Pressure : "",
-      typeof r.Light === "number" ? r.Light : "",
-    ]
-      .map(safeCsv)
-      .join(",");
-    lines.push(line);
+  renderDeviceOptions();
+
+  if (!getDevice(currentDeviceId)) {
+    if (DEVICES.length) {
+      selectDevice(DEVICES[0].id);
+      return;
+    }
+    currentDeviceId = null;
+    subscribeToTodayData();
+    subscribeDeviceStatus();
   }
-  return lines.join("\n");
+
+  applyCapabilitiesToLayout();
+  updateAIUI();
+  runGlobalAI();
 }
 
-function downloadTextFile(filename, text) {
-  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
+function subscribeDeviceRegistry() {
+  if (unsubscribeRegistry) {
+    unsubscribeRegistry();
+    unsubscribeRegistry = null;
+  }
+
+  unsubscribeRegistry = onSnapshot(
+    collection(db, "devices"),
+    (snap) => {
+      const list = [];
+      snap.forEach((doc) => {
+        const dev = normalizeRegistryDevice(doc.id, doc.data());
+        if (dev.enabled) list.push(dev);
+      });
+      list.sort((a, b) => a.id.localeCompare(b.id));
+
+      if (!list.length) console.warn("Device registry has no enabled devices.");
+      applyDeviceRegistry(list);
+    },
+    (err) => {
+      console.error("❌ Device registry snapshot error:", err);
+      if (DEVICES_STATE === "loading") {
+        DEVICES_STATE = "error";
+        renderDeviceOptions();
+        renderStatus();
+      }
+    }
+  );
+}
+
+/* =======================
+   Device dropdown
+======================= */
+function deviceOptionLabel(dev) {
+  return dev.location ? `${dev.name} (${dev.location})` : dev.name;
+}
+
+function renderDeviceOptions() {
+  if (!deviceSelect) return;
+
+  deviceSelect.innerHTML = "";
+  DEVICES.forEach((dev) => {
+    const opt = document.createElement("option");
+    opt.value = dev.id;
+    opt.textContent = deviceOptionLabel(dev);
+    deviceSelect.appendChild(opt);
+  });
+  if (!DEVICES.length) {
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = DEVICES_STATE_TEXT[DEVICES_STATE] || DEVICES_STATE_TEXT.loading;
+    deviceSelect.appendChild(opt);
+  }
+  deviceSelect.disabled = !DEVICES.length;
+
+  deviceSelect.value = currentDeviceId || "";
+
+  renderThresholdProfileOptions();
+  renderConfigDeviceOptions();
+  renderCalibDeviceOptions();
+  renderColocDeviceOptions();
+  renderHistoryFilterOptions();
+  renderCompareOptions();
+  renderOverview();
+}
+
+function setupDeviceDropdown() {
+  if (!deviceSelect) return;
+
+  renderDeviceOptions();
+
+  deviceSelect.addEventListener("change", () => selectDevice(deviceSelect.value));
+}
+
+function selectDevice(id) {
+  currentDeviceId = id;
+  if (deviceSelect) deviceSelect.value = id;
+  renderCompareOptions();
+
+  // clear paused buffer on device change
+  PAUSED_LIVE_BUFFER = null;
+  PAUSED_LIVE_LAST_MS = null;
+
+  subscribeDeviceStatus();
+  if (healthPanel?.open) {
+    renderHealthPanel();
+    loadHealthHistory();
+  }
+
+  VIEW_MODE = "live";
+  selectedDayStartMs = null;
+  rangeStartMs = null;
+  rangeEndMs = null;
+  setMsg("");
+
+  LIVE_MODE = true;
+  renderGoLiveButton();
+  updateChartTitles();
+  setCardLabelsForView();
+
+  syncRangeMaxNow();
+  const nowJ = luxon.DateTime.now().setZone("Asia/Tokyo");
+  calYear = nowJ.year;
+  calMonth = nowJ.month - 1;
+  renderCalendar();
+
+  applyCapabilitiesToLayout();
+  subscribeToTodayData();
+  updateAIUI();
+}
+
+/* =======================
+   Overview (all devices)
+   One tile per device from GLOBAL_STATE (polled anyway for global alerts):
+   live values, status, last-hour sparklines and server alert state.
+   The hour comes from 1m rollups, topped up with the polled raw rows.
+======================= */
+const OVERVIEW_WINDOW_MS = 60 * 60 * 1000;
+const OVERVIEW_HISTORY_TTL_MS = 60 * 1000;
+const STAGE_NAMES = { 1: "Warning", 2: "Alert", 3: "Critical" };
+
+let OVERVIEW_MODE = false;
+const OVERVIEW_HISTORY = new Map(); // deviceId -> { fetchedMs, rows (1m rollups, ASC) }
+
+function isOverviewMode() {
+  return OVERVIEW_MODE;
+}
+
+async function loadOverviewHistory() {
+  const now = Date.now();
+  for (const dev of DEVICES.slice()) {
+    const cached = OVERVIEW_HISTORY.get(dev.id);
+    if (cached && now - cached.fetchedMs < OVERVIEW_HISTORY_TTL_MS) continue;
+    try {
+      const snap = await getDocs(windowQuery(dev.id, { from: now - OVERVIEW_WINDOW_MS, to: now }, "1m"));
+      const rows = [];
+      snap.forEach((d) => rows.push(calibrated(dev.id, d.data())));
+      OVERVIEW_HISTORY.set(dev.id, { fetchedMs: now, rows });
+    } catch (e) {
+      console.error("Overview history error:", dev.id, e);
+      OVERVIEW_HISTORY.set(dev.id, { fetchedMs: now, rows: [] });
+    }
+  }
+}
+
+// Last hour for one device: rollups, then raw rows after the last rollup bucket
+function overviewSeries(deviceId, metric) {
+  const from = Date.now() - OVERVIEW_WINDOW_MS;
+  const points = [];
+  let lastMs = from;
+
+  for (const d of OVERVIEW_HISTORY.get(deviceId)?.rows || []) {
+    const ms = tsToMs(d.timestamp);
+    if (!ms || ms < from || typeof d[metric] !== "number") continue;
+    points.push({ x: ms, y: d[metric] });
+    lastMs = Math.max(lastMs, ms + 60 * 1000);
+  }
+  for (const d of GLOBAL_STATE.get(deviceId)?.rows || []) {
+    const ms = tsToMs(d.timestamp);
+    if (!ms || ms < lastMs || typeof d[metric] !== "number") continue;
+    points.push({ x: ms, y: d[metric] });
+  }
+  return points;
+}
+
+function drawSparkline(canvas, points, color) {
+  const ctx = canvas.getContext("2d");
+  const w = (canvas.width = canvas.clientWidth || 120);
+  const h = (canvas.height = canvas.clientHeight || 28);
+  ctx.clearRect(0, 0, w, h);
+  if (points.length < 2) return;
+
+  const now = Date.now();
+  const x0 = now - OVERVIEW_WINDOW_MS;
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const p of points) {
+    lo = Math.min(lo, p.y);
+    hi = Math.max(hi, p.y);
+  }
+  const span = hi - lo || 1;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  points.forEach((p, i) => {
+    const x = ((p.x - x0) / OVERVIEW_WINDOW_MS) * (w - 2) + 1;
+    const y = h - 2 - ((p.y - lo) / span) * (h - 4);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+}
+
+function deviceAlertState(deviceId) {
+  let top = null;
+  for (const a of SERVER_ALERTS.values()) {
+    if (a.deviceId !== deviceId) continue;
+    if (!top || (a.stage || 0) > (top.stage || 0)) top = a;
+  }
+  return top;
+}
+
+function renderOverview() {
+  if (!overviewGridEl || !isOverviewMode()) return;
+  overviewGridEl.innerHTML = "";
+  const lang = LANG_MODE === "jp" ? "jp" : "en";
+
+  for (const dev of DEVICES) {
+    const st = GLOBAL_STATE.get(dev.id);
+    const last = st?.rows?.length ? st.rows[st.rows.length - 1] : null;
+
+    const tile = document.createElement("button");
+    tile.type = "button";
+    tile.className = "overviewTile";
+    tile.classList.toggle("active", dev.id === currentDeviceId);
+    tile.addEventListener("click", () => openDeviceFromOverview(dev.id));
+
+    const head = document.createElement("div");
+    head.className = "overviewHead";
+    const name = document.createElement("div");
+    name.className = "overviewName";
+    name.textContent = dev.name || dev.id;
+    head.appendChild(name);
+
+    const alert = deviceAlertState(dev.id);
+    if (alert) {
+      const badge = document.createElement("span");
+      badge.className = `overviewAlert stage${alert.stage || 2}`;
+      badge.textContent = STAGE_NAMES[alert.stage] || STAGE_NAMES[2];
+      badge.title = alert.texts?.[lang] || alert.texts?.en || alert.eventKey;
+      head.appendChild(badge);
+      tile.classList.add(`alertStage${alert.stage || 2}`);
+    }
+    tile.appendChild(head);
+
+    const status = document.createElement("div");
+    status.className = "statusWrap";
+    const dot = document.createElement("span");
+    dot.className = "statusDot";
+    const text = document.createElement("span");
+    text.className = "statusText";
+    status.appendChild(dot);
+    status.appendChild(text);
+    status.dataset.deviceId = dev.id;
+    renderStatusDot(dot, text, st?.lastDataMs || null, dev.id);
+    tile.appendChild(status);
+
+    for (const { chart, metric, unit, digits } of chartMetrics()) {
+      if (!ALL_METRICS.includes(metric) || !deviceHasMetric(dev, metric)) continue;
+
+      const row = document.createElement("div");
+      row.className = "overviewMetric";
+      const label = document.createElement("span");
+      label.className = "overviewMetricName";
+      label.textContent = metric;
+      const value = document.createElement("span");
+      value.className = "overviewValue";
+      value.textContent = typeof last?.[metric] === "number" ? `${last[metric].toFixed(digits)} ${unit}` : "--";
+      const spark = document.createElement("canvas");
+      spark.className = "overviewSpark";
+
+      row.appendChild(label);
+      row.appendChild(value);
+      row.appendChild(spark);
+      tile.appendChild(row);
+
+      drawSparkline(spark, overviewSeries(dev.id, metric), chart?.data.datasets[0].borderColor || "#e5e7eb");
+    }
+
+    overviewGridEl.appendChild(tile);
+  }
+}
+
+// Status text every second without rebuilding the tiles
+function renderOverviewStatuses() {
+  if (!overviewGridEl || !isOverviewMode()) return;
+  overviewGridEl.querySelectorAll(".statusWrap").forEach((el) => {
+    const st = GLOBAL_STATE.get(el.dataset.deviceId);
+    renderStatusDot(
+      el.querySelector(".statusDot"),
+      el.querySelector(".statusText"),
+      st?.lastDataMs || null,
+      el.dataset.deviceId
+    );
+  });
+}
+
+function setOverviewMode(on) {
+  OVERVIEW_MODE = !!on;
+  document.body.classList.toggle("overviewMode", OVERVIEW_MODE);
+  if (overviewSectionEl) overviewSectionEl.classList.toggle("hidden", !OVERVIEW_MODE);
+  if (overviewBtn) overviewBtn.textContent = OVERVIEW_MODE ? "Device detail" : "All devices";
+
+  if (OVERVIEW_MODE) {
+    renderOverview();
+    loadOverviewHistory().then(renderOverview);
+  }
+}
+
+function openDeviceFromOverview(id) {
+  setOverviewMode(false);
+  if (id !== currentDeviceId) selectDevice(id);
+}
+
+function setupOverview() {
+  if (!overviewBtn) return;
+  overviewBtn.addEventListener("click", () => setOverviewMode(!OVERVIEW_MODE));
+}
+
+/* =======================
+   Go Live button
+======================= */
+function setupGoLiveButton() {
+  if (!goLiveBtn) return;
+
+  goLiveBtn.addEventListener("click", () => {
+    // clear paused buffer when user explicitly resumes live
+    PAUSED_LIVE_BUFFER = null;
+    PAUSED_LIVE_LAST_MS = null;
+
+    VIEW_MODE = "live";
+    selectedDayStartMs = null;
+    rangeStartMs = null;
+    rangeEndMs = null;
+    setMsg("");
+    updateChartTitles();
+    setCardLabelsForView();
+
+    if (rangeStartEl) rangeStartEl.value = "";
+    if (rangeEndEl) rangeEndEl.value = "";
+
+    LIVE_MODE = true;
+    renderGoLiveButton();
+
+    IGNORE_ZOOM_EVENTS = true;
+    allCharts().forEach((ch) => ch.resetZoom?.());
+
+    setTimeout(() => {
+      IGNORE_ZOOM_EVENTS = false;
+      LIVE_MODE = true;
+      renderGoLiveButton();
+    }, 0);
+
+    const nowJ = luxon.DateTime.now().setZone("Asia/Tokyo");
+    calYear = nowJ.year;
+    calMonth = nowJ.month - 1;
+    renderCalendar();
+
+    subscribeToTodayData();
+    updateAIUI();
+  });
+
+  setInterval(() => renderGoLiveButton(), 500);
+}
+
+/* =======================
+   Day rollover (JST)
+======================= */
+let currentDayKey = null;
+function dayKeyNow() {
+  return luxon.DateTime.now().setZone("Asia/Tokyo").toFormat("yyyy-LL-dd");
+}
+
+function startDayWatcher() {
+  currentDayKey = dayKeyNow();
+  setInterval(() => {
+    const k = dayKeyNow();
+    if (k !== currentDayKey) {
+      currentDayKey = k;
+
+      // clear paused buffer on day rollover
+      PAUSED_LIVE_BUFFER = null;
+      PAUSED_LIVE_LAST_MS = null;
+
+      VIEW_MODE = "live";
+      selectedDayStartMs = null;
+      rangeStartMs = null;
+      rangeEndMs = null;
+      setMsg("");
+
+      LIVE_MODE = true;
+      renderGoLiveButton();
+      updateChartTitles();
+      setCardLabelsForView();
+
+      syncRangeMaxNow();
+      renderCalendar();
+      subscribeToTodayData();
+      updateAIUI();
+    }
+  }, 10000);
+}
+
+/* =======================
+   Calendar (JST)
+======================= */
+function monthName(y, m) {
+  const dt = luxon.DateTime.fromObject({ year: y, month: m + 1, day: 1 }, { zone: "Asia/Tokyo" });
+  return dt.setLocale("en").toFormat("LLLL yyyy");
+}
+function isFutureDay(y, m, day) {
+  const start = startOfDayMs(y, m, day);
+  return start > startOfTodayMs();
+}
+function isSelectedDay(y, m, day) {
+  if (!selectedDayStartMs) return false;
+  return selectedDayStartMs === startOfDayMs(y, m, day);
+}
+function isInSelectedPeriod(y, m, day) {
+  if (!isPeriodView() || VIEW_MODE === "day") return false;
+  const win = periodWindow(VIEW_MODE, selectedDayStartMs);
+  const ms = startOfDayMs(y, m, day);
+  return ms >= win.from && ms < win.to;
+}
+function isTodayCell(y, m, day) {
+  const t = luxon.DateTime.now().setZone("Asia/Tokyo");
+  return y === t.year && m === t.month - 1 && day === t.day;
+}
+
+/* =======================
+   Calendar heatmap (1d rollups)
+   - coverage = samples received / samples expected at the device's sample
+     interval (device_config; 10s by default)
+   - optional colour bar for a metric's daily mean or max, scaled within the month
+======================= */
+const CAL_STATS_TTL_MS = 5 * 60 * 1000; // rollups are refreshed every 5 min server-side
+
+let CAL_HEAT_METRIC = ""; // "" | "<metric>:mean" | "<metric>:max"
+const CAL_MONTH_STATS = new Map(); // `${deviceId}:${y}-${m}` -> { fetchedMs, days: Map(dayStartMs -> 1d rollup doc) }
+const CAL_MONTH_STATS_INFLIGHT = new Set();
+
+function calMonthKey(deviceId, y, m) {
+  return `${deviceId}:${y}-${m}`;
+}
+
+async function loadCalendarMonthStats(deviceId, y, m) {
+  const key = calMonthKey(deviceId, y, m);
+  if (CAL_MONTH_STATS_INFLIGHT.has(key)) return;
+  CAL_MONTH_STATS_INFLIGHT.add(key);
+
+  try {
+    const from = startOfDayMs(y, m, 1);
+    const to = luxon.DateTime.fromMillis(from, { zone: "Asia/Tokyo" }).plus({ months: 1 }).toMillis();
+    const q = query(
+      collection(db, "public_rollups", deviceId, "1d"),
+      where("timestamp", ">=", new Date(from)),
+      where("timestamp", "<", new Date(to)),
+      orderBy("timestamp", "asc")
+    );
+    const snap = await getDocs(q);
+
+    const days = new Map();
+    snap.forEach((d) => {
+      const row = calibrated(deviceId, d.data());
+      const ms = tsToMs(row.timestamp);
+      if (ms) days.set(ms, row);
+    });
+    CAL_MONTH_STATS.set(key, { fetchedMs: Date.now(), days });
+
+    if (deviceId === currentDeviceId && y === calYear && m === calMonth) renderCalendar();
+  } catch (e) {
+    console.error("❌ Calendar stats load failed:", key, e);
+  } finally {
+    CAL_MONTH_STATS_INFLIGHT.delete(key);
+  }
+}
+
+// Cached days (possibly stale/empty) for the shown month; refreshes in the background
+function getCalendarMonthStats() {
+  if (!currentDeviceId) return new Map();
+  const entry = CAL_MONTH_STATS.get(calMonthKey(currentDeviceId, calYear, calMonth));
+  if (!entry || Date.now() - entry.fetchedMs > CAL_STATS_TTL_MS) {
+    loadCalendarMonthStats(currentDeviceId, calYear, calMonth);
+  }
+  return entry?.days || new Map();
+}
+
+function dayCoverage(dayStartMs, row) {
+  const end = Math.min(Date.now(), dayStartMs + 24 * 60 * 60 * 1000);
+  const expected = (end - dayStartMs) / sampleIntervalMs(DEVICE_CONFIGS.get(currentDeviceId));
+  if (expected <= 0) return null;
+  return Math.min(1, (row?.count || 0) / expected);
+}
+
+function dayHeatValue(row) {
+  if (!CAL_HEAT_METRIC || !row) return null;
+  const [metric, stat] = CAL_HEAT_METRIC.split(":");
+  const v = stat === "max" ? row.stats?.[metric]?.max : row[metric];
+  return typeof v === "number" ? v : null;
+}
+
+// 0 -> blue, 1 -> red
+function heatColor(t) {
+  const hue = Math.round(220 - 220 * Math.max(0, Math.min(1, t)));
+  return `hsl(${hue}, 85%, 55%)`;
+}
+
+function dayTooltip(dayStartMs, row, cov) {
+  const parts = [fmtYMD(dayStartMs)];
+  if (cov !== null) parts.push(`coverage ${Math.round(cov * 100)}% (${row?.count || 0} samples)`);
+  for (const m of ALL_METRICS) {
+    const st = row?.stats?.[m];
+    if (st?.count) {
+      const digits = m === "Light" ? 0 : 1;
+      parts.push(`${m} ${formatNum(st.sum / st.count, digits)} (min ${formatNum(st.min, digits)}, max ${formatNum(st.max, digits)})`);
+    }
+  }
+  return parts.join("\n");
+}
+
+function setupCalendarHeatmap() {
+  if (!calHeatSelect) return;
+  calHeatSelect.value = CAL_HEAT_METRIC;
+  calHeatSelect.addEventListener("change", () => {
+    CAL_HEAT_METRIC = calHeatSelect.value;
+    renderCalendar();
+  });
+}
+
+function renderCalendar() {
+  if (!calGridEl || !calTitleEl) return;
+
+  const now = luxon.DateTime.now().setZone("Asia/Tokyo");
+  const isCurrentMonth = calYear === now.year && calMonth === now.month - 1;
+  if (calNextBtn) calNextBtn.disabled = isCurrentMonth;
+
+  calTitleEl.textContent = monthName(calYear, calMonth);
+  calGridEl.innerHTML = "";
+
+  const first = luxon.DateTime.fromObject({ year: calYear, month: calMonth + 1, day: 1 }, { zone: "Asia/Tokyo" });
+  const startWeekday = first.weekday % 7;
+  const daysInMonth = first.daysInMonth;
+
+  const dayStats = getCalendarMonthStats();
+  const heatVals = Array.from(dayStats.values())
+    .map(dayHeatValue)
+    .filter((v) => v !== null);
+  const heatMin = heatVals.length ? Math.min(...heatVals) : null;
+  const heatMax = heatVals.length ? Math.max(...heatVals) : null;
+
+  for (let i = 0; i < startWeekday; i++) {
+    const pad = document.createElement("div");
+    pad.className = "calCell calPad";
+    calGridEl.appendChild(pad);
+  }
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const cell = document.createElement("button");
+    cell.type = "button";
+    cell.className = "calCell";
+
+    const num = document.createElement("span");
+    num.textContent = String(day);
+    cell.appendChild(num);
+
+    const disabled = isFutureDay(calYear, calMonth, day);
+    if (disabled) {
+      cell.disabled = true;
+      cell.classList.add("calDisabled");
+    } else {
+      const dayStartMs = startOfDayMs(calYear, calMonth, day);
+      const row = dayStats.get(dayStartMs) || null;
+      const cov = dayCoverage(dayStartMs, row);
+
+      if (cov !== null) {
+        const covEl = document.createElement("span");
+        covEl.className = "calCov";
+        if (cov < 0.5) covEl.classList.add("covBad");
+        else if (cov < 0.9) covEl.classList.add("covWarn");
+        covEl.textContent = `${Math.round(cov * 100)}%`;
+        cell.appendChild(covEl);
+      }
+
+      const hv = dayHeatValue(row);
+      if (hv !== null) {
+        const bar = document.createElement("span");
+        bar.className = "calHeatBar";
+        bar.style.background = heatColor(heatMax > heatMin ? (hv - heatMin) / (heatMax - heatMin) : 0.5);
+        cell.appendChild(bar);
+      }
+
+      cell.title = dayTooltip(dayStartMs, row, cov);
+    }
+
+    if (isTodayCell(calYear, calMonth, day)) cell.classList.add("calToday");
+    if (VIEW_MODE === "day" && isSelectedDay(calYear, calMonth, day)) cell.classList.add("calSelected");
+    if (isInSelectedPeriod(calYear, calMonth, day)) cell.classList.add("calInPeriod");
+
+    cell.addEventListener("click", () => {
+      if (disabled) return;
+      selectPeriod(CAL_PICK_MODE, startOfDayMs(calYear, calMonth, day));
+    });
+
+    calGridEl.appendChild(cell);
+  }
+}
+
+function renderCalendarModes() {
+  calModeBtns.forEach((btn) => btn.classList.toggle("active", btn.dataset.mode === CAL_PICK_MODE));
+}
+
+// Show the day / week / month / year containing anchorMs
+function selectPeriod(mode, anchorMs) {
+  // leaving live => clear paused buffer
+  PAUSED_LIVE_BUFFER = null;
+  PAUSED_LIVE_LAST_MS = null;
+
+  VIEW_MODE = mode;
+  selectedDayStartMs = anchorMs;
+
+  LIVE_MODE = false;
+  renderGoLiveButton();
+  updateChartTitles();
+  setCardLabelsForView();
+
+  rangeStartMs = null;
+  rangeEndMs = null;
+  if (rangeStartEl) rangeStartEl.value = "";
+  if (rangeEndEl) rangeEndEl.value = "";
+  setMsg("");
+
+  forceWindowToActiveRange();
+  renderCalendar();
+
+  subscribeToTodayData();
+  updateAIUI();
+}
+
+function setupCalendarNav() {
+  // header buttons: switch the current selection (or today) to that period type
+  calModeBtns.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      CAL_PICK_MODE = btn.dataset.mode;
+      renderCalendarModes();
+      selectPeriod(CAL_PICK_MODE, isPeriodView() ? selectedDayStartMs : startOfTodayMs());
+    });
+  });
+  renderCalendarModes();
+
+  if (calPrevBtn) {
+    calPrevBtn.addEventListener("click", () => {
+      calMonth -= 1;
+      if (calMonth < 0) {
+        calMonth = 11;
+        calYear -= 1;
+      }
+      renderCalendar();
+    });
+  }
+
+  if (calNextBtn) {
+    calNextBtn.addEventListener("click", () => {
+      const now = luxon.DateTime.now().setZone("Asia/Tokyo");
+      const curY = now.year;
+      const curM = now.month - 1;
+
+      let nextY = calYear;
+      let nextM = calMonth + 1;
+      if (nextM > 11) {
+        nextM = 0;
+        nextY += 1;
+      }
+
+      if (nextY > curY || (nextY === curY && nextM > curM)) return;
+
+      calYear = nextY;
+      calMonth = nextM;
+      renderCalendar();
+    });
+  }
+}
+
+/* =======================
+   Range (kept)
+======================= */
+function syncRangeMaxNow() {
+  const nowJ = luxon.DateTime.now().setZone("Asia/Tokyo").toMillis();
+  const maxStr = toJstDateTimeLocalValueFromMs(nowJ);
+  if (rangeStartEl) rangeStartEl.max = maxStr;
+  if (rangeEndEl) rangeEndEl.max = maxStr;
+}
+
+function validateAndApplyRangeFromInputs() {
+  if (!rangeStartEl || !rangeEndEl) return;
+
+  syncRangeMaxNow();
+
+  const nowMs = Date.now();
+  const s = parseDateTimeLocalToMs(rangeStartEl.value);
+  const e = parseDateTimeLocalToMs(rangeEndEl.value);
+
+  if (!s || !e) {
+    setMsg("");
+    return;
+  }
+  if (s > nowMs || e > nowMs) {
+    setMsg("Future time is not allowed. Please select up to the current time.");
+    return;
+  }
+  if (s >= e) {
+    setMsg("Start must be earlier than End.");
+    return;
+  }
+
+  if (e - s > MAX_RANGE_MS) {
+    setMsg("Range too large. Please select 366 days or less.");
+    return;
+  }
+
+  const resLabel = resolutionLabel(pickResolution({ from: s, to: e }));
+  setMsg(resLabel ? `Long range: showing ${resLabel} (min/max from rollups).` : "");
+
+  // leaving live => clear paused buffer
+  PAUSED_LIVE_BUFFER = null;
+  PAUSED_LIVE_LAST_MS = null;
+
+  VIEW_MODE = "range";
+  selectedDayStartMs = null;
+  rangeStartMs = s;
+  rangeEndMs = e;
+
+  LIVE_MODE = false;
+  renderGoLiveButton();
+  updateChartTitles();
+  setCardLabelsForView();
+
+  forceWindowToActiveRange();
+  renderCalendar();
+
+  subscribeToTodayData();
+  updateAIUI();
+}
+
+function setupRangeAutoUpdate() {
+  if (!rangeStartEl || !rangeEndEl) return;
+
+  syncRangeMaxNow();
+
+  const onInput = () => {
+    if (RANGE_INPUT_TIMER) clearTimeout(RANGE_INPUT_TIMER);
+    RANGE_INPUT_TIMER = setTimeout(() => validateAndApplyRangeFromInputs(), RANGE_INPUT_DEBOUNCE_MS);
+  };
+
+  rangeStartEl.addEventListener("input", onInput);
+  rangeEndEl.addEventListener("input", onInput);
+
+  setInterval(syncRangeMaxNow, 60 * 1000);
+}
+
+/* =======================
+   CSV helpers
+======================= */
+function msToJst(ms) {
+  if (!ms) return "";
+  return new Date(ms).toLocaleString("sv-SE", { timeZone: "Asia/Tokyo", hour12: false }).replace("T", " ");
+}
+
+function safeCsv(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// Rollup rows (long ranges) export the bucket mean plus min/max and sample count.
+// Sensor columns are calibrated; <metric>_raw holds what the device sent.
+function rowsToCsv(rows, deviceId) {
+  const isRollup = !!rows[0]?.resolution;
+  const num = (v) => (typeof v === "number" ? v : "");
+
+  const round3 = (v) => (typeof v === "number" && isFinite(v) ? Math.round(v * 1000) / 1000 : "");
+
+  const header = ["deviceId", "timestamp_jst", "timestamp_ms", "Temperature", "Humidity", "Pressure", "Light"];
+  ALL_METRICS.forEach((m) => header.push(`${m}_raw`));
+  DERIVED_METRICS.forEach((m) => header.push(m.key));
+  if (isRollup) {
+    header.push("resolution", "samples");
+    ALL_METRICS.forEach((m) => header.push(`${m}_min`, `${m}_max`));
+  }
+  const lines = [header.join(",")];
+
+  for (const r of rows) {
+    const ms = tsToMs(r.timestamp);
+    const cols = [
+      deviceId,
+      msToJst(ms),
+      ms ?? "",
+      num(r.Temperature),
+      num(r.Humidity),
+      num(r.Pressure),
+      num(r.Light),
+    ];
+    ALL_METRICS.forEach((m) => cols.push(num(r.raw?.[m] ?? r[m])));
+    const derived = deriveMetrics(r); // rollup rows: from the bucket means
+    DERIVED_METRICS.forEach((m) => cols.push(round3(derived?.[m.key])));
+    if (isRollup) {
+      cols.push(r.resolution, num(r.count));
+      ALL_METRICS.forEach((m) => cols.push(num(r.stats?.[m]?.min), num(r.stats?.[m]?.max)));
+    }
+    lines.push(cols.map(safeCsv).join(","));
+  }
+  return lines.join("\n");
+}
+
+function downloadTextFile(filename, text) {
+  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
   a.click();
   a.remove();
   URL.revokeObjectURL(url);
 }
 
-function makeCsvFilename(deviceId, tag) {
-  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
-  return `${deviceId}_${tag}_${stamp}.csv`;
+function makeCsvFilename(deviceId, tag) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  return `${deviceId}_${tag}_${stamp}.csv`;
+}
+
+/* =======================
+   CSV actions
+======================= */
+function downloadCurrentViewCsv() {
+  const rows = Array.isArray(CURRENT_VIEW_ROWS) ? CURRENT_VIEW_ROWS : [];
+  if (!rows.length) {
+    if (csvHintText) csvHintText.textContent = "No rows in current view to export.";
+    return;
+  }
+  const csv = rowsToCsv(rows, currentDeviceId);
+  const tag = CURRENT_RESOLUTION === "raw" ? VIEW_MODE : `${VIEW_MODE}-${CURRENT_RESOLUTION}`;
+  downloadTextFile(makeCsvFilename(currentDeviceId, tag), csv);
+  if (csvHintText) csvHintText.textContent = `Exported 1 file (${currentDeviceId}) with ${rows.length} rows.`;
+}
+
+async function downloadLastNDocsCsv() {
+  const nRaw = parseInt(csvLimitInput?.value || "6500", 10);
+  const n = Math.max(100, Math.min(20000, isNaN(nRaw) ? 6500 : nRaw));
+
+  if (!currentDeviceId) {
+    if (csvHintText) csvHintText.textContent = "No device selected.";
+    return;
+  }
+  if (csvHintText) csvHintText.textContent = `Preparing CSV (${currentDeviceId}, last ${n} docs)...`;
+
+  const dataCol = collection(db, "public_readings", currentDeviceId, "data");
+  const qData = query(dataCol, orderBy("timestamp", "desc"), limit(n));
+
+  try {
+    const snap = await getDocs(qData);
+    if (snap.empty) {
+      if (csvHintText) csvHintText.textContent = "No docs found to export.";
+      return;
+    }
+
+    const rows = [];
+    snap.forEach((doc) => rows.push(calibrated(currentDeviceId, doc.data())));
+    rows.reverse();
+
+    const csv = rowsToCsv(rows, currentDeviceId);
+    downloadTextFile(makeCsvFilename(currentDeviceId, `last${rows.length}`), csv);
+
+    if (csvHintText) csvHintText.textContent = `Exported 1 file (${currentDeviceId}) with ${rows.length} rows.`;
+  } catch (e) {
+    console.error("CSV export failed:", e);
+    if (csvHintText) csvHintText.textContent = "CSV export failed (check console).";
+  }
+}
+
+async function downloadAllDevicesCurrentViewCsv() {
+  if (csvHintText) csvHintText.textContent = "Preparing CSV for all devices (current view)...";
+
+  const win = getActiveWindow();
+  const res = pickResolution(win);
+
+  let totalFiles = 0;
+  let totalRows = 0;
+
+  for (const dev of DEVICES) {
+    try {
+      const dataCol = collection(db, "public_readings", dev.id, "data");
+
+      if (VIEW_MODE !== "live") {
+        const snap = await getDocs(windowQuery(dev.id, win, res));
+        if (snap.empty) continue;
+
+        const rows = [];
+        snap.forEach((doc) => rows.push(calibrated(dev.id, doc.data())));
+        if (!rows.length) continue;
+
+        const csv = rowsToCsv(rows, dev.id);
+        downloadTextFile(makeCsvFilename(dev.id, res === "raw" ? VIEW_MODE : `${VIEW_MODE}-${res}`), csv);
+
+        totalFiles += 1;
+        totalRows += rows.length;
+      } else {
+        const qLast = query(dataCol, orderBy("timestamp", "desc"), limit(FIRESTORE_LIMIT_DOCS));
+        const snap = await getDocs(qLast);
+        if (snap.empty) continue;
+
+        const rows = [];
+        snap.forEach((doc) => rows.push(calibrated(dev.id, doc.data())));
+        rows.reverse();
+
+        const rowsView = rows.filter((d) => {
+          const ms = tsToMs(d.timestamp);
+          return ms && ms >= win.from && ms < win.to;
+        });
+
+        const finalRows = rowsView.length === 0 ? rows : rowsView;
+        if (!finalRows.length) continue;
+
+        const csv = rowsToCsv(finalRows, dev.id);
+        downloadTextFile(makeCsvFilename(dev.id, VIEW_MODE), csv);
+
+        totalFiles += 1;
+        totalRows += finalRows.length;
+      }
+    } catch (e) {
+      console.error("All-devices current-view CSV export failed:", dev.id, e);
+    }
+  }
+
+  if (csvHintText) {
+    csvHintText.textContent =
+      totalFiles > 0
+        ? `Exported ${totalFiles} files (all devices). Total rows: ${totalRows}.`
+        : "No data exported (no docs in window).";
+  }
+}
+
+async function downloadAllDevicesLastNDocsCsv() {
+  const nRaw = parseInt(csvLimitInput?.value || "6500", 10);
+  const n = Math.max(100, Math.min(20000, isNaN(nRaw) ? 6500 : nRaw));
+
+  if (csvHintText) csvHintText.textContent = `Preparing CSV for all devices (last ${n} docs each)...`;
+
+  let totalFiles = 0;
+  let totalRows = 0;
+
+  for (const dev of DEVICES) {
+    try {
+      const dataCol = collection(db, "public_readings", dev.id, "data");
+      const qData = query(dataCol, orderBy("timestamp", "desc"), limit(n));
+      const snap = await getDocs(qData);
+      if (snap.empty) continue;
+
+      const rows = [];
+      snap.forEach((doc) => rows.push(calibrated(dev.id, doc.data())));
+      rows.reverse();
+
+      const csv = rowsToCsv(rows, dev.id);
+      downloadTextFile(makeCsvFilename(dev.id, `last${rows.length}`), csv);
+
+      totalFiles += 1;
+      totalRows += rows.length;
+    } catch (e) {
+      console.error("All-devices lastN CSV export failed:", dev.id, e);
+    }
+  }
+
+  if (csvHintText) {
+    csvHintText.textContent =
+      totalFiles > 0
+        ? `Exported ${totalFiles} files (all devices). Total rows: ${totalRows}.`
+        : "No data exported (no docs).";
+  }
+}
+
+function setupCsvButtons() {
+  if (csvDownloadBtn) csvDownloadBtn.addEventListener("click", downloadCurrentViewCsv);
+  if (csvDownloadAllBtn) csvDownloadAllBtn.addEventListener("click", downloadLastNDocsCsv);
+
+  if (csvDownloadAllDevicesBtn) csvDownloadAllDevicesBtn.addEventListener("click", downloadAllDevicesCurrentViewCsv);
+  if (csvDownloadAllDevicesLastNBtn) csvDownloadAllDevicesLastNBtn.addEventListener("click", downloadAllDevicesLastNDocsCsv);
+}
+
+/* =======================
+   Alert threshold profiles (Firestore: alert_profiles/{default|deviceId})
+   doc = { metrics: { Temperature: { spike, slow5m, slow10m, min, max, hysteresis, minDurationMin }, ... }, updatedAt }
+======================= */
+let ALERT_PROFILES = new Map(); // profileId -> metrics (partial)
+let unsubscribeProfiles = null;
+
+const THRESHOLD_UNITS = { Temperature: "°C", Humidity: "%", Pressure: "hPa", Light: "lux" };
+const THRESHOLD_FIELD_LABELS = {
+  spike: "Spike (1 step)",
+  slow5m: "Δ 5 min",
+  slow10m: "Δ 10 min",
+  min: "Min level",
+  max: "Max level",
+  hysteresis: "Hysteresis",
+  minDurationMin: "For (min)",
+  drop3h: "Drop in 3 h",
+  baselineZ: "Baseline z",
+};
+function setThresholdMsg(text) {
+  if (thresholdMsgEl) thresholdMsgEl.textContent = text || "";
+}
+
+function getSelectedProfileId() {
+  return thresholdProfileSelect?.value || "default";
+}
+
+// What an empty field falls back to for this profile
+function getInheritedThresholds(profileId) {
+  if (profileId === "default") return DEFAULT_THRESHOLDS;
+  return resolveThresholds(DEFAULT_THRESHOLDS, ALERT_PROFILES.get("default"));
+}
+
+function renderThresholdProfileOptions() {
+  if (!thresholdProfileSelect) return;
+  const prev = thresholdProfileSelect.value || "default";
+
+  thresholdProfileSelect.innerHTML = "";
+  const optDefault = document.createElement("option");
+  optDefault.value = "default";
+  optDefault.textContent = "Default (all devices)";
+  thresholdProfileSelect.appendChild(optDefault);
+
+  DEVICES.forEach((dev) => {
+    const opt = document.createElement("option");
+    opt.value = dev.id;
+    opt.textContent = deviceOptionLabel(dev);
+    thresholdProfileSelect.appendChild(opt);
+  });
+
+  thresholdProfileSelect.value = prev === "default" || getDevice(prev) ? prev : "default";
+  renderThresholdTable();
+}
+
+function renderThresholdTable() {
+  if (!thresholdTableEl) return;
+
+  // don't wipe what the user is typing when a snapshot arrives
+  if (thresholdTableEl.contains(document.activeElement)) return;
+
+  const profileId = getSelectedProfileId();
+  const profile = ALERT_PROFILES.get(profileId) || {};
+  const inherited = getInheritedThresholds(profileId);
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["Metric", ...THRESHOLD_FIELDS.map((f) => THRESHOLD_FIELD_LABELS[f])].forEach((t) => {
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  for (const metric of THRESHOLD_METRICS) {
+    const tr = document.createElement("tr");
+    const name = document.createElement("td");
+    const dm = DERIVED_METRICS.find((m) => m.key === metric);
+    name.textContent = dm ? `${dm.label}${dm.unit ? ` (${dm.unit})` : ""}` : `${metric} (${THRESHOLD_UNITS[metric]})`;
+    tr.appendChild(name);
+
+    for (const field of THRESHOLD_FIELDS) {
+      const td = document.createElement("td");
+      const input = document.createElement("input");
+      input.type = "number";
+      if (!THRESHOLD_SIGNED_FIELDS.includes(field)) input.min = "0";
+      input.step = "any";
+      input.dataset.metric = metric;
+      input.dataset.field = field;
+      const v = profile?.[metric]?.[field];
+      input.value = typeof v === "number" ? String(v) : "";
+      input.placeholder = String(inherited?.[metric]?.[field] ?? "");
+      td.appendChild(input);
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+
+  thresholdTableEl.innerHTML = "";
+  thresholdTableEl.appendChild(table);
+}
+
+// -> { metrics } or { error } (same checks as the setAlertProfile function)
+function readThresholdInputs() {
+  const raw = {};
+  const inputs = thresholdTableEl ? thresholdTableEl.querySelectorAll("input[data-metric]") : [];
+
+  for (const input of inputs) {
+    const text = input.value.trim();
+    if (!text) continue;
+    if (!raw[input.dataset.metric]) raw[input.dataset.metric] = {};
+    raw[input.dataset.metric][input.dataset.field] = Number(text);
+  }
+  return validateThresholdProfile(raw, (metric, field) => `${metric} ${THRESHOLD_FIELD_LABELS[field]}`);
+}
+
+async function saveThresholdProfile() {
+  const profileId = getSelectedProfileId();
+  const { metrics, error } = readThresholdInputs();
+  if (error) {
+    setThresholdMsg(error);
+    return;
+  }
+
+  try {
+    await callAdminFunction("setAlertProfile", { profileId, metrics });
+    setThresholdMsg("Saved.");
+  } catch (e) {
+    console.error("Threshold save failed:", e);
+    setThresholdMsg(`Save failed: ${e.message}`);
+  }
+}
+
+async function clearThresholdProfile() {
+  const profileId = getSelectedProfileId();
+  try {
+    await callAdminFunction("setAlertProfile", { profileId, metrics: null });
+    setThresholdMsg("Profile cleared (inheriting).");
+  } catch (e) {
+    console.error("Threshold clear failed:", e);
+    setThresholdMsg(`Clear failed: ${e.message}`);
+  }
+}
+
+function subscribeAlertProfiles() {
+  if (unsubscribeProfiles) {
+    unsubscribeProfiles();
+    unsubscribeProfiles = null;
+  }
+
+  unsubscribeProfiles = onSnapshot(
+    collection(db, "alert_profiles"),
+    (snap) => {
+      const m = new Map();
+      snap.forEach((d) => m.set(d.id, d.data()?.metrics || {}));
+      ALERT_PROFILES = m;
+      renderThresholdTable();
+      renderAnomalyMarks();
+      runGlobalAI();
+    },
+    (err) => {
+      console.error("❌ Alert profile snapshot error:", err);
+    }
+  );
+}
+
+function setupThresholdSettings() {
+  renderThresholdProfileOptions();
+
+  if (thresholdProfileSelect) {
+    thresholdProfileSelect.addEventListener("change", () => {
+      setThresholdMsg("");
+      renderThresholdTable();
+    });
+  }
+  if (thresholdSaveBtn) thresholdSaveBtn.addEventListener("click", saveThresholdProfile);
+  if (thresholdClearBtn) thresholdClearBtn.addEventListener("click", clearThresholdProfile);
+}
+
+/* =======================
+   Alert history (Firestore: alert_log, written by evaluateAlerts)
+   - date filter (JST day) is part of the query, device/metric filter is local
+   - only subscribed once the panel is opened
+======================= */
+const ALERT_LOG_LIMIT_DOCS = 300;
+const HISTORY_METRICS = ["offline", ...THRESHOLD_METRICS]; // every metric evaluateAlerts can log, derived ones too
+
+let ALERT_LOG = []; // newest first
+let unsubscribeAlertLog = null;
+
+function setHistoryMsg(text) {
+  if (historyMsgEl) historyMsgEl.textContent = text || "";
+}
+
+// "yyyy-MM-dd" (JST) -> [startMs, endMs) or null
+function getHistoryDayRange() {
+  const v = historyDateInput?.value;
+  if (!v) return null;
+  const dt = luxon.DateTime.fromISO(v, { zone: "Asia/Tokyo" });
+  if (!dt.isValid) return null;
+  return [dt.startOf("day").toMillis(), dt.plus({ days: 1 }).startOf("day").toMillis()];
+}
+
+function renderHistoryFilterOptions() {
+  if (historyDeviceSelect) {
+    const prev = historyDeviceSelect.value || "";
+    const ids = new Set(DEVICES.map((d) => d.id));
+    ALERT_LOG.forEach((e) => e.deviceId && ids.add(e.deviceId)); // retired devices stay filterable
+
+    historyDeviceSelect.innerHTML = "";
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "All devices";
+    historyDeviceSelect.appendChild(all);
+
+    Array.from(ids)
+      .sort()
+      .forEach((id) => {
+        const dev = getDevice(id);
+        const opt = document.createElement("option");
+        opt.value = id;
+        opt.textContent = dev ? deviceOptionLabel(dev) : id;
+        historyDeviceSelect.appendChild(opt);
+      });
+    historyDeviceSelect.value = ids.has(prev) ? prev : "";
+  }
+
+  if (historyMetricSelect && !historyMetricSelect.options.length) {
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "All metrics";
+    historyMetricSelect.appendChild(all);
+    HISTORY_METRICS.forEach((m) => {
+      const opt = document.createElement("option");
+      opt.value = m;
+      opt.textContent = m === "offline" ? "Offline" : DERIVED_METRICS.find((d) => d.key === m)?.label || m;
+      historyMetricSelect.appendChild(opt);
+    });
+  }
+}
+
+function historyStagesText(entry) {
+  const stages = Array.isArray(entry.stages) ? entry.stages : [];
+  if (!stages.length) return String(entry.stage ?? "--");
+  return stages.map((s) => `${s.stage} (${fmtHM(s.atMs)})`).join(" → ");
+}
+
+function renderAlertHistory() {
+  if (!historyTableEl) return;
+
+  const deviceId = historyDeviceSelect?.value || "";
+  const metric = historyMetricSelect?.value || "";
+  const lang = currentLang();
+
+  const list = ALERT_LOG.filter((e) => (!deviceId || e.deviceId === deviceId) && (!metric || e.metric === metric));
+
+  historyTableEl.innerHTML = "";
+  if (!list.length) {
+    setHistoryMsg(unsubscribeAlertLog ? "No alerts for this filter." : "");
+    return;
+  }
+  setHistoryMsg(
+    `${list.length} alert(s)` + (ALERT_LOG.length >= ALERT_LOG_LIMIT_DOCS ? ` (latest ${ALERT_LOG_LIMIT_DOCS} loaded)` : "")
+  );
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["First seen", "Last seen", "Device", "Metric", "Stages", "Message", "Resolved", "Acknowledged"].forEach((t) => {
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  for (const e of list) {
+    const tr = document.createElement("tr");
+    const cell = (text, cls) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      if (cls) td.className = cls;
+      tr.appendChild(td);
+      return td;
+    };
+
+    cell(fmtDateTime(e.firstSeenMs));
+    cell(fmtDateTime(e.lastSeenMs));
+    cell(getDevice(e.deviceId)?.name || e.deviceName || e.deviceId || "--");
+    cell(e.metric === "offline" ? "Offline" : e.metric || "--");
+    cell(historyStagesText(e), (e.maxStage || e.stage) >= 3 ? "historyStage3" : "historyStage2");
+    cell(e.texts?.[lang] || e.texts?.en || e.eventKey || "--", "historyMsgCell");
+    if (e.resolvedMs) cell(fmtDateTime(e.resolvedMs));
+    else cell("Active", "historyActive");
+    cell(e.ackMs ? `${fmtDateTime(e.ackMs)} (${e.ackBy || "?"})` : "--");
+
+    table.appendChild(tr);
+  }
+
+  historyTableEl.appendChild(table);
+}
+
+function subscribeAlertLog() {
+  if (unsubscribeAlertLog) {
+    unsubscribeAlertLog();
+    unsubscribeAlertLog = null;
+  }
+
+  const col = collection(db, "alert_log");
+  const day = getHistoryDayRange();
+  const q = day
+    ? query(
+        col,
+        where("firstSeenMs", ">=", day[0]),
+        where("firstSeenMs", "<", day[1]),
+        orderBy("firstSeenMs", "desc"),
+        limit(ALERT_LOG_LIMIT_DOCS)
+      )
+    : query(col, orderBy("firstSeenMs", "desc"), limit(ALERT_LOG_LIMIT_DOCS));
+
+  setHistoryMsg("Loading…");
+
+  unsubscribeAlertLog = onSnapshot(
+    q,
+    (snap) => {
+      const list = [];
+      snap.forEach((d) => list.push({ id: d.id, ...d.data() }));
+      ALERT_LOG = list;
+      renderHistoryFilterOptions();
+      renderAlertHistory();
+    },
+    (err) => {
+      console.error("❌ Alert log snapshot error:", err);
+      setHistoryMsg("Failed to load alert history.");
+    }
+  );
+}
+
+function setupAlertHistory() {
+  renderHistoryFilterOptions();
+
+  if (alertHistoryPanel) {
+    alertHistoryPanel.addEventListener("toggle", () => {
+      if (alertHistoryPanel.open && !unsubscribeAlertLog) subscribeAlertLog();
+    });
+  }
+  if (historyDeviceSelect) historyDeviceSelect.addEventListener("change", renderAlertHistory);
+  if (historyMetricSelect) historyMetricSelect.addEventListener("change", renderAlertHistory);
+  if (historyDateInput) historyDateInput.addEventListener("change", subscribeAlertLog);
+
+  if (historyClearBtn) {
+    historyClearBtn.addEventListener("click", () => {
+      const hadDate = !!historyDateInput?.value;
+      if (historyDeviceSelect) historyDeviceSelect.value = "";
+      if (historyMetricSelect) historyMetricSelect.value = "";
+      if (historyDateInput) historyDateInput.value = "";
+      if (hadDate) subscribeAlertLog();
+      else renderAlertHistory();
+    });
+  }
+}
+
+/* =======================
+   Mold / condensation risk (per device, AI.moldRiskReport)
+   Reads 10-min rollups for the 7 JST days ending with the chosen day
+   (default today) when the panel is open.
+======================= */
+const MOLD_RISK_TTL_MS = 10 * 60 * 1000;
+const MOLD_RISK_ROWS = new Map(); // `${deviceId}:${dayStartMs}` -> { fetchedMs, rows }
+let MOLD_RISK_LOADING = false;
+
+function moldRiskDayMs() {
+  const v = moldDateInput?.value;
+  if (v) {
+    const dt = luxon.DateTime.fromISO(v, { zone: "Asia/Tokyo" });
+    if (dt.isValid) return dt.startOf("day").toMillis();
+  }
+  return startOfTodayMs();
+}
+
+function setMoldMsg(text) {
+  if (moldMsgEl) moldMsgEl.textContent = text || "";
+}
+
+async function loadMoldRisk() {
+  if (!moldRiskPanel?.open || MOLD_RISK_LOADING) return;
+  MOLD_RISK_LOADING = true;
+  setMoldMsg("Loading…");
+
+  const dayMs = moldRiskDayMs();
+  const win = { from: dayMs - 6 * DAY_MS, to: dayMs + DAY_MS };
+  const now = Date.now();
+
+  try {
+    for (const dev of DEVICES.slice()) {
+      if (!DERIVED_INPUTS.every((m) => deviceHasMetric(dev, m))) continue;
+      const key = `${dev.id}:${dayMs}`;
+      const cached = MOLD_RISK_ROWS.get(key);
+      if (cached && now - cached.fetchedMs < MOLD_RISK_TTL_MS) continue;
+
+      try {
+        const snap = await getDocs(windowQuery(dev.id, win, "10m"));
+        const rows = [];
+        snap.forEach((d) => rows.push(calibrated(dev.id, d.data())));
+        MOLD_RISK_ROWS.set(key, { fetchedMs: now, rows });
+      } catch (e) {
+        console.error("Mold risk load failed:", dev.id, e);
+      }
+    }
+  } finally {
+    MOLD_RISK_LOADING = false;
+  }
+  renderMoldRisk();
+}
+
+function renderMoldRisk() {
+  if (!moldTableEl) return;
+  const dayMs = moldRiskDayMs();
+  const lang = currentLang();
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["Device", "Day", "7 days", "Explanation"].forEach((t) => {
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  let shown = 0;
+  for (const dev of DEVICES) {
+    const entry = MOLD_RISK_ROWS.get(`${dev.id}:${dayMs}`);
+    if (!entry) continue;
+
+    const r = AI.moldRiskReport({ rows: entry.rows, langMode: LANG_MODE, deviceName: dev.name, dayStartMs: dayMs });
+    const tr = document.createElement("tr");
+    const cell = (text, cls) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      if (cls) td.className = cls;
+      tr.appendChild(td);
+    };
+
+    cell(dev.name || dev.id);
+    cell(r.day ? `${r.day.score}` : "--", r.day ? `moldLevel ${r.day.level}` : "");
+    cell(r.week ? `${r.week.score}` : "--", r.week ? `moldLevel ${r.week.level}` : "");
+    cell(
+      [r.dayTexts?.[lang], r.weekTexts?.[lang]].filter(Boolean).join("\n") || "No data for these days.",
+      "historyMsgCell moldText"
+    );
+    table.appendChild(tr);
+    shown += 1;
+  }
+
+  moldTableEl.innerHTML = "";
+  moldTableEl.appendChild(table);
+  setMoldMsg(
+    shown
+      ? `${fmtYMD(dayMs)} and the 6 days before (scores 0–100; from 10-min averages).`
+      : "No devices with temperature and humidity."
+  );
+}
+
+function setupMoldRisk() {
+  if (moldRiskPanel) moldRiskPanel.addEventListener("toggle", loadMoldRisk);
+  if (moldDateInput) {
+    moldDateInput.max = luxon.DateTime.now().setZone("Asia/Tokyo").toFormat("yyyy-LL-dd");
+    moldDateInput.addEventListener("change", loadMoldRisk);
+  }
+}
+
+/* =======================
+   Device config (Firestore: device_config/{deviceId}, model in deviceConfig.js)
+   - edited here (saved by the setDeviceConfig function), delivered to the device
+     in the ingest response / getDeviceConfig
+   - every save bumps `version`; the device reports the version it runs
+     (device_status health.configVersion)
+   - the monitor windows and offline limits follow the configured cadence
+======================= */
+let DEVICE_CONFIGS = new Map(); // deviceId -> device_config doc
+let unsubscribeConfigs = null;
+
+const CONFIG_FIELD_LABELS = {
+  sampleIntervalSec: "Sampling interval (s)",
+  uploadIntervalSec: "Upload interval (s)",
+  ledBrightness: "LED brightness (%)",
+};
+
+function setConfigMsg(text) {
+  if (configMsgEl) configMsgEl.textContent = text || "";
+}
+
+function getConfigDeviceId() {
+  return configDeviceSelect?.value || currentDeviceId;
+}
+
+function renderConfigDeviceOptions() {
+  if (!configDeviceSelect) return;
+  const prev = configDeviceSelect.value || currentDeviceId;
+
+  configDeviceSelect.innerHTML = "";
+  DEVICES.forEach((dev) => {
+    const opt = document.createElement("option");
+    opt.value = dev.id;
+    opt.textContent = deviceOptionLabel(dev);
+    configDeviceSelect.appendChild(opt);
+  });
+
+  configDeviceSelect.value = getDevice(prev) ? prev : currentDeviceId;
+  renderConfigForm();
+}
+
+function configStatusText(deviceId) {
+  const raw = DEVICE_CONFIGS.get(deviceId);
+  const running = DEVICE_HEALTH.get(deviceId)?.health?.configVersion;
+  const parts = [raw?.version ? `Version ${raw.version}` : "Defaults (never saved)"];
+  if (raw?.updatedAt) parts.push(`saved ${fmtDateTime(tsToMs(raw.updatedAt))}${raw.updatedBy ? ` by ${raw.updatedBy}` : ""}`);
+  if (typeof running === "number") {
+    parts.push(running === (raw?.version || 0) ? "device is up to date" : `device runs version ${running}`);
+  }
+  return parts.join(" · ");
+}
+
+function renderConfigForm() {
+  if (!configFormEl) return;
+
+  // don't wipe what the user is typing when a snapshot arrives
+  if (configFormEl.contains(document.activeElement)) return;
+
+  const deviceId = getConfigDeviceId();
+  const { config } = normalizeDeviceConfig(DEVICE_CONFIGS.get(deviceId));
+  const caps = getDevice(deviceId)?.capabilities;
+  const sensors = Array.isArray(caps) ? SENSOR_KEYS.filter((k) => caps.includes(k)) : SENSOR_KEYS;
+
+  configFormEl.innerHTML = "";
+  for (const [field, label] of Object.entries(CONFIG_FIELD_LABELS)) {
+    const wrap = document.createElement("label");
+    wrap.className = "configField";
+    const input = document.createElement("input");
+    input.type = "number";
+    input.className = "settingsInput";
+    input.min = String(DEVICE_CONFIG_LIMITS[field].min);
+    input.max = String(DEVICE_CONFIG_LIMITS[field].max);
+    input.step = "1";
+    input.dataset.field = field;
+    input.value = String(config[field]);
+    input.placeholder = String(DEVICE_CONFIG_DEFAULTS[field]);
+    wrap.append(label, input);
+    configFormEl.appendChild(wrap);
+  }
+
+  const sensorWrap = document.createElement("div");
+  sensorWrap.className = "configSensors";
+  sensorWrap.append("Enabled sensors:");
+  for (const key of sensors) {
+    const lbl = document.createElement("label");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.dataset.sensor = key;
+    cb.checked = config.enabledSensors.includes(key);
+    lbl.append(cb, ` ${key}`);
+    sensorWrap.appendChild(lbl);
+  }
+  configFormEl.appendChild(sensorWrap);
+
+  setConfigMsg(configStatusText(deviceId));
+}
+
+async function saveDeviceConfig() {
+  const deviceId = getConfigDeviceId();
+  const raw = {};
+  configFormEl.querySelectorAll("input[data-field]").forEach((input) => {
+    if (input.value.trim()) raw[input.dataset.field] = Number(input.value);
+  });
+  raw.enabledSensors = Array.from(configFormEl.querySelectorAll("input[data-sensor]:checked")).map(
+    (cb) => cb.dataset.sensor
+  );
+
+  const { config, errors } = normalizeDeviceConfig(raw);
+  if (errors.length) {
+    setConfigMsg(`${errors[0]}.`);
+    return;
+  }
+
+  try {
+    await callAdminFunction("setDeviceConfig", { deviceId, config, updatedBy: getOperatorName() || null });
+    setConfigMsg("Saved. The device picks it up with its next upload.");
+  } catch (e) {
+    console.error("Device config save failed:", e);
+    setConfigMsg(`Save failed: ${e.message}`);
+  }
+}
+
+// Back to the firmware defaults; keeps counting versions so the device notices
+async function resetDeviceConfig() {
+  const deviceId = getConfigDeviceId();
+  try {
+    await callAdminFunction("setDeviceConfig", { deviceId, reset: true, updatedBy: getOperatorName() || null });
+    setConfigMsg("Reset to defaults.");
+  } catch (e) {
+    console.error("Device config reset failed:", e);
+    setConfigMsg(`Reset failed: ${e.message}`);
+  }
+}
+
+function subscribeDeviceConfigs() {
+  if (unsubscribeConfigs) {
+    unsubscribeConfigs();
+    unsubscribeConfigs = null;
+  }
+
+  unsubscribeConfigs = onSnapshot(
+    collection(db, "device_config"),
+    (snap) => {
+      const m = new Map();
+      snap.forEach((d) => m.set(d.id, d.data()));
+      DEVICE_CONFIGS = m;
+      renderConfigForm();
+      renderDataGaps();
+      renderStatus();
+      runGlobalAI();
+    },
+    (err) => {
+      console.error("❌ Device config snapshot error:", err);
+    }
+  );
+}
+
+function setupDeviceConfig() {
+  renderConfigDeviceOptions();
+  if (configDeviceSelect) configDeviceSelect.addEventListener("change", renderConfigForm);
+  if (configSaveBtn) configSaveBtn.addEventListener("click", saveDeviceConfig);
+  if (configResetBtn) configResetBtn.addEventListener("click", resetDeviceConfig);
 }
 
 /* =======================
-   CSV actions
+   Sensor calibration (Firestore: calibrations/{deviceId}, model in calibration.js)
+   - rows are corrected where they are read (calibrated()), before the derived
+     metrics: cards, charts, compare, overlays, CSV (+ raw columns) and the AI
+     all see the same values; stored readings stay raw
+   - a change re-reads what is on screen and drops the cached rows
+   - entries are saved through the setCalibration function (admin key)
 ======================= */
-function downloadCurrentViewCsv() {
-  const rows = Array.isArray(CURRENT_VIEW_ROWS) ? CURRENT_VIEW_ROWS : [];
-  if (!rows.length) {
-    if (csvHintText) csvHintText.textContent = "No rows in current view to export.";
+let CALIBRATIONS = new Map(); // deviceId -> entries (valid, oldest first)
+let unsubscribeCalibrations = null;
+
+const CALIB_MODE_LABELS = { offset: "Offset", gain: "Gain + offset", twoPoint: "Two-point", none: "None (raw)" };
+
+function calibrated(deviceId, row) {
+  return calibrateRow(row, CALIBRATIONS.get(deviceId));
+}
+
+function setCalibMsg(text) {
+  if (calibMsgEl) calibMsgEl.textContent = text || "";
+}
+
+function getCalibDeviceId() {
+  return calibDeviceSelect?.value || currentDeviceId;
+}
+
+function renderCalibDeviceOptions() {
+  if (!calibDeviceSelect) return;
+  const prev = calibDeviceSelect.value || currentDeviceId;
+
+  calibDeviceSelect.innerHTML = "";
+  DEVICES.forEach((dev) => {
+    const opt = document.createElement("option");
+    opt.value = dev.id;
+    opt.textContent = deviceOptionLabel(dev);
+    calibDeviceSelect.appendChild(opt);
+  });
+
+  calibDeviceSelect.value = getDevice(prev) ? prev : currentDeviceId;
+  renderCalibTable();
+}
+
+function calibrationText(e) {
+  const line = calibrationLine(e);
+  if (!line) return "raw";
+  const digits = e.metric === "Light" ? 1 : 2;
+  const off = line.offset >= 0 ? `+ ${formatNum(line.offset, digits)}` : `− ${formatNum(-line.offset, digits)}`;
+  const formula = line.gain === 1 ? `v ${off}` : `${formatNum(line.gain, 4)} × v ${off}`;
+  if (e.mode !== "twoPoint") return formula;
+  const pts = e.points.map((p) => `${p.raw} → ${p.ref}`).join(", ");
+  return `${pts} (${formula})`;
+}
+
+function renderCalibTable() {
+  if (!calibTableEl) return;
+  const deviceId = getCalibDeviceId();
+  const entries = CALIBRATIONS.get(deviceId) || [];
+  calibTableEl.innerHTML = "";
+
+  if (!entries.length) {
+    setCalibMsg(`${getDevice(deviceId)?.name || deviceId}: no calibration (raw readings).`);
     return;
   }
-  const csv = rowsToCsv(rows, currentDeviceId);
-  downloadTextFile(makeCsvFilename(currentDeviceId, VIEW_MODE), csv);
-  if (csvHintText) csvHintText.textContent = `Exported 1 file (${currentDeviceId}) with ${rows.length} rows.`;
+  setCalibMsg("");
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["Metric", "Effective from", "Mode", "Correction", "Note", "By", ""].forEach((t) => {
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  // newest first, like the other history tables
+  for (const e of entries.slice().reverse()) {
+    const tr = document.createElement("tr");
+    [
+      `${e.metric} (${THRESHOLD_UNITS[e.metric]})`,
+      fmtDateTime(e.fromMs),
+      CALIB_MODE_LABELS[e.mode],
+      calibrationText(e),
+      e.note || "",
+      e.createdBy || "",
+    ].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+
+    const td = document.createElement("td");
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "settingsBtn settingsBtn2";
+    del.textContent = "Delete";
+    del.addEventListener("click", () => deleteCalibrationEntry(deviceId, e.id));
+    td.appendChild(del);
+    tr.appendChild(td);
+    table.appendChild(tr);
+  }
+  calibTableEl.appendChild(table);
 }
 
-async function downloadLastNDocsCsv() {
-  const nRaw = parseInt(csvLimitInput?.value || "6500", 10);
-  const n = Math.max(100, Math.min(20000, isNaN(nRaw) ? 6500 : nRaw));
+// Show only the inputs the chosen mode uses
+function renderCalibFormMode() {
+  if (!calibFormEl) return;
+  const mode = calibModeSelect?.value || "offset";
+  calibFormEl.querySelectorAll("[data-modes]").forEach((el) => {
+    el.classList.toggle("hidden", !el.dataset.modes.split(" ").includes(mode));
+  });
+}
 
-  if (csvHintText) csvHintText.textContent = `Preparing CSV (${currentDeviceId}, last ${n} docs)...`;
+// -> null or an error message (also used by the co-location tool; setCalibration checks again)
+async function addCalibrationEntry(deviceId, raw) {
+  const { entry, errors } = normalizeCalibrationEntry(raw);
+  if (!entry) return `${errors[0]}.`;
 
-  const dataCol = collection(db, "public_readings", currentDeviceId, "data");
-  const qData = query(dataCol, orderBy("timestamp", "desc"), limit(n));
+  // same metric + effective time replaces the earlier entry (server side)
+  try {
+    await callAdminFunction("setCalibration", { deviceId, add: entry, createdBy: getOperatorName() || null });
+    return null;
+  } catch (e) {
+    console.error("Calibration save failed:", e);
+    return `Save failed: ${e.message}`;
+  }
+}
 
+async function deleteCalibrationEntry(deviceId, entryId) {
   try {
-    const snap = await getDocs(qData);
-    if (snap.empty) {
-      if (csvHintText) csvHintText.textContent = "No docs found to export.";
-      return;
+    await callAdminFunction("setCalibration", { deviceId, deleteId: entryId });
+  } catch (e) {
+    console.error("Calibration delete failed:", e);
+    setCalibMsg(`Delete failed: ${e.message}`);
+  }
+}
+
+async function addCalibrationFromForm() {
+  const mode = calibModeSelect?.value || "offset";
+  const val = (name) => calibFormEl.querySelector(`[data-calib="${name}"]`)?.value.trim() ?? "";
+  const fromMs = parseDateTimeLocalToMs(calibFromInput?.value || "");
+
+  const raw = { metric: calibMetricSelect?.value, mode, fromMs, note: val("note") };
+  if (mode === "offset" || mode === "gain") raw.offset = val("offset");
+  if (mode === "gain") raw.gain = val("gain");
+  if (mode === "twoPoint") {
+    raw.points = [
+      { raw: val("raw1"), ref: val("ref1") },
+      { raw: val("raw2"), ref: val("ref2") },
+    ];
+  }
+
+  const error = await addCalibrationEntry(getCalibDeviceId(), raw);
+  setCalibMsg(error || "Saved. Views and alerts use it from the effective time on.");
+}
+
+function calibrationsChanged(prev, next, ids) {
+  return ids.some((id) => JSON.stringify(prev.get(id) || []) !== JSON.stringify(next.get(id) || []));
+}
+
+function subscribeCalibrations() {
+  if (unsubscribeCalibrations) {
+    unsubscribeCalibrations();
+    unsubscribeCalibrations = null;
+  }
+
+  unsubscribeCalibrations = onSnapshot(
+    collection(db, "calibrations"),
+    (snap) => {
+      const m = new Map();
+      snap.forEach((d) => {
+        const entries = calibrationEntries(d.data());
+        if (entries.length) m.set(d.id, entries);
+      });
+      const prev = CALIBRATIONS;
+      CALIBRATIONS = m;
+      renderCalibTable();
+      if (!calibrationsChanged(prev, m, DEVICES.map((d) => d.id))) return;
+
+      // cached rows were corrected with the old entries
+      GLOBAL_HISTORY.clear();
+      OVERVIEW_HISTORY.clear();
+      MOLD_RISK_ROWS.clear();
+      CAL_MONTH_STATS.clear();
+      REF_KEY = null;
+      if (calibrationsChanged(prev, m, [currentDeviceId, ...compareDeviceIds()])) subscribeToTodayData();
+      renderCalendar();
+      loadMoldRisk();
+      pollGlobalOnce();
+    },
+    (err) => {
+      console.error("❌ Calibration snapshot error:", err);
     }
+  );
+}
+
+function setupCalibration() {
+  if (calibMetricSelect) {
+    calibMetricSelect.innerHTML = "";
+    CALIBRATION_METRICS.forEach((m) => {
+      const opt = document.createElement("option");
+      opt.value = m;
+      opt.textContent = `${m} (${THRESHOLD_UNITS[m]})`;
+      calibMetricSelect.appendChild(opt);
+    });
+  }
+  if (calibFromInput && !calibFromInput.value) calibFromInput.value = toJstDateTimeLocalValueFromMs(Date.now());
+
+  renderCalibDeviceOptions();
+  renderCalibFormMode();
+  if (calibDeviceSelect) {
+    calibDeviceSelect.addEventListener("change", () => {
+      setCalibMsg("");
+      renderCalibTable();
+    });
+  }
+  if (calibModeSelect) calibModeSelect.addEventListener("change", renderCalibFormMode);
+  if (calibAddBtn) calibAddBtn.addEventListener("click", addCalibrationFromForm);
+}
+
+/* =======================
+   Co-location calibration (two devices side by side)
+   - both devices read for the same window and resolution, paired by nearest
+     timestamp (calibration.js alignPairs): the device under test on its raw
+     readings, the reference calibrated
+   - per metric bias / RMSE / regression; scatter (test vs reference) and
+     difference-over-time plots for the chosen metric
+   - the offset (or the regression line) is saved as a calibration entry of
+     the device under test (addCalibrationEntry)
+======================= */
+const COLOC_MAX_SCATTER_POINTS = 4000;
+const COLOC_DEFAULT_MS = 24 * 60 * 60 * 1000;
+
+let COLOC = null; // { deviceId, refId, win, res, capped, pairs: { metric: [...] }, stats: { metric: {...} } }
+let colocScatterChart = null;
+let colocDiffChart = null;
+
+function setColocMsg(text) {
+  if (colocMsgEl) colocMsgEl.textContent = text || "";
+}
+
+function renderColocDeviceOptions() {
+  [colocDeviceSelect, colocRefSelect].forEach((sel, i) => {
+    if (!sel) return;
+    const prev = sel.value;
+    sel.innerHTML = "";
+    DEVICES.forEach((dev) => {
+      const opt = document.createElement("option");
+      opt.value = dev.id;
+      opt.textContent = deviceOptionLabel(dev);
+      sel.appendChild(opt);
+    });
+    // device under test defaults to the selected device, the reference to another one
+    const fallback = i === 0 ? currentDeviceId : DEVICES.find((d) => d.id !== currentDeviceId)?.id || currentDeviceId;
+    sel.value = getDevice(prev) ? prev : fallback;
+  });
+}
+
+function colocWindow() {
+  const to = parseDateTimeLocalToMs(colocToInput?.value || "") ?? Date.now();
+  const from = parseDateTimeLocalToMs(colocFromInput?.value || "") ?? to - COLOC_DEFAULT_MS;
+  return { from, to: Math.min(to, Date.now()) };
+}
+
+async function runColocation() {
+  const deviceId = colocDeviceSelect?.value;
+  const refId = colocRefSelect?.value;
+  const win = colocWindow();
+
+  if (!deviceId || !refId || deviceId === refId) {
+    setColocMsg("Choose two different devices.");
+    return;
+  }
+  if (!(win.to > win.from)) {
+    setColocMsg("End must be after start.");
+    return;
+  }
+  if (win.to - win.from > MAX_RANGE_MS) {
+    setColocMsg("Range is too long (max 1 year).");
+    return;
+  }
 
+  const res = resolutionForWindow(win);
+  setColocMsg("Loading…");
+  try {
+    const [snapA, snapB] = await Promise.all([
+      getDocs(windowQuery(deviceId, win, res)),
+      getDocs(windowQuery(refId, win, res)),
+    ]);
     const rows = [];
-    snap.forEach((doc) => rows.push(doc.data()));
-    rows.reverse();
+    const refRows = [];
+    snapA.forEach((d) => rows.push(calibrated(deviceId, d.data())));
+    snapB.forEach((d) => refRows.push(calibrated(refId, d.data())));
+
+    // pair within half a row spacing of the slower device
+    const sampleMs = Math.max(
+      sampleIntervalMs(DEVICE_CONFIGS.get(deviceId)),
+      sampleIntervalMs(DEVICE_CONFIGS.get(refId))
+    );
+    const toleranceMs = expectedIntervalMs(res, sampleMs) / 2;
 
-    const csv = rowsToCsv(rows, currentDeviceId);
-    downloadTextFile(makeCsvFilename(currentDeviceId, `last${rows.length}`), csv);
+    const metrics = CALIBRATION_METRICS.filter(
+      (m) => deviceHasMetric(getDevice(deviceId), m) && deviceHasMetric(getDevice(refId), m)
+    );
+    const pairs = {};
+    const stats = {};
+    for (const m of metrics) {
+      pairs[m] = alignPairs(rows, refRows, m, toleranceMs);
+      stats[m] = agreementStats(pairs[m]);
+    }
 
-    if (csvHintText) csvHintText.textContent = `Exported 1 file (${currentDeviceId}) with ${rows.length} rows.`;
+    const capped = rows.length >= WINDOW_LIMIT_DOCS || refRows.length >= WINDOW_LIMIT_DOCS;
+    COLOC = { deviceId, refId, win, res, capped, metrics, pairs, stats };
+    if (colocEffectiveInput && !colocEffectiveInput.value) {
+      colocEffectiveInput.value = toJstDateTimeLocalValueFromMs(win.from);
+    }
+
+    const n = Math.max(0, ...metrics.map((m) => pairs[m].length));
+    const what = res === "raw" ? "readings (raw)" : `buckets (${resolutionLabel(res)})`;
+    const cap = capped ? "; capped at the query limit, shorten the range to use all of it" : "";
+    setColocMsg(n ? `${n} aligned ${what}${cap}.` : "No overlapping readings in this range.");
   } catch (e) {
-    console.error("CSV export failed:", e);
-    if (csvHintText) csvHintText.textContent = "CSV export failed (check console).";
+    console.error("Co-location load failed:", e);
+    COLOC = null;
+    setColocMsg("Failed to load readings (check console).");
   }
+  renderColocation();
 }
 
-async function downloadAllDevicesCurrentViewCsv() {
-  if (csvHintText) csvHintText.textContent = "Preparing CSV for all devices (current view)...";
-
-  const win = getActiveWindow();
-  const fromDate = new Date(win.from);
-  const toDate = new Date(win.to);
+function fmtSigned(v, digits) {
+  return `${v >= 0 ? "+" : "−"}${formatNum(Math.abs(v), digits)}`;
+}
 
-  let totalFiles = 0;
-  let totalRows = 0;
+function renderColocStats() {
+  if (!colocStatsEl) return;
+  colocStatsEl.innerHTML = "";
+  if (!COLOC) return;
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["Metric", "Pairs", "Bias (test − ref)", "RMSE", "Regression (ref ≈)", "R²", ""].forEach((t) => {
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  for (const metric of COLOC.metrics) {
+    const st = COLOC.stats[metric];
+    const digits = metric === "Light" ? 1 : metric === "Pressure" ? 2 : 3;
+    const unit = THRESHOLD_UNITS[metric];
+    const tr = document.createElement("tr");
+    [
+      `${metric} (${unit})`,
+      String(st?.n || 0),
+      st ? fmtSigned(st.bias, digits) : "--",
+      st ? formatNum(st.rmse, digits) : "--",
+      st?.slope != null ? `${formatNum(st.slope, 4)} × test ${fmtSigned(st.intercept, digits)}` : "--",
+      st?.r2 != null ? formatNum(st.r2, 4) : "--",
+    ].forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
 
-  for (const dev of DEVICES) {
-    try {
-      const dataCol = collection(db, "public_readings", dev.id, "data");
+    const td = document.createElement("td");
+    const enough = st && st.n >= COLOCATION_MIN_PAIRS;
+    const btn = (label, mode) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "settingsBtn settingsBtn2";
+      b.textContent = label;
+      b.disabled = !enough || (mode === "gain" && st.slope == null);
+      b.title = enough ? "" : `Needs at least ${COLOCATION_MIN_PAIRS} pairs`;
+      b.addEventListener("click", () => saveColocCalibration(metric, mode));
+      td.appendChild(b);
+    };
+    btn("Save offset", "offset");
+    btn("Save fit", "gain");
+    tr.appendChild(td);
+    table.appendChild(tr);
+  }
+  colocStatsEl.appendChild(table);
+}
 
-      if (VIEW_MODE === "day" || VIEW_MODE === "range") {
-        const qWin = query(
-          dataCol,
-          where("timestamp", ">=", fromDate),
-          where("timestamp", "<", toDate),
-          orderBy("timestamp", "asc"),
-          limit(WINDOW_LIMIT_DOCS)
-        );
-        const snap = await getDocs(qWin);
-        if (snap.empty) continue;
+function colocChartOptions(xScale, yTitle) {
+  return {
+    responsive: true,
+    parsing: false,
+    animation: false,
+    adapters: { date: { zone: "Asia/Tokyo" } },
+    scales: { x: xScale, y: { beginAtZero: false, title: { display: true, text: yTitle } } },
+    plugins: { legend: { display: true } },
+  };
+}
 
-        const rows = [];
-        snap.forEach((doc) => rows.push(doc.data()));
-        if (!rows.length) continue;
+function renderColocCharts() {
+  if (!colocScatterCanvas || !colocDiffCanvas || typeof Chart === "undefined") return;
+  const metric = colocMetricSelect?.value;
+  const pairs = (COLOC && COLOC.pairs[metric]) || [];
+  const st = COLOC?.stats[metric];
+  const unit = THRESHOLD_UNITS[metric] || "";
+  const testName = getDevice(COLOC?.deviceId)?.name || COLOC?.deviceId || "Test";
+  const refName = getDevice(COLOC?.refId)?.name || COLOC?.refId || "Reference";
+
+  const stride = Math.max(1, Math.ceil(pairs.length / COLOC_MAX_SCATTER_POINTS));
+  const scatter = [];
+  const diff = [];
+  let lo = Infinity;
+  let hi = -Infinity;
+  pairs.forEach((p, i) => {
+    lo = Math.min(lo, p.v, p.ref);
+    hi = Math.max(hi, p.v, p.ref);
+    if (i % stride) return;
+    scatter.push({ x: p.v, y: p.ref });
+    diff.push({ x: p.ms, y: p.v - p.ref });
+  });
 
-        const csv = rowsToCsv(rows, dev.id);
-        downloadTextFile(makeCsvFilename(dev.id, VIEW_MODE), csv);
+  const datasets = [
+    { label: "Pairs", data: scatter, backgroundColor: "rgba(0,163,255,0.45)", pointRadius: 1.5 },
+    {
+      label: "y = x",
+      type: "line",
+      data: pairs.length ? [{ x: lo, y: lo }, { x: hi, y: hi }] : [],
+      borderColor: "rgba(229,231,235,0.5)",
+      borderDash: [6, 4],
+      borderWidth: 1,
+      pointRadius: 0,
+    },
+  ];
+  if (st?.slope != null) {
+    datasets.push({
+      label: "Fit",
+      type: "line",
+      data: [{ x: lo, y: st.slope * lo + st.intercept }, { x: hi, y: st.slope * hi + st.intercept }],
+      borderColor: "#ffb020",
+      borderWidth: 1.5,
+      pointRadius: 0,
+    });
+  }
 
-        totalFiles += 1;
-        totalRows += rows.length;
-      } else {
-        const qLast = query(dataCol, orderBy("timestamp", "desc"), limit(FIRESTORE_LIMIT_DOCS));
-        const snap = await getDocs(qLast);
-        if (snap.empty) continue;
+  if (colocScatterChart) colocScatterChart.destroy();
+  colocScatterChart = new Chart(colocScatterCanvas, {
+    type: "scatter",
+    data: { datasets },
+    options: colocChartOptions(
+      { type: "linear", title: { display: true, text: `${testName} raw (${unit})` } },
+      `${refName} (${unit})`
+    ),
+  });
 
-        const rows = [];
-        snap.forEach((doc) => rows.push(doc.data()));
-        rows.reverse();
+  if (colocDiffChart) colocDiffChart.destroy();
+  colocDiffChart = new Chart(colocDiffCanvas, {
+    type: "line",
+    data: {
+      datasets: [
+        { label: `${testName} − ${refName}`, data: diff, borderColor: "#e879f9", borderWidth: 1.5, pointRadius: 0 },
+      ],
+    },
+    options: colocChartOptions(
+      { type: "time", time: { displayFormats: { day: "LL/dd", hour: "HH:mm", minute: "HH:mm" } } },
+      `Difference (${unit})`
+    ),
+  });
+}
 
-        const rowsView = rows.filter((d) => {
-          const ms = tsToMs(d.timestamp);
-          return ms && ms >= win.from && ms < win.to;
-        });
+function renderColocation() {
+  renderColocStats();
+  renderColocCharts();
+}
 
-        const finalRows = rowsView.length === 0 ? rows : rowsView;
-        if (!finalRows.length) continue;
+async function saveColocCalibration(metric, mode) {
+  const st = COLOC?.stats[metric];
+  if (!st) return;
+  const fromMs = parseDateTimeLocalToMs(colocEffectiveInput?.value || "") ?? COLOC.win.from;
+  const refName = getDevice(COLOC.refId)?.name || COLOC.refId;
+  const note = `Co-location vs ${refName}, ${fmtDateTime(COLOC.win.from)} – ${fmtDateTime(COLOC.win.to)}, n=${st.n}`;
+  const round = (v, d) => Math.round(v * 10 ** d) / 10 ** d;
+
+  const raw =
+    mode === "gain"
+      ? { metric, mode: "gain", gain: round(st.slope, 5), offset: round(st.intercept, 4), fromMs, note }
+      : { metric, mode: "offset", offset: round(-st.bias, 4), fromMs, note };
+  const error = await addCalibrationEntry(COLOC.deviceId, raw);
+  const name = getDevice(COLOC.deviceId)?.name || COLOC.deviceId;
+  setColocMsg(error || `Saved as ${name}'s ${metric} calibration from ${fmtDateTime(fromMs)}.`);
+}
 
-        const csv = rowsToCsv(finalRows, dev.id);
-        downloadTextFile(makeCsvFilename(dev.id, VIEW_MODE), csv);
+function setupColocation() {
+  if (colocMetricSelect) {
+    colocMetricSelect.innerHTML = "";
+    CALIBRATION_METRICS.forEach((m) => {
+      const opt = document.createElement("option");
+      opt.value = m;
+      opt.textContent = m;
+      colocMetricSelect.appendChild(opt);
+    });
+    colocMetricSelect.addEventListener("change", renderColocCharts);
+  }
 
-        totalFiles += 1;
-        totalRows += finalRows.length;
-      }
-    } catch (e) {
-      console.error("All-devices current-view CSV export failed:", dev.id, e);
-    }
+  const now = Date.now();
+  if (colocToInput && !colocToInput.value) colocToInput.value = toJstDateTimeLocalValueFromMs(now);
+  if (colocFromInput && !colocFromInput.value) {
+    colocFromInput.value = toJstDateTimeLocalValueFromMs(now - COLOC_DEFAULT_MS);
   }
 
-  if (csvHintText) {
-    csvHintText.textContent =
-      totalFiles > 0
-        ? `Exported ${totalFiles} files (all devices). Total rows: ${totalRows}.`
-        : "No data exported (no docs in window).";
+  renderColocDeviceOptions();
+  // until a comparison is run, opening the panel re-picks the defaults for the device now selected
+  if (colocPanel) {
+    colocPanel.addEventListener("toggle", () => {
+      if (!colocPanel.open || COLOC) return;
+      [colocDeviceSelect, colocRefSelect].forEach((sel) => sel && (sel.value = ""));
+      renderColocDeviceOptions();
+    });
   }
+  if (colocRunBtn) colocRunBtn.addEventListener("click", runColocation);
+  // a new range means a new default effective time
+  [colocFromInput, colocToInput].forEach((el) => {
+    if (!el) return;
+    el.addEventListener("change", () => {
+      if (colocEffectiveInput) colocEffectiveInput.value = "";
+    });
+  });
 }
 
-async function downloadAllDevicesLastNDocsCsv() {
-  const nRaw = parseInt(csvLimitInput?.value || "6500", 10);
-  const n = Math.max(100, Math.min(20000, isNaN(nRaw) ? 6500 : nRaw));
+/* =======================
+   Device health (Firestore: device_status/{deviceId}, written by ingest)
+   Latest RSSI / heap / uptime / firmware / error / NTP / battery for every
+   device (one listener), history of the selected one when the panel is open.
+======================= */
+const HEALTH_LIMITS = { weakRssi: -80, lowBattery: 20, lowHeap: 20 * 1024 };
+const HEALTH_STALE_MS = 15 * 60 * 1000; // older reports don't flag the status line
+const HEALTH_HISTORY_MS = 7 * DAY_MS;
+const HEALTH_HISTORY_LIMIT = 300;
+const HEALTH_EVENT_LABELS = { reboot: "Reboot", firmware: "Firmware changed", error: "Error", ntp_lost: "NTP lost" };
+
+let DEVICE_HEALTH = new Map(); // deviceId -> device_status doc
+let unsubscribeHealth = null;
+let HEALTH_HISTORY = { deviceId: null, rows: [] };
+
+// Short problem list for the status line
+function healthIssues(st) {
+  const h = st?.health;
+  if (!h || !st.healthAtMs || Date.now() - st.healthAtMs > HEALTH_STALE_MS) return [];
+  const out = [];
+  if (typeof h.rssi === "number" && h.rssi <= HEALTH_LIMITS.weakRssi) out.push(`weak Wi-Fi (${h.rssi} dBm)`);
+  if (h.ntpSynced === false) out.push("clock not synced");
+  if (h.lastError) out.push(`error ${h.lastError}`);
+  if (typeof h.battery === "number" && h.battery <= HEALTH_LIMITS.lowBattery) out.push(`battery ${h.battery}%`);
+  if (typeof h.freeHeap === "number" && h.freeHeap < HEALTH_LIMITS.lowHeap) out.push("low memory");
+  return out;
+}
 
-  if (csvHintText) csvHintText.textContent = `Preparing CSV for all devices (last ${n} docs each)...`;
+function rssiQuality(rssi) {
+  if (rssi >= -60) return "good";
+  if (rssi >= -70) return "fair";
+  if (rssi > HEALTH_LIMITS.weakRssi) return "poor";
+  return "weak";
+}
 
-  let totalFiles = 0;
-  let totalRows = 0;
+function fmtUptime(sec) {
+  if (typeof sec !== "number") return "--";
+  const d = Math.floor(sec / 86400);
+  const h = Math.floor((sec % 86400) / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  return d ? `${d}d ${h}h` : h ? `${h}h ${m}m` : `${m}m`;
+}
 
-  for (const dev of DEVICES) {
-    try {
-      const dataCol = collection(db, "public_readings", dev.id, "data");
-      const qData = query(dataCol, orderBy("timestamp", "desc"), limit(n));
-      const snap = await getDocs(qData);
-      if (snap.empty) continue;
+function fmtHeap(bytes) {
+  return typeof bytes === "number" ? `${(bytes / 1024).toFixed(0)} KB` : "--";
+}
 
-      const rows = [];
-      snap.forEach((doc) => rows.push(doc.data()));
-      rows.reverse();
+function setHealthMsg(text) {
+  if (healthMsgEl) healthMsgEl.textContent = text || "";
+}
 
-      const csv = rowsToCsv(rows, dev.id);
-      downloadTextFile(makeCsvFilename(dev.id, `last${rows.length}`), csv);
+function renderHealthCurrent(st) {
+  if (!healthCurrentEl) return;
+  const h = st?.health || {};
+  const rows = [
+    ["Wi-Fi signal", typeof h.rssi === "number" ? `${h.rssi} dBm (${rssiQuality(h.rssi)})` : "--"],
+    ["Free heap", fmtHeap(h.freeHeap)],
+    ["Uptime", typeof h.uptimeSec === "number" ? `${fmtUptime(h.uptimeSec)} (since ${fmtDateTime(st.bootAtMs)})` : "--"],
+    ["Reboots seen", st?.rebootCount ? `${st.rebootCount} (last ${fmtDateTime(st.lastRebootMs)})` : "0"],
+    ["Firmware", h.firmware || "--"],
+    ["Last error", h.lastError || "none"],
+    ["NTP", h.ntpSynced === true ? "synced" : h.ntpSynced === false ? "not synced" : "--"],
+    ["Battery", typeof h.battery === "number" ? `${h.battery}%` : "--"],
+    ["Reported", st?.healthAtMs ? fmtDateTime(st.healthAtMs) : "--"],
+  ];
+
+  const table = document.createElement("table");
+  for (const [k, v] of rows) {
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.textContent = k;
+    const td = document.createElement("td");
+    td.textContent = v;
+    tr.appendChild(th);
+    tr.appendChild(td);
+    table.appendChild(tr);
+  }
+  healthCurrentEl.innerHTML = "";
+  healthCurrentEl.appendChild(table);
+}
 
-      totalFiles += 1;
-      totalRows += rows.length;
-    } catch (e) {
-      console.error("All-devices lastN CSV export failed:", dev.id, e);
-    }
+function renderHealthHistory() {
+  if (!healthHistoryEl) return;
+  const rows = HEALTH_HISTORY.deviceId === currentDeviceId ? HEALTH_HISTORY.rows : [];
+
+  const table = document.createElement("table");
+  const head = document.createElement("tr");
+  ["Time", "RSSI", "Heap", "Uptime", "Firmware", "Error", "NTP", "Battery", "Events"].forEach((t) => {
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+
+  for (const r of rows) {
+    const tr = document.createElement("tr");
+    const cell = (text, cls) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      if (cls) td.className = cls;
+      tr.appendChild(td);
+    };
+    cell(fmtDateTime(r.atMs));
+    cell(typeof r.rssi === "number" ? `${r.rssi}` : "--", r.rssi <= HEALTH_LIMITS.weakRssi ? "healthBad" : "");
+    cell(fmtHeap(r.freeHeap));
+    cell(fmtUptime(r.uptimeSec));
+    cell(r.firmware || "--");
+    cell(r.lastError || "", r.lastError ? "healthBad" : "");
+    cell(r.ntpSynced === false ? "no" : r.ntpSynced === true ? "yes" : "--", r.ntpSynced === false ? "healthBad" : "");
+    cell(typeof r.battery === "number" ? `${r.battery}%` : "--");
+    cell((r.events || []).map((e) => HEALTH_EVENT_LABELS[e] || e).join(", "), r.events?.length ? "historyStage2" : "");
+    table.appendChild(tr);
   }
 
-  if (csvHintText) {
-    csvHintText.textContent =
-      totalFiles > 0
-        ? `Exported ${totalFiles} files (all devices). Total rows: ${totalRows}.`
-        : "No data exported (no docs).";
+  healthHistoryEl.innerHTML = "";
+  healthHistoryEl.appendChild(table);
+}
+
+function renderHealthPanel() {
+  const st = DEVICE_HEALTH.get(currentDeviceId);
+  renderHealthCurrent(st);
+  renderHealthHistory();
+  if (!currentDeviceId) setHealthMsg(DEVICES_STATE_TEXT[DEVICES_STATE] || "");
+  else if (!st) setHealthMsg(`${getDevice(currentDeviceId)?.name || currentDeviceId}: no health reports yet.`);
+}
+
+async function loadHealthHistory() {
+  if (!healthPanel?.open || !currentDeviceId) return;
+  const deviceId = currentDeviceId;
+  setHealthMsg("Loading…");
+  try {
+    const q = query(
+      collection(db, "device_status", deviceId, "history"),
+      where("atMs", ">=", Date.now() - HEALTH_HISTORY_MS),
+      orderBy("atMs", "desc"),
+      limit(HEALTH_HISTORY_LIMIT)
+    );
+    const snap = await getDocs(q);
+    if (deviceId !== currentDeviceId) return; // switched while loading
+    const rows = [];
+    snap.forEach((d) => rows.push(d.data()));
+    HEALTH_HISTORY = { deviceId, rows };
+    setHealthMsg(
+      rows.length ? "Last 7 days, newest first (one entry per 10 min, plus events)." : "No history in the last 7 days."
+    );
+  } catch (e) {
+    console.error("Health history load failed:", deviceId, e);
+    setHealthMsg("Failed to load history.");
   }
+  renderHealthPanel();
 }
 
-function setupCsvButtons() {
-  if (csvDownloadBtn) csvDownloadBtn.addEventListener("click", downloadCurrentViewCsv);
-  if (csvDownloadAllBtn) csvDownloadAllBtn.addEventListener("click", downloadLastNDocsCsv);
+function subscribeDeviceHealth() {
+  if (unsubscribeHealth) {
+    unsubscribeHealth();
+    unsubscribeHealth = null;
+  }
 
-  if (csvDownloadAllDevicesBtn) csvDownloadAllDevicesBtn.addEventListener("click", downloadAllDevicesCurrentViewCsv);
-  if (csvDownloadAllDevicesLastNBtn) csvDownloadAllDevicesLastNBtn.addEventListener("click", downloadAllDevicesLastNDocsCsv);
+  unsubscribeHealth = onSnapshot(
+    collection(db, "device_status"),
+    (snap) => {
+      const m = new Map();
+      snap.forEach((d) => m.set(d.id, d.data()));
+      DEVICE_HEALTH = m;
+      renderStatus();
+      renderOverviewStatuses();
+      if (healthPanel?.open) renderHealthPanel();
+      setConfigMsg(configStatusText(getConfigDeviceId()));
+    },
+    (err) => {
+      console.error("❌ Device health snapshot error:", err);
+    }
+  );
+}
+
+function setupDeviceHealth() {
+  if (healthPanel) healthPanel.addEventListener("toggle", loadHealthHistory);
 }
 
 /* =======================
@@ -1659,6 +4783,8 @@ function setupLangSelect() {
     setLangMode(langSelect.value);
     updateAIUI();
     runGlobalAI();
+    renderAlertHistory();
+    if (moldRiskPanel?.open) renderMoldRisk();
   });
 }
 
@@ -1668,11 +4794,26 @@ function setupLangSelect() {
 function boot() {
   initCharts();
   setupDeviceDropdown();
+  subscribeDeviceRegistry();
   setupGoLiveButton();
   setupCalendarNav();
   setupRangeAutoUpdate();
   setupLangSelect();
   setupCsvButtons();
+  setupCalendarHeatmap();
+  setupReferenceOverlay();
+  setupDerivedMetrics();
+  setupDataGaps();
+  setupAdminKey();
+  setupThresholdSettings();
+  setupDeviceConfig();
+  setupCalibration();
+  setupColocation();
+  setupOperatorName();
+  setupAlertHistory();
+  setupMoldRisk();
+  setupDeviceHealth();
+  setupOverview();
 
   updateChartTitles();
 
@@ -1683,6 +4824,12 @@ function boot() {
 
   subscribeToTodayData();
   subscribeDeviceStatus();
+  subscribeAlertProfiles();
+  subscribeBaselines();
+  subscribeDeviceHealth();
+  subscribeDeviceConfigs();
+  subscribeCalibrations();
+  subscribeServerAlerts();
 
   startGlobalMonitoring();
 
@@ -1692,6 +4839,7 @@ function boot() {
 
   renderGoLiveButton();
   setCardLabelsForView();
+  applyCapabilitiesToLayout();
   updateAIUI();
   runGlobalAI();
 }
@@ -0,0 +1,69 @@
+/* =========================
+   Remote device configuration (Firestore: device_config/{deviceId})
+   { sampleIntervalSec, uploadIntervalSec, ledBrightness, enabledSensors,
+     version, updatedAt, updatedBy }
+   Shared by the dashboard (editor, monitor windows) and Cloud Functions
+   (delivery to devices; copied into functions/shared by sync-shared).
+   `version` goes up on every save; devices send the version they run as
+   configVersion and only get the config back when it changed.
+========================= */
+export const SENSOR_KEYS = ["Temperature", "Humidity", "Pressure", "Light"];
+
+// What the firmware does without a config doc (the original fixed cadence)
+export const DEVICE_CONFIG_DEFAULTS = {
+  sampleIntervalSec: 10,
+  uploadIntervalSec: 10,
+  ledBrightness: 50, // %
+  enabledSensors: SENSOR_KEYS,
+};
+
+export const DEVICE_CONFIG_LIMITS = {
+  sampleIntervalSec: { min: 1, max: 3600 },
+  uploadIntervalSec: { min: 1, max: 3600 },
+  ledBrightness: { min: 0, max: 100 },
+};
+
+/**
+ * Validate a (partial) config; missing or invalid fields fall back to the defaults.
+ * Returns { config, errors: [string] } (errors empty = everything given was valid).
+ */
+export function normalizeDeviceConfig(raw) {
+  const config = { ...DEVICE_CONFIG_DEFAULTS };
+  const errors = [];
+
+  for (const [field, { min, max }] of Object.entries(DEVICE_CONFIG_LIMITS)) {
+    const v = raw?.[field];
+    if (v === undefined || v === null || v === "") continue;
+    const n = typeof v === "number" ? v : Number(v);
+    if (!Number.isInteger(n) || n < min || n > max) errors.push(`${field} must be a whole number ${min}–${max}`);
+    else config[field] = n;
+  }
+
+  if (config.uploadIntervalSec < config.sampleIntervalSec) {
+    errors.push("uploadIntervalSec must not be shorter than sampleIntervalSec");
+    config.uploadIntervalSec = config.sampleIntervalSec;
+  }
+
+  const sensors = raw?.enabledSensors;
+  if (sensors !== undefined && sensors !== null) {
+    const list = Array.isArray(sensors) ? SENSOR_KEYS.filter((k) => sensors.includes(k)) : [];
+    if (!list.length || !Array.isArray(sensors) || list.length !== new Set(sensors).size) {
+      errors.push(`enabledSensors must be a non-empty list of ${SENSOR_KEYS.join(", ")}`);
+    } else config.enabledSensors = list;
+  }
+
+  return { config, errors };
+}
+
+export function sampleIntervalMs(raw) {
+  return normalizeDeviceConfig(raw).config.sampleIntervalSec * 1000;
+}
+
+export function uploadIntervalMs(raw) {
+  return normalizeDeviceConfig(raw).config.uploadIntervalSec * 1000;
+}
+
+// Offline limits for an upload cadence; never tighter than the base limits (10s uploads)
+export function offlineLimits(uploadMs, warnMs, alertMs) {
+  return { warnMs: Math.max(warnMs, Math.round(4.5 * uploadMs)), alertMs: Math.max(alertMs, 10 * uploadMs) };
+}
@@ -0,0 +1,40 @@
+// alertProfiles.js — writes alert_profiles/{default|deviceId} for setAlertProfile
+//
+// The dashboard's threshold editor posts here (admin key) instead of writing
+// Firestore itself; the checks are ai.js validateThresholdProfile, the same
+// ones the editor runs before sending. evaluateAlerts reads the profiles
+// (alerts.js loadAlertProfiles).
+
+const admin = require("firebase-admin");
+
+const ALERT_PROFILES_COLLECTION = "alert_profiles";
+const DEFAULT_PROFILE_ID = "default";
+
+let sharedPromise = null;
+function loadShared() {
+  if (!sharedPromise) sharedPromise = import("./shared/ai.js");
+  return sharedPromise;
+}
+
+/** { metrics } (validated) or { error } */
+async function normalizeProfile(raw) {
+  const { validateThresholdProfile } = await loadShared();
+  return validateThresholdProfile(raw);
+}
+
+/** Saves a profile; no metrics (null / {}) deletes it so the profile inherits again. */
+async function setAlertProfile(profileId, metrics) {
+  const ref = admin.firestore().collection(ALERT_PROFILES_COLLECTION).doc(profileId);
+  if (!metrics || !Object.keys(metrics).length) {
+    await ref.delete();
+    return;
+  }
+  await ref.set({ metrics, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+}
+
+module.exports = {
+  ALERT_PROFILES_COLLECTION,
+  DEFAULT_PROFILE_ID,
+  normalizeProfile,
+  setAlertProfile,
+};
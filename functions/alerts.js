@@ -0,0 +1,315 @@
+// alerts.js — server-side run of the dashboard's evaluateGlobal (ai.js)
+//
+// ai.js is an ES module shared with the browser; `npm run sync-shared` copies it
+// (and metrics.js, which it imports, plus deviceConfig.js and calibration.js) into ./shared
+// (predeploy does the same). Event state that the browser keeps in
+// memory (EVENTS) is persisted in alert_state/events between scheduled runs,
+// and every firing event is written to alerts/{eventKey} for the dashboard.
+//
+// alert_log/{eventKey}@{firstSeenMs} keeps one entry per occurrence (stage
+// transitions, texts, first/last seen, resolve and ack) after alerts/ moves on.
+// Dashboard acks go through ackAlert (index.js, admin key), which stamps
+// ackMs and sets alerts/{eventKey}.ackPending; the next run snoozes the
+// event like the in-page modal ack and copies ackMs/ackBy to the log entry.
+// Only Cloud Functions write alerts/ and alert_log/.
+//
+// Learned profiles (baselines/{deviceId}, see baselines.js) feed the baseline
+// rule; device_config/{deviceId} sets each device's cadence (offline limits,
+// window sizes). Rows are corrected with calibrations/{deviceId} (see
+// calibration.js) before they are evaluated.
+
+const admin = require("firebase-admin");
+
+const { DEVICES_COLLECTION } = require("./devices");
+const { readingsCol } = require("./readings");
+const { ROLLUPS_COLLECTION } = require("./rollups");
+const { loadBaselines } = require("./baselines");
+const { loadDeviceConfigs } = require("./configDelivery");
+const { loadCalibrations, calibrateRows } = require("./calibration");
+const { ALERT_PROFILES_COLLECTION } = require("./alertProfiles");
+
+const ALERTS_COLLECTION = "alerts";
+const ALERT_LOG_COLLECTION = "alert_log";
+const ALERT_STATE_DOC = "alert_state/events";
+
+// Same windows as the dashboard's global monitor (dashboard.js runGlobalAI):
+// the last ~20 min of raw readings at the device's sample interval
+const RECENT_WINDOW_MS = 20 * 60 * 1000;
+const RECENT_LIMIT_MIN = 30;
+const RECENT_LIMIT_MAX = 1200;
+const HISTORY_MS = 4 * 60 * 60 * 1000; // 10-min rollups for the 3 h rules (drop3h)
+const EVAL_OPTIONS = {
+  warnMs: 45 * 1000,
+  alertMs: 5 * 60 * 1000,
+  repeatWindowMs: 10 * 60 * 1000,
+  persistWindowMs: 30 * 60 * 1000,
+  modalSnoozeMs: 5 * 60 * 1000,
+};
+
+let createAIPromise = null;
+function loadCreateAI() {
+  if (!createAIPromise) createAIPromise = import("./shared/ai.js").then((m) => m.createAI);
+  return createAIPromise;
+}
+
+let deviceConfigPromise = null;
+function loadDeviceConfigModule() {
+  if (!deviceConfigPromise) deviceConfigPromise = import("./shared/deviceConfig.js");
+  return deviceConfigPromise;
+}
+
+function recentLimit(sampleMs) {
+  return Math.min(RECENT_LIMIT_MAX, Math.max(RECENT_LIMIT_MIN, Math.ceil(RECENT_WINDOW_MS / sampleMs)));
+}
+
+function tsToMs(ts) {
+  if (!ts) return null;
+  if (ts.toMillis) return ts.toMillis();
+  if (typeof ts === "number") return ts < 1e12 ? ts * 1000 : ts;
+  const ms = new Date(ts).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+async function loadEnabledDevices() {
+  const snap = await admin.firestore().collection(DEVICES_COLLECTION).get();
+  const list = [];
+  snap.forEach((doc) => {
+    const d = doc.data();
+    if (d.enabled !== false) list.push({ id: doc.id, ...d });
+  });
+  return list;
+}
+
+async function loadAlertProfiles() {
+  const snap = await admin.firestore().collection(ALERT_PROFILES_COLLECTION).get();
+  const m = new Map();
+  snap.forEach((doc) => m.set(doc.id, doc.data()?.metrics || {}));
+  return m;
+}
+
+function logIdFor(eventKey, firstSeenMs) {
+  return `${eventKey}@${firstSeenMs}`;
+}
+
+async function loadRecentRows(deviceId, sampleMs) {
+  const snap = await readingsCol(deviceId).orderBy("timestamp", "desc").limit(recentLimit(sampleMs)).get();
+  const rows = [];
+  snap.forEach((doc) => rows.push(doc.data()));
+  rows.reverse();
+  return rows;
+}
+
+async function loadHistoryRows(deviceId, nowMs) {
+  const snap = await admin
+    .firestore()
+    .collection(ROLLUPS_COLLECTION)
+    .doc(deviceId)
+    .collection("10m")
+    .where("bucketMs", ">=", nowMs - HISTORY_MS)
+    .orderBy("bucketMs", "asc")
+    .get();
+  const rows = [];
+  snap.forEach((doc) => rows.push(doc.data()));
+  return rows;
+}
+
+/**
+ * One evaluation pass over every enabled device.
+ * Returns the evaluateGlobal result (candidates = firing events).
+ */
+async function runAlertEvaluation(nowMs = Date.now()) {
+  const db = admin.firestore();
+  const createAI = await loadCreateAI();
+  const { sampleIntervalMs, uploadIntervalMs } = await loadDeviceConfigModule();
+  const AI = createAI();
+
+  const [devices, profiles, baselines, configs, calibrations, stateSnap, activeSnap, ackSnap] = await Promise.all([
+    loadEnabledDevices(),
+    loadAlertProfiles(),
+    loadBaselines(),
+    loadDeviceConfigs(),
+    loadCalibrations(),
+    db.doc(ALERT_STATE_DOC).get(),
+    db.collection(ALERTS_COLLECTION).where("active", "==", true).get(),
+    db.collection(ALERTS_COLLECTION).where("ackPending", "==", true).get(),
+  ]);
+
+  AI.importEvents(stateSnap.exists ? stateSnap.data()?.events : {});
+
+  const active = new Map(); // eventKey -> alerts doc data
+  activeSnap.forEach((doc) => active.set(doc.id, doc.data()));
+
+  // acks from the dashboard: snooze before evaluating
+  const acks = new Map(); // eventKey -> { ackMs, ackBy, logId }
+  ackSnap.forEach((doc) => {
+    const a = doc.data();
+    const ackMs = typeof a.ackMs === "number" ? Math.min(a.ackMs, nowMs) : nowMs;
+    acks.set(doc.id, { ackMs, ackBy: a.ackBy || null, logId: a.logId || null });
+    AI.acknowledgeEvent(doc.id, ackMs);
+  });
+
+  const payload = [];
+  for (const dev of devices) {
+    try {
+      const cfg = configs.get(dev.id) || null;
+      const sampleMs = sampleIntervalMs(cfg);
+      const cal = calibrations.get(dev.id);
+      const [rows, history] = await Promise.all([
+        loadRecentRows(dev.id, sampleMs).then((r) => calibrateRows(r, cal)),
+        loadHistoryRows(dev.id, nowMs).then((r) => calibrateRows(r, cal)),
+      ]);
+      payload.push({
+        deviceId: dev.id,
+        deviceName: dev.name || dev.id,
+        capabilities: Array.isArray(dev.capabilities) ? dev.capabilities : null,
+        thresholds: profiles.get(dev.id) || null,
+        rows,
+        history,
+        baselines: baselines.get(dev.id) || null,
+        sampleIntervalMs: sampleMs,
+        uploadIntervalMs: uploadIntervalMs(cfg),
+        lastDataMs: rows.length ? tsToMs(rows[rows.length - 1].timestamp) : null,
+      });
+    } catch (e) {
+      // skip the device rather than flag it offline because of a read error
+      console.error("Alert evaluation: failed to read device", dev.id, e);
+    }
+  }
+
+  const res = AI.evaluateGlobal({
+    ...EVAL_OPTIONS,
+    devices: payload,
+    nowMs,
+    langMode: "en",
+    thresholds: profiles.get("default") || null,
+  });
+
+  const FieldValue = admin.firestore.FieldValue;
+  const batch = db.batch();
+  const firing = new Set();
+  const logIds = new Map(); // eventKey -> current alert_log id
+
+  for (const c of res.candidates || []) {
+    firing.add(c.eventKey);
+    const firstSeenMs = c.seenSinceMs || nowMs;
+    const logId = logIdFor(c.eventKey, firstSeenMs);
+    const prev = active.get(c.eventKey);
+    logIds.set(c.eventKey, logId);
+    // peak of this occurrence, carried on the alerts doc (the current stage can drop again)
+    const maxStage = prev && prev.logId === logId ? Math.max(c.stage, prev.maxStage || 0) : c.stage;
+
+    batch.set(
+      db.collection(ALERTS_COLLECTION).doc(c.eventKey),
+      {
+        eventKey: c.eventKey,
+        deviceId: c.deviceId,
+        deviceName: c.deviceName,
+        metric: c.metric,
+        stage: c.stage,
+        maxStage,
+        level: c.level,
+        texts: c.texts,
+        firstSeenMs,
+        lastSeenMs: nowMs,
+        logId,
+        active: true,
+        resolvedMs: null,
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    const logRef = db.collection(ALERT_LOG_COLLECTION).doc(logId);
+    if (!prev || prev.logId !== logId) {
+      batch.set(logRef, {
+        eventKey: c.eventKey,
+        deviceId: c.deviceId,
+        deviceName: c.deviceName,
+        metric: c.metric,
+        stage: c.stage,
+        maxStage: c.stage,
+        stages: [{ stage: c.stage, atMs: nowMs }],
+        texts: c.texts,
+        firstSeenMs,
+        lastSeenMs: nowMs,
+        resolvedMs: null,
+        ackMs: null,
+        ackBy: null,
+      });
+    } else {
+      // merge, not update: a missing log entry must not fail the whole batch
+      batch.set(
+        logRef,
+        {
+          stage: c.stage,
+          maxStage,
+          texts: c.texts,
+          lastSeenMs: nowMs,
+          ...(c.stage !== prev.stage ? { stages: FieldValue.arrayUnion({ stage: c.stage, atMs: nowMs }) } : {}),
+        },
+        { merge: true }
+      );
+    }
+  }
+
+  // active alerts that are not firing: resolved once their event state is cleared
+  // (snoozed events stay active without being re-written)
+  for (const [eventKey, a] of active) {
+    if (firing.has(eventKey) || AI.isEventActive(eventKey)) continue;
+    batch.update(db.collection(ALERTS_COLLECTION).doc(eventKey), {
+      active: false,
+      resolvedMs: nowMs,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    if (a.logId) batch.set(db.collection(ALERT_LOG_COLLECTION).doc(a.logId), { resolvedMs: nowMs }, { merge: true });
+  }
+
+  // the log entry only gets the ack here (the dashboard writes alerts/{eventKey} alone);
+  // an alert that resolved before this run still has its logId on the alerts doc
+  for (const [eventKey, { ackMs, ackBy, logId: ackedLogId }] of acks) {
+    const logId = logIds.get(eventKey) || active.get(eventKey)?.logId || ackedLogId;
+    batch.set(
+      db.collection(ALERTS_COLLECTION).doc(eventKey),
+      { ackPending: false, updatedAt: FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    if (logId) {
+      batch.set(db.collection(ALERT_LOG_COLLECTION).doc(logId), { ackMs, ackBy }, { merge: true });
+    }
+  }
+
+  batch.set(db.doc(ALERT_STATE_DOC), {
+    events: AI.exportEvents(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  await batch.commit();
+  return res;
+}
+
+/**
+ * Mark an existing alert as acknowledged (ackMs = server time).
+ * Returns ackMs, or null when there is no such alert.
+ */
+async function acknowledgeAlert(eventKey, ackBy, nowMs = Date.now()) {
+  const db = admin.firestore();
+  const ref = db.collection(ALERTS_COLLECTION).doc(eventKey);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    tx.set(
+      ref,
+      { ackMs: nowMs, ackBy, ackPending: true, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    return nowMs;
+  });
+}
+
+module.exports = {
+  ALERTS_COLLECTION,
+  ALERT_LOG_COLLECTION,
+  EVAL_OPTIONS,
+  runAlertEvaluation,
+  acknowledgeAlert,
+};
@@ -0,0 +1,94 @@
+// baselines.js — learned per-device profiles for the baseline anomaly rule
+//
+// baselines/{deviceId}
+//   { fromMs, toMs, updatedAt, metrics: { Temperature: learnBaseline(), ... } }
+//   One profile per sensor and derived metric: JST hour-of-day median / MAD,
+//   weekday and weekend apart (metrics.js learnBaseline, shared with the
+//   dashboard through ./shared like ai.js).
+//
+// Relearned once a day from the last BASELINE.windowDays of 10-min rollups,
+// corrected with the device's calibration (calibration.js) so the profiles
+// match what the dashboard and the alert evaluation score against them.
+// The dashboard marks anomalies on its charts with these profiles and the
+// alert evaluation (alerts.js) passes them to evaluateGlobal.
+
+const admin = require("firebase-admin");
+
+const { DEVICES_COLLECTION } = require("./devices");
+const { METRICS } = require("./readings");
+const { ROLLUPS_COLLECTION } = require("./rollups");
+const { loadCalibrations, calibrateRows } = require("./calibration");
+
+const BASELINES_COLLECTION = "baselines";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let metricsPromise = null;
+function loadMetricsModule() {
+  if (!metricsPromise) metricsPromise = import("./shared/metrics.js");
+  return metricsPromise;
+}
+
+async function learnDevice(deviceId, nowMs, m, calibration) {
+  const fromMs = nowMs - m.BASELINE.windowDays * DAY_MS;
+  const snap = await admin
+    .firestore()
+    .collection(ROLLUPS_COLLECTION)
+    .doc(deviceId)
+    .collection("10m")
+    .where("bucketMs", ">=", fromMs)
+    .orderBy("bucketMs", "asc")
+    .get();
+  if (snap.empty) return null;
+
+  const stored = [];
+  snap.forEach((doc) => stored.push(doc.data()));
+  const rows = (await calibrateRows(stored, calibration)).map(m.withDerived);
+
+  const metrics = {};
+  for (const key of [...METRICS, ...m.DERIVED_KEYS]) {
+    const b = m.learnBaseline(rows, key);
+    if (b) metrics[key] = b;
+  }
+  return { fromMs, toMs: nowMs, metrics };
+}
+
+/** Relearn every enabled device. Returns metrics learned per device (0 = no rollups yet). */
+async function runBaselines(nowMs = Date.now()) {
+  const m = await loadMetricsModule();
+  const db = admin.firestore();
+  const snap = await db.collection(DEVICES_COLLECTION).get();
+  const calibrations = await loadCalibrations();
+  const out = {};
+
+  for (const doc of snap.docs) {
+    if (doc.data()?.enabled === false) continue;
+    try {
+      const learned = await learnDevice(doc.id, nowMs, m, calibrations.get(doc.id));
+      out[doc.id] = learned ? Object.keys(learned.metrics).length : 0;
+      if (!learned) continue;
+      await db
+        .collection(BASELINES_COLLECTION)
+        .doc(doc.id)
+        .set({ ...learned, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    } catch (e) {
+      // previous profile stays in place until the next run
+      console.error("Baseline update failed for device", doc.id, e);
+    }
+  }
+  return out;
+}
+
+/** deviceId -> metrics map (profiles per metric) */
+async function loadBaselines() {
+  const snap = await admin.firestore().collection(BASELINES_COLLECTION).get();
+  const m = new Map();
+  snap.forEach((doc) => m.set(doc.id, doc.data()?.metrics || null));
+  return m;
+}
+
+module.exports = {
+  BASELINES_COLLECTION,
+  runBaselines,
+  loadBaselines,
+};
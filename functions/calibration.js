@@ -0,0 +1,79 @@
+// calibration.js — per-device sensor corrections on the server side
+//
+// The model lives in ../calibration.js (shared with the dashboard, copied
+// into ./shared by sync-shared): calibrations/{deviceId}.entries, applied to
+// rows as they are read. Raw readings and rollups stay as the device sent
+// them; the alert evaluation and the baseline learner see corrected values,
+// like the dashboard's cards and charts. The dashboard edits the entries
+// through setCalibration (index.js, admin key).
+
+const admin = require("firebase-admin");
+
+const CALIBRATIONS_COLLECTION = "calibrations";
+
+let sharedPromise = null;
+function loadShared() {
+  if (!sharedPromise) sharedPromise = import("./shared/calibration.js");
+  return sharedPromise;
+}
+
+/** deviceId -> valid entries (oldest first); devices without a doc are absent */
+async function loadCalibrations() {
+  const { calibrationEntries } = await loadShared();
+  const snap = await admin.firestore().collection(CALIBRATIONS_COLLECTION).get();
+  const m = new Map();
+  snap.forEach((doc) => {
+    const entries = calibrationEntries(doc.data());
+    if (entries.length) m.set(doc.id, entries);
+  });
+  return m;
+}
+
+/** Rows with the device's corrections applied (same array when there are none). */
+async function calibrateRows(rows, entries) {
+  if (!entries?.length) return rows;
+  const { calibrateRow } = await loadShared();
+  return rows.map((r) => calibrateRow(r, entries));
+}
+
+/**
+ * Add an entry (same id = same metric + effective time replaces the earlier one).
+ * Returns { entry } or { errors }.
+ */
+async function addCalibrationEntry(deviceId, raw, createdBy = null) {
+  const { normalizeCalibrationEntry, calibrationEntries } = await loadShared();
+  const { entry, errors } = normalizeCalibrationEntry({ ...raw, createdBy, createdAtMs: Date.now() });
+  if (!entry) return { errors };
+
+  const db = admin.firestore();
+  const ref = db.collection(CALIBRATIONS_COLLECTION).doc(deviceId);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const entries = calibrationEntries(snap.data()).filter((e) => e.id !== entry.id);
+    entries.push(entry);
+    tx.set(ref, { entries, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  });
+  return { entry };
+}
+
+/** Remove an entry by id; the doc goes away with the last one. Returns the number left. */
+async function deleteCalibrationEntry(deviceId, entryId) {
+  const { calibrationEntries } = await loadShared();
+  const db = admin.firestore();
+  const ref = db.collection(CALIBRATIONS_COLLECTION).doc(deviceId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const entries = calibrationEntries(snap.data()).filter((e) => e.id !== entryId);
+    if (entries.length) tx.set(ref, { entries, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    else if (snap.exists) tx.delete(ref);
+    return entries.length;
+  });
+}
+
+module.exports = {
+  CALIBRATIONS_COLLECTION,
+  loadCalibrations,
+  calibrateRows,
+  addCalibrationEntry,
+  deleteCalibrationEntry,
+};
@@ -0,0 +1,85 @@
+// configDelivery.js — hands device_config/{deviceId} to the devices
+//
+// The model and validation live in ../deviceConfig.js (shared with the
+// dashboard editor; `npm run sync-shared` copies it into ./shared).
+// Devices send the config version they run as configVersion with every
+// ingest; the response carries { config } only when that is out of date.
+// getDeviceConfig (index.js) returns it unconditionally, e.g. at boot.
+// The dashboard editor saves through setDeviceConfig (index.js, admin key).
+
+const admin = require("firebase-admin");
+
+const CONFIG_COLLECTION = "device_config";
+
+const CONFIG_CACHE_MS = 60 * 1000; // ingest is the hot path; a saved change reaches devices within a minute
+const configCache = new Map(); // deviceId -> { config, loadedMs }
+
+let sharedPromise = null;
+function loadShared() {
+  if (!sharedPromise) sharedPromise = import("./shared/deviceConfig.js");
+  return sharedPromise;
+}
+
+/** Effective config for a device: { version, sampleIntervalSec, uploadIntervalSec, ledBrightness, enabledSensors }. */
+async function getDeviceConfig(deviceId) {
+  const cached = configCache.get(deviceId);
+  if (cached && Date.now() - cached.loadedMs < CONFIG_CACHE_MS) return cached.config;
+
+  const { normalizeDeviceConfig } = await loadShared();
+  const snap = await admin.firestore().collection(CONFIG_COLLECTION).doc(deviceId).get();
+  const raw = snap.exists ? snap.data() : null;
+
+  // invalid fields (hand-edited doc) fall back to the defaults rather than reaching the firmware
+  const config = { version: raw?.version || 0, ...normalizeDeviceConfig(raw).config };
+  configCache.set(deviceId, { config, loadedMs: Date.now() });
+  return config;
+}
+
+/** { config } for an ingest response when the device runs another version, else {}. */
+async function configForResponse(deviceId, reportedVersion) {
+  const config = await getDeviceConfig(deviceId);
+  return Number(reportedVersion) === config.version ? {} : { config };
+}
+
+/**
+ * Validate and save a device's config (reset = back to the firmware defaults).
+ * The version always goes up so the device notices. Returns { version } or { errors }.
+ */
+async function setDeviceConfig(deviceId, raw, { reset = false, updatedBy = null } = {}) {
+  const { normalizeDeviceConfig, DEVICE_CONFIG_DEFAULTS } = await loadShared();
+  const { config, errors } = reset ? { config: DEVICE_CONFIG_DEFAULTS, errors: [] } : normalizeDeviceConfig(raw);
+  if (errors.length) return { errors };
+
+  const db = admin.firestore();
+  const ref = db.collection(CONFIG_COLLECTION).doc(deviceId);
+  const version = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const next = (snap.exists ? Number(snap.data()?.version) || 0 : 0) + 1;
+    tx.set(
+      ref,
+      { ...config, version: next, updatedAt: admin.firestore.FieldValue.serverTimestamp(), updatedBy },
+      { merge: true }
+    );
+    return next;
+  });
+
+  // other instances pick it up when their cache entry expires
+  configCache.delete(deviceId);
+  return { version };
+}
+
+/** deviceId -> raw device_config doc (for the alert evaluation's windows) */
+async function loadDeviceConfigs() {
+  const snap = await admin.firestore().collection(CONFIG_COLLECTION).get();
+  const m = new Map();
+  snap.forEach((doc) => m.set(doc.id, doc.data()));
+  return m;
+}
+
+module.exports = {
+  CONFIG_COLLECTION,
+  getDeviceConfig,
+  configForResponse,
+  setDeviceConfig,
+  loadDeviceConfigs,
+};
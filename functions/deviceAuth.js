@@ -0,0 +1,138 @@
+// deviceAuth.js — per-device API keys (device_credentials/{deviceId})
+//
+// Only SHA-256 hashes are stored. Keys are 32 random bytes, so an unsalted
+// hash is enough; the plaintext key is returned once by issueDeviceKey().
+//
+// Credential doc:
+//   current:  { keyId, hash, issuedAt }
+//   previous: { keyId, hash, issuedAt, expiresAtMs } | null   (rotation grace period)
+//   revokedAt: Timestamp | null
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+const { getDevice, isValidDeviceId } = require("./devices");
+
+const CREDENTIALS_COLLECTION = "device_credentials";
+const AUTH_FAILURES_COLLECTION = "device_auth_failures";
+
+const DEFAULT_ROTATION_GRACE_MS = 24 * 60 * 60 * 1000; // old key keeps working while devices are re-flashed
+
+function hashKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey), "utf8").digest("hex");
+}
+
+function hashEquals(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+function credentialsRef(deviceId) {
+  return admin.firestore().collection(CREDENTIALS_COLLECTION).doc(deviceId);
+}
+
+/**
+ * Check that apiKey is a live key bound to deviceId.
+ * Returns { ok: true, device } or { ok: false, reason }.
+ */
+async function verifyDeviceKey(deviceId, apiKey, nowMs = Date.now()) {
+  if (!isValidDeviceId(deviceId)) return { ok: false, reason: "invalid_device_id" };
+  if (!apiKey || typeof apiKey !== "string") return { ok: false, reason: "missing_key" };
+
+  const [device, credSnap] = await Promise.all([getDevice(deviceId), credentialsRef(deviceId).get()]);
+
+  if (!device) return { ok: false, reason: "unknown_device" };
+  if (device.enabled === false) return { ok: false, reason: "retired" };
+  if (!credSnap.exists) return { ok: false, reason: "no_credentials" };
+
+  const cred = credSnap.data();
+  if (cred.revokedAt) return { ok: false, reason: "revoked" };
+
+  const h = hashKey(apiKey);
+  if (cred.current && hashEquals(h, cred.current.hash)) return { ok: true, device };
+
+  const prev = cred.previous;
+  if (prev && hashEquals(h, prev.hash)) {
+    if (typeof prev.expiresAtMs === "number" && nowMs < prev.expiresAtMs) return { ok: true, device };
+    return { ok: false, reason: "expired_key" };
+  }
+
+  return { ok: false, reason: "bad_key" };
+}
+
+/**
+ * Log + count a rejected attempt (device_auth_failures/{deviceId}).
+ * Never throws: a failing counter must not turn a 403 into a 500.
+ */
+async function recordAuthFailure(deviceId, reason, req) {
+  const ip = req?.ip || req?.headers?.["x-forwarded-for"] || "";
+  console.warn("Device auth rejected:", { deviceId, reason, ip });
+
+  const docId = isValidDeviceId(deviceId) ? deviceId : "_invalid";
+  const inc = admin.firestore.FieldValue.increment(1);
+
+  try {
+    await admin.firestore().collection(AUTH_FAILURES_COLLECTION).doc(docId).set(
+      {
+        count: inc,
+        byReason: { [reason]: inc },
+        lastReason: reason,
+        lastIp: String(ip),
+        lastAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  } catch (e) {
+    console.error("Failed to record auth failure:", e);
+  }
+}
+
+/**
+ * Issue a new key for deviceId (first issue or rotation).
+ * The previous current key stays valid for graceMs. Returns { keyId, apiKey }.
+ */
+async function issueDeviceKey(deviceId, graceMs = DEFAULT_ROTATION_GRACE_MS) {
+  const apiKey = crypto.randomBytes(32).toString("base64url");
+  const keyId = crypto.randomBytes(6).toString("hex");
+  const ref = credentialsRef(deviceId);
+
+  await admin.firestore().runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const cred = snap.exists ? snap.data() : {};
+
+    // a revoked device starts over: no grace for the compromised key
+    const previous =
+      cred.current && !cred.revokedAt && graceMs > 0
+        ? { ...cred.current, expiresAtMs: Date.now() + graceMs }
+        : null;
+
+    tx.set(ref, {
+      current: { keyId, hash: hashKey(apiKey), issuedAt: admin.firestore.Timestamp.now() },
+      previous,
+      revokedAt: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  return { keyId, apiKey };
+}
+
+async function revokeDeviceKeys(deviceId) {
+  const ref = credentialsRef(deviceId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+
+  await ref.update({
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return true;
+}
+
+module.exports = {
+  DEFAULT_ROTATION_GRACE_MS,
+  verifyDeviceKey,
+  recordAuthFailure,
+  issueDeviceKey,
+  revokeDeviceKeys,
+};
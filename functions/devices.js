@@ -0,0 +1,122 @@
+// devices.js — Firestore device registry (devices/{deviceId})
+//
+// Registry doc fields:
+//   name, location, timezone, model, enabled, capabilities[], altitudeM, createdAt, updatedAt, retiredAt
+//   (model selects the plausible value ranges, see validate.js; altitudeM reduces
+//   the pressure reading to sea level for the dashboard's forecast)
+
+const admin = require("firebase-admin");
+
+const DEVICES_COLLECTION = "devices";
+
+const ALL_METRICS = ["Temperature", "Humidity", "Pressure", "Light"];
+
+// Same charset as the AtomS3 IDs ("atom_s3_lite_01"); also safe as a Firestore doc id
+const DEVICE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidDeviceId(id) {
+  return typeof id === "string" && DEVICE_ID_RE.test(id);
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a register request body.
+ * Returns { device } or { error } (error is a short message for a 400).
+ */
+function normalizeDeviceInput(b) {
+  const id = String(b?.deviceId || "");
+  if (!isValidDeviceId(id)) return { error: "Invalid deviceId" };
+
+  const name = String(b?.name || "").trim();
+  if (!name) return { error: "Missing name" };
+
+  const timezone = String(b?.timezone || "Asia/Tokyo");
+  if (!isValidTimezone(timezone)) return { error: "Invalid timezone" };
+
+  let capabilities = ALL_METRICS;
+  if (b?.capabilities !== undefined) {
+    if (!Array.isArray(b.capabilities)) return { error: "capabilities must be an array" };
+    const unknown = b.capabilities.filter((c) => !ALL_METRICS.includes(c));
+    if (unknown.length) return { error: `Unknown capabilities: ${unknown.join(", ")}` };
+    capabilities = ALL_METRICS.filter((m) => b.capabilities.includes(m));
+  }
+
+  // omitted = keep the stored altitude on re-register (upsertDevice merges); readers treat missing as 0
+  const altitudeM = b?.altitudeM === undefined ? undefined : Number(b.altitudeM);
+  if (altitudeM !== undefined && (!isFinite(altitudeM) || altitudeM < -500 || altitudeM > 9000)) {
+    return { error: "Invalid altitudeM" };
+  }
+
+  return {
+    device: {
+      id,
+      name,
+      location: String(b?.location || "").trim(),
+      timezone,
+      model: String(b?.model || "default").trim().toLowerCase(),
+      // omitted = keep the stored state (a retired device stays retired); new devices start enabled
+      ...(b?.enabled === undefined ? {} : { enabled: b.enabled === true }),
+      capabilities,
+      ...(altitudeM === undefined ? {} : { altitudeM }),
+    },
+  };
+}
+
+function deviceRef(deviceId) {
+  return admin.firestore().collection(DEVICES_COLLECTION).doc(deviceId);
+}
+
+async function getDevice(deviceId) {
+  const snap = await deviceRef(deviceId).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+async function upsertDevice(device) {
+  const ref = deviceRef(device.id);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  await admin.firestore().runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const { id, ...fields } = device;
+    const enabled = fields.enabled ?? (snap.exists ? snap.data()?.enabled !== false : true);
+    tx.set(
+      ref,
+      {
+        ...fields,
+        updatedAt: now,
+        retiredAt: enabled ? null : snap.data()?.retiredAt || now,
+        ...(snap.exists ? {} : { createdAt: now, enabled }),
+      },
+      { merge: true }
+    );
+  });
+}
+
+async function retireDevice(deviceId) {
+  const ref = deviceRef(deviceId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await ref.update({ enabled: false, retiredAt: now, updatedAt: now });
+  return true;
+}
+
+module.exports = {
+  DEVICES_COLLECTION,
+  ALL_METRICS,
+  isValidDeviceId,
+  normalizeDeviceInput,
+  deviceRef,
+  getDevice,
+  upsertDevice,
+  retireDevice,
+};
@@ -0,0 +1,122 @@
+// health.js — device health telemetry (optional ingest fields)
+//
+// The LED on the device shows Wi-Fi / NTP / sensor / Firebase state; the same
+// information can ride along with readings as top-level body fields (a post to
+// ingestReading with health fields only is accepted too):
+//   rssi (dBm), freeHeap (bytes), uptimeSec, battery (%), firmware,
+//   lastError (error code, "" = cleared), ntpSynced (bool),
+//   configVersion (device_config version the device runs, see configDelivery.js)
+//
+// device_status/{deviceId}
+//   { health: { ...latest value of every field ever reported }, healthAtMs,
+//     bootAtMs, rebootCount, lastRebootMs, historyAtMs, updatedAt }
+// device_status/{deviceId}/history/{atMs}
+//   { atMs, ...health, events: ["reboot" | "firmware" | "error" | "ntp_lost"] }
+//   at most one entry per HISTORY_INTERVAL_MS, plus one whenever an event happens.
+//
+// A malformed health field never costs the reading: it is dropped and listed
+// in the ingest response as healthRejected.
+
+const admin = require("firebase-admin");
+
+const DEVICE_STATUS_COLLECTION = "device_status";
+
+const HISTORY_INTERVAL_MS = 10 * 60 * 1000;
+
+const HEALTH_FIELDS = {
+  rssi: { type: "number", min: -120, max: 0 },
+  freeHeap: { type: "number", min: 0, max: 64 * 1024 * 1024 },
+  uptimeSec: { type: "number", min: 0, max: 10 * 365 * 24 * 60 * 60 },
+  battery: { type: "number", min: 0, max: 100 },
+  firmware: { type: "string", re: /^[A-Za-z0-9._+-]{1,32}$/ },
+  lastError: { type: "string", re: /^[A-Za-z0-9._:-]{0,64}$/ },
+  ntpSynced: { type: "boolean" },
+  configVersion: { type: "number", min: 0, max: Number.MAX_SAFE_INTEGER },
+};
+
+function statusRef(deviceId) {
+  return admin.firestore().collection(DEVICE_STATUS_COLLECTION).doc(deviceId);
+}
+
+function parseField(spec, raw) {
+  if (spec.type === "number") {
+    const v = typeof raw === "number" ? raw : typeof raw === "string" && raw !== "" ? Number(raw) : NaN;
+    if (!Number.isFinite(v)) return { error: "not_a_number" };
+    if (v < spec.min || v > spec.max) return { error: "out_of_range" };
+    return { value: v };
+  }
+  if (spec.type === "boolean") {
+    if (raw === true || raw === 1 || raw === "true" || raw === "1") return { value: true };
+    if (raw === false || raw === 0 || raw === "false" || raw === "0") return { value: false };
+    return { error: "not_a_boolean" };
+  }
+  const s = typeof raw === "number" ? String(raw) : raw;
+  if (typeof s !== "string" || !spec.re.test(s)) return { error: "invalid_string" };
+  return { value: s };
+}
+
+/**
+ * Pick the health fields out of an ingest body.
+ * Returns { health (only fields present and valid), rejected: [{ field, reason, value }] }
+ */
+function parseHealth(b) {
+  const health = {};
+  const rejected = [];
+
+  for (const [field, spec] of Object.entries(HEALTH_FIELDS)) {
+    const raw = b?.[field];
+    if (raw === undefined || raw === null) continue;
+    const r = parseField(spec, raw);
+    if (r.error) rejected.push({ field, reason: r.error, value: raw });
+    else health[field] = r.value;
+  }
+
+  return { health, rejected };
+}
+
+/** Merge a health report into device_status/{deviceId} (+ history when due). */
+async function recordHealth(deviceId, health, nowMs = Date.now()) {
+  if (!Object.keys(health).length) return;
+
+  const db = admin.firestore();
+  const ref = statusRef(deviceId);
+  const snap = await ref.get();
+  const prev = snap.exists ? snap.data() : {};
+  const prevH = prev.health || {};
+  const next = { ...prevH, ...health };
+
+  const events = [];
+  const rebooted =
+    typeof health.uptimeSec === "number" && typeof prevH.uptimeSec === "number" && health.uptimeSec < prevH.uptimeSec;
+  if (rebooted) events.push("reboot");
+  if (health.firmware && prevH.firmware && health.firmware !== prevH.firmware) events.push("firmware");
+  if (health.lastError && health.lastError !== prevH.lastError) events.push("error");
+  if (health.ntpSynced === false && prevH.ntpSynced !== false) events.push("ntp_lost");
+
+  const docData = {
+    health: next,
+    healthAtMs: nowMs,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (typeof health.uptimeSec === "number") docData.bootAtMs = nowMs - health.uptimeSec * 1000;
+  if (rebooted) {
+    docData.rebootCount = admin.firestore.FieldValue.increment(1);
+    docData.lastRebootMs = docData.bootAtMs;
+  }
+
+  const batch = db.batch();
+  if (events.length || !prev.historyAtMs || nowMs - prev.historyAtMs >= HISTORY_INTERVAL_MS) {
+    docData.historyAtMs = nowMs;
+    batch.set(ref.collection("history").doc(String(nowMs)), { atMs: nowMs, ...next, events });
+  }
+  // merge: a report without uptimeSec must not wipe bootAtMs / rebootCount
+  batch.set(ref, docData, { merge: true });
+  await batch.commit();
+}
+
+module.exports = {
+  DEVICE_STATUS_COLLECTION,
+  HEALTH_FIELDS,
+  parseHealth,
+  recordHealth,
+};
@@ -1,43 +1,433 @@
 const { onRequest } = require("firebase-functions/v2/https");
-const { defineSecret } = require("firebase-functions/params");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { defineSecret, defineString, defineInt } = require("firebase-functions/params");
 const admin = require("firebase-admin");
 
 admin.initializeApp();
 
-const DEVICE_API_KEY = defineSecret("DEVICE_API_KEY");
+const devices = require("./devices");
+const deviceAuth = require("./deviceAuth");
+const readings = require("./readings");
+const validate = require("./validate");
+const alerts = require("./alerts");
+const notify = require("./notify");
+const rollups = require("./rollups");
+const baselines = require("./baselines");
+const health = require("./health");
+const configDelivery = require("./configDelivery");
+const alertProfiles = require("./alertProfiles");
+const calibration = require("./calibration");
+
+const ADMIN_API_KEY = defineSecret("ADMIN_API_KEY");
+
+// Outgoing mail for "email" subscribers (SMTP_HOST empty = email disabled)
+const SMTP_HOST = defineString("SMTP_HOST", { default: "" });
+const SMTP_PORT = defineInt("SMTP_PORT", { default: 587 });
+const SMTP_USER = defineString("SMTP_USER", { default: "" });
+const SMTP_FROM = defineString("SMTP_FROM", { default: "" });
+const SMTP_PASSWORD = defineSecret("SMTP_PASSWORD");
+
+// Optional health fields (health.js) -> device_status.
+// Returns { accepted: number of valid fields, extra: { healthRejected } for the response if any were bad }.
+// Recorded right after the key check, so a health-only post or one whose readings are rejected still counts.
+// A failed status write is logged, never turned into a failed ingest.
+async function recordHealthSafe(deviceId, b) {
+  const { health: h, rejected } = health.parseHealth(b);
+  try {
+    await health.recordHealth(deviceId, h);
+  } catch (e) {
+    console.error("Health status write failed:", deviceId, e);
+  }
+  return { accepted: Object.keys(h).length, extra: rejected.length ? { healthRejected: rejected } : {} };
+}
 
 exports.ingestReading = onRequest(
-  { cors: true, secrets: [DEVICE_API_KEY] },
+  { cors: true },
   async (req, res) => {
     try {
       if (req.method !== "POST") return res.status(405).send("POST only");
 
       const b = req.body || {};
 
-      if (b.apiKey !== DEVICE_API_KEY.value()) {
+      const deviceId = String(b.deviceId || "");
+      if (!deviceId) return res.status(400).send("Missing deviceId");
+
+      // key must belong to this deviceId (device_credentials/{deviceId})
+      const auth = await deviceAuth.verifyDeviceKey(deviceId, b.apiKey);
+      if (!auth.ok) {
+        await deviceAuth.recordAuthFailure(deviceId, auth.reason, req);
         return res.status(403).send("Forbidden");
       }
 
-      const deviceId = String(b.deviceId || "");
-      if (!deviceId) return res.status(400).send("Missing deviceId");
+      const { accepted: healthAccepted, extra: healthRejected } = await recordHealthSafe(deviceId, b);
+
+      const ranges = await validate.getRangesForModel(auth.device.model);
+      const { metrics, rejected, outOfRange } = validate.validateMetrics(b, ranges);
+
+      // every response carries a pending config: a device whose posts keep failing (e.g. a sensor
+      // it should disable) can only be fixed by the config it is sent
+      const cfg = await configDelivery.configForResponse(deviceId, b.configVersion);
+
+      // health report without readings (e.g. every sensor failing): nothing to store, not an error
+      if (healthAccepted && rejected.length === 1 && rejected[0].reason === "no_metrics") {
+        return res.json({ ok: true, healthOnly: true, ...healthRejected, ...cfg });
+      }
+
+      if (rejected.length) {
+        return res.status(400).json({ ok: false, error: "invalid_payload", rejected, ...healthRejected, ...cfg });
+      }
 
       const payload = {
-        Temperature: Number(b.Temperature),
-        Humidity: Number(b.Humidity),
-        Pressure: Number(b.Pressure),
-        Light: Number(b.Light),
+        ...metrics,
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
       };
 
-      for (const k of ["Temperature", "Humidity", "Pressure", "Light"]) {
-        if (Number.isNaN(payload[k])) delete payload[k];
+      if (outOfRange.length) {
+        await readings.quarantineCol(deviceId).add({ ...payload, outOfRange });
+        return res.status(400).json({
+          ok: false,
+          error: "out_of_range",
+          quarantined: true,
+          rejected: outOfRange,
+          ...healthRejected,
+          ...cfg,
+        });
+      }
+
+      await readings.readingsCol(deviceId).add(payload);
+
+      return res.json({ ok: true, ...healthRejected, ...cfg });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Batch ingest (buffered offline readings)
+   Body: { deviceId, apiKey, deviceNowMs, readings: [{ seq, ts, Temperature, ... }], configVersion, ...health fields }
+   - deviceNowMs: device clock at send time; rejected if it drifts from server time
+   - ts: device-side sample time (epoch s/ms or ISO), kept as the reading timestamp
+   - seq: per-reading sequence id; doc id is derived from ts + seq so retries don't duplicate
+     and a counter restarted by a reboot doesn't collide (retries must resend the same ts)
+   - out-of-range readings go to quarantine_readings (same doc id), malformed ones are listed in rejected
+======================= */
+exports.ingestBatch = onRequest(
+  { cors: true },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      const deviceId = String(b.deviceId || "");
+      if (!deviceId) return res.status(400).send("Missing deviceId");
+
+      const auth = await deviceAuth.verifyDeviceKey(deviceId, b.apiKey);
+      if (!auth.ok) {
+        await deviceAuth.recordAuthFailure(deviceId, auth.reason, req);
+        return res.status(403).send("Forbidden");
       }
 
-      await admin.firestore()
-        .collection("public_readings")
-        .doc(deviceId)
-        .collection("data")
-        .add(payload);
+      const { extra: healthRejected } = await recordHealthSafe(deviceId, b);
+
+      const list = b.readings;
+      if (!Array.isArray(list) || !list.length) {
+        return res.status(400).json({ ok: false, error: "readings must be a non-empty array" });
+      }
+      if (list.length > readings.MAX_BATCH_READINGS) {
+        return res.status(400).json({ ok: false, error: `At most ${readings.MAX_BATCH_READINGS} readings per request` });
+      }
+
+      const serverNowMs = Date.now();
+      const deviceNowMs = readings.parseDeviceTimestamp(b.deviceNowMs);
+      if (deviceNowMs === null) {
+        return res.status(400).json({ ok: false, error: "Missing deviceNowMs" });
+      }
+      const driftMs = deviceNowMs - serverNowMs;
+      if (Math.abs(driftMs) > readings.MAX_CLOCK_DRIFT_MS) {
+        // clock not (or badly) NTP-synced: none of the sample times can be trusted
+        return res.status(400).json({ ok: false, error: "clock_drift", driftMs });
+      }
+
+      const ranges = await validate.getRangesForModel(auth.device.model);
+
+      const items = [];
+      const quarantine = [];
+      const rejected = [];
+      const seen = new Set();
+
+      list.forEach((r, index) => {
+        const sampleMs = readings.parseDeviceTimestamp(r?.ts);
+        const timeErr = readings.checkSampleTime(sampleMs, deviceNowMs, serverNowMs);
+        if (timeErr) return rejected.push({ index, seq: r?.seq ?? null, reason: timeErr });
+
+        const docId = readings.seqDocId(r.seq, Math.round(sampleMs));
+        if (!docId) return rejected.push({ index, seq: r.seq ?? null, reason: "invalid_seq" });
+        if (seen.has(docId)) return rejected.push({ index, seq: r.seq, reason: "duplicate_seq_in_batch" });
+        seen.add(docId);
+
+        const v = validate.validateMetrics(r, ranges);
+        if (v.rejected.length) return rejected.push({ index, seq: r.seq, reason: "invalid_payload", fields: v.rejected });
+
+        const payload = {
+          ...v.metrics,
+          timestamp: admin.firestore.Timestamp.fromMillis(sampleMs),
+          receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+          seq: String(r.seq),
+        };
+
+        if (v.outOfRange.length) quarantine.push({ docId, payload: { ...payload, outOfRange: v.outOfRange } });
+        else items.push({ docId, payload });
+      });
+
+      const cfg = await configDelivery.configForResponse(deviceId, b.configVersion);
+      const none = { written: 0, duplicates: 0 };
+      const main = items.length ? await readings.writeReadingsIdempotent(readings.readingsCol(deviceId), items) : none;
+      const quar = quarantine.length
+        ? await readings.writeReadingsIdempotent(readings.quarantineCol(deviceId), quarantine)
+        : none;
+
+      return res.json({
+        ok: true,
+        accepted: main.written,
+        quarantined: quar.written,
+        duplicates: main.duplicates + quar.duplicates,
+        rejected,
+        ...healthRejected,
+        ...cfg,
+      });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Device config (configDelivery.js)
+   Body: { deviceId, apiKey } -> { ok, config: { version, sampleIntervalSec, ... } }
+   Ingest responses carry the same { config } whenever the device's configVersion is stale.
+======================= */
+exports.getDeviceConfig = onRequest(
+  { cors: true },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      const deviceId = String(b.deviceId || "");
+      if (!deviceId) return res.status(400).send("Missing deviceId");
+
+      const auth = await deviceAuth.verifyDeviceKey(deviceId, b.apiKey);
+      if (!auth.ok) {
+        await deviceAuth.recordAuthFailure(deviceId, auth.reason, req);
+        return res.status(403).send("Forbidden");
+      }
+
+      const config = await configDelivery.getDeviceConfig(deviceId);
+      return res.json({ ok: true, config });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Device config editor (admin)
+   Body: { adminKey, deviceId, config: { sampleIntervalSec, uploadIntervalSec, ledBrightness, enabledSensors },
+           reset, updatedBy } -> { ok, version }
+   reset: true goes back to the firmware defaults (config is ignored).
+======================= */
+exports.setDeviceConfig = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const deviceId = String(b.deviceId || "");
+      if (!devices.isValidDeviceId(deviceId)) {
+        return res.status(400).json({ ok: false, error: "Invalid deviceId" });
+      }
+
+      const updatedBy = typeof b.updatedBy === "string" && b.updatedBy.trim() ? b.updatedBy.trim().slice(0, 40) : null;
+      const { version, errors } = await configDelivery.setDeviceConfig(deviceId, b.config, {
+        reset: b.reset === true,
+        updatedBy,
+      });
+      if (errors) return res.status(400).json({ ok: false, error: errors[0], errors });
+
+      return res.json({ ok: true, version });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Sensor calibration editor (admin, calibration.js)
+   Body: { adminKey, deviceId, add: { metric, fromMs, mode, offset, gain, points, note }, createdBy }
+      or { adminKey, deviceId, deleteId } -> { ok, entry } / { ok, remaining }
+======================= */
+exports.setCalibration = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const deviceId = String(b.deviceId || "");
+      if (!devices.isValidDeviceId(deviceId)) {
+        return res.status(400).json({ ok: false, error: "Invalid deviceId" });
+      }
+
+      if (typeof b.deleteId === "string" && b.deleteId) {
+        const remaining = await calibration.deleteCalibrationEntry(deviceId, b.deleteId);
+        return res.json({ ok: true, remaining });
+      }
+
+      if (!b.add || typeof b.add !== "object") {
+        return res.status(400).json({ ok: false, error: "Missing add or deleteId" });
+      }
+      const createdBy = typeof b.createdBy === "string" && b.createdBy.trim() ? b.createdBy.trim().slice(0, 40) : null;
+      const { entry, errors } = await calibration.addCalibrationEntry(deviceId, b.add, createdBy);
+      if (errors) return res.status(400).json({ ok: false, error: errors[0], errors });
+
+      return res.json({ ok: true, entry });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Device registry (admin)
+======================= */
+exports.registerDevice = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const { device, error } = devices.normalizeDeviceInput(b);
+      if (error) return res.status(400).json({ ok: false, error });
+
+      await devices.upsertDevice(device);
+
+      return res.json({ ok: true, device });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+exports.retireDevice = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const deviceId = String(b.deviceId || "");
+      if (!devices.isValidDeviceId(deviceId)) return res.status(400).send("Invalid deviceId");
+
+      const found = await devices.retireDevice(deviceId);
+      if (!found) return res.status(404).json({ ok: false, error: "Unknown device" });
+
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Device keys (admin)
+   - rotateDeviceKey: issue a new key (also the first issue); the plaintext
+     key is only in this response. Old key stays valid for graceMinutes.
+   - revokeDeviceKey: reject every key of the device until it is rotated again.
+======================= */
+exports.rotateDeviceKey = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const deviceId = String(b.deviceId || "");
+      if (!devices.isValidDeviceId(deviceId)) return res.status(400).send("Invalid deviceId");
+
+      const device = await devices.getDevice(deviceId);
+      if (!device) return res.status(404).json({ ok: false, error: "Unknown device" });
+
+      const graceMinutes = b.graceMinutes === undefined ? null : Number(b.graceMinutes);
+      if (graceMinutes !== null && (!Number.isFinite(graceMinutes) || graceMinutes < 0)) {
+        return res.status(400).json({ ok: false, error: "Invalid graceMinutes" });
+      }
+
+      const graceMs = graceMinutes === null ? deviceAuth.DEFAULT_ROTATION_GRACE_MS : graceMinutes * 60 * 1000;
+      const { keyId, apiKey } = await deviceAuth.issueDeviceKey(deviceId, graceMs);
+
+      return res.json({ ok: true, deviceId, keyId, apiKey });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+exports.revokeDeviceKey = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const deviceId = String(b.deviceId || "");
+      if (!devices.isValidDeviceId(deviceId)) return res.status(400).send("Invalid deviceId");
+
+      const found = await deviceAuth.revokeDeviceKeys(deviceId);
+      if (!found) return res.status(404).json({ ok: false, error: "No credentials for device" });
 
       return res.json({ ok: true });
     } catch (e) {
@@ -46,3 +436,197 @@ exports.ingestReading = onRequest(
     }
   }
 );
+
+/* =======================
+   Server-side alert evaluation
+   Same rules as the dashboard's global monitor, but runs without an open tab.
+   Writes alerts/{eventKey}; the dashboard subscribes to active ones.
+======================= */
+exports.evaluateAlerts = onSchedule(
+  { schedule: "every 1 minutes", timeZone: "Asia/Tokyo", secrets: [SMTP_PASSWORD] },
+  async () => {
+    const nowMs = Date.now();
+    const res = await alerts.runAlertEvaluation(nowMs);
+    const firing = res.candidates || [];
+    console.log("Alert evaluation done:", firing.length, "firing");
+
+    const port = SMTP_PORT.value();
+    const sent = await notify.notifyAlerts(firing, {
+      nowMs,
+      repeatWindowMs: alerts.EVAL_OPTIONS.repeatWindowMs,
+      smtp: SMTP_HOST.value()
+        ? {
+            host: SMTP_HOST.value(),
+            port,
+            secure: port === 465,
+            user: SMTP_USER.value(),
+            pass: SMTP_PASSWORD.value(),
+            from: SMTP_FROM.value() || SMTP_USER.value(),
+          }
+        : null,
+    });
+    if (sent.sent || sent.failed) console.log("Notifications:", sent);
+  }
+);
+
+/* =======================
+   Alert acknowledgement (admin)
+   Body: { adminKey, eventKey, ackBy } -> { ok, ackMs }
+   ackMs is the server time; the next evaluateAlerts run snoozes the event and
+   copies the ack to its alert_log entry.
+======================= */
+exports.ackAlert = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const eventKey = String(b.eventKey || "");
+      if (!eventKey || eventKey.length > 200 || eventKey.includes("/")) {
+        return res.status(400).json({ ok: false, error: "Invalid eventKey" });
+      }
+
+      const ackBy = typeof b.ackBy === "string" && b.ackBy.trim() ? b.ackBy.trim().slice(0, 40) : "anonymous";
+      const ackMs = await alerts.acknowledgeAlert(eventKey, ackBy);
+      if (ackMs === null) return res.status(404).json({ ok: false, error: "No such alert" });
+
+      return res.json({ ok: true, ackMs });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Notification subscribers (admin)
+   Body: { adminKey, deviceId | "*", subscribers: [{ id, channel, target, lang, minStage }] }
+   "*" applies to every device; an empty list removes all subscribers.
+======================= */
+exports.setNotifySubscribers = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const deviceId = String(b.deviceId || "");
+      if (deviceId !== notify.ALL_DEVICES_DOC && !devices.isValidDeviceId(deviceId)) {
+        return res.status(400).send("Invalid deviceId");
+      }
+
+      const { subscribers, error } = notify.normalizeSubscribers(b.subscribers);
+      if (error) return res.status(400).json({ ok: false, error });
+
+      await notify.setSubscribers(deviceId, subscribers);
+
+      return res.json({ ok: true, count: subscribers.length });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Alert threshold profiles (admin)
+   Body: { adminKey, profileId: "default" | deviceId, metrics: { metric: { field: number } } | null }
+   null / {} clears the profile (it inherits again).
+======================= */
+exports.setAlertProfile = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY] },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const profileId = String(b.profileId || "");
+      if (profileId !== alertProfiles.DEFAULT_PROFILE_ID && !devices.isValidDeviceId(profileId)) {
+        return res.status(400).json({ ok: false, error: "Invalid profileId" });
+      }
+
+      const { metrics, error } = await alertProfiles.normalizeProfile(b.metrics);
+      if (error) return res.status(400).json({ ok: false, error });
+
+      await alertProfiles.setAlertProfile(profileId, metrics);
+
+      return res.json({ ok: true, cleared: !Object.keys(metrics).length });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Rollups (public_rollups/{deviceId}/{1m|10m|1h|1d})
+   Dashboard reads these instead of raw readings for ranges over 48h.
+======================= */
+exports.updateRollups = onSchedule(
+  { schedule: "every 5 minutes", timeZone: "Asia/Tokyo", timeoutSeconds: 300 },
+  async () => {
+    const res = await rollups.runRollups(Date.now());
+    console.log("Rollups done:", res);
+  }
+);
+
+// Body: { adminKey, deviceId, fromMs, toMs } — at most 7 days per call
+exports.rebuildRollups = onRequest(
+  { cors: true, secrets: [ADMIN_API_KEY], timeoutSeconds: 540 },
+  async (req, res) => {
+    try {
+      if (req.method !== "POST") return res.status(405).send("POST only");
+
+      const b = req.body || {};
+
+      if (b.adminKey !== ADMIN_API_KEY.value()) {
+        return res.status(403).send("Forbidden");
+      }
+
+      const deviceId = String(b.deviceId || "");
+      if (!devices.isValidDeviceId(deviceId)) return res.status(400).send("Invalid deviceId");
+
+      const fromMs = readings.parseDeviceTimestamp(b.fromMs);
+      const toMs = readings.parseDeviceTimestamp(b.toMs);
+      if (fromMs === null || toMs === null || toMs <= fromMs) {
+        return res.status(400).json({ ok: false, error: "Invalid fromMs/toMs" });
+      }
+
+      const done = await rollups.rebuildRange(deviceId, fromMs, toMs);
+
+      // done.toMs < toMs: call again from done.toMs
+      return res.json({ ok: true, ...done, complete: done.toMs >= toMs });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ ok: false });
+    }
+  }
+);
+
+/* =======================
+   Learned baselines (baselines/{deviceId})
+   Hour-of-day profiles for the baseline anomaly rule, relearned nightly.
+======================= */
+exports.updateBaselines = onSchedule(
+  { schedule: "every day 03:30", timeZone: "Asia/Tokyo", timeoutSeconds: 300 },
+  async () => {
+    const res = await baselines.runBaselines(Date.now());
+    console.log("Baselines done:", res);
+  }
+);
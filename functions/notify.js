@@ -0,0 +1,245 @@
+// notify.js — out-of-band alert delivery (webhook / email / chat webhooks)
+//
+// Subscribers: notify_subscriptions/{deviceId} and notify_subscriptions/* (all devices)
+//   { subscribers: [{ id, channel, target, lang: "en"|"jp", minStage: 1..3 }] }
+//   channel: "webhook" (raw JSON) | "email" (SMTP) | "slack" | "discord" | "googlechat"
+//
+// Rate limit per (eventKey, subscriber) in notify_log, same semantics as the
+// dashboard's repeatWindowMs: re-send only on escalation or after the window.
+
+const admin = require("firebase-admin");
+const nodemailer = require("nodemailer");
+
+const SUBSCRIPTIONS_COLLECTION = "notify_subscriptions";
+const NOTIFY_LOG_COLLECTION = "notify_log";
+const ALL_DEVICES_DOC = "*";
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+const STAGE_LABEL = {
+  en: { 1: "Warning", 2: "Alert", 3: "Critical" },
+  jp: { 1: "注意", 2: "警告", 3: "重要アラート" },
+};
+
+/* =======================
+   Formatters (alert -> request body)
+======================= */
+function alertText(alert, lang) {
+  return alert.texts?.[lang] || alert.texts?.en || alert.text || alert.eventKey;
+}
+
+function alertTitle(alert, lang) {
+  const L = lang === "jp" ? "jp" : "en";
+  return `[${STAGE_LABEL[L][alert.stage] || STAGE_LABEL[L][2]}] ${alert.deviceName || alert.deviceId}`;
+}
+
+const FORMATTERS = {
+  webhook: (alert, lang) => ({
+    eventKey: alert.eventKey,
+    deviceId: alert.deviceId,
+    deviceName: alert.deviceName,
+    metric: alert.metric,
+    stage: alert.stage,
+    level: alert.level,
+    text: alertText(alert, lang),
+    texts: alert.texts || null,
+    firstSeenMs: alert.firstSeenMs || alert.seenSinceMs || null,
+    lastSeenMs: alert.lastSeenMs || null,
+  }),
+  slack: (alert, lang) => ({
+    text: `*${alertTitle(alert, lang)}*\n${alertText(alert, lang)}`,
+  }),
+  discord: (alert, lang) => ({
+    content: `**${alertTitle(alert, lang)}**\n${alertText(alert, lang)}`,
+  }),
+  googlechat: (alert, lang) => ({
+    text: `*${alertTitle(alert, lang)}*\n${alertText(alert, lang)}`,
+  }),
+};
+
+const CHANNELS = [...Object.keys(FORMATTERS), "email"];
+
+/* =======================
+   Transports
+======================= */
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+}
+
+/**
+ * smtp = { host, port, secure, user, pass, from }; user/pass optional
+ * (a local stand-in server needs no auth).
+ */
+function createMailer(smtp) {
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: !!smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    connectionTimeout: HTTP_TIMEOUT_MS,
+  });
+}
+
+/**
+ * Deliver one alert to one subscriber. No Firestore access, so it can be
+ * exercised against a local stand-in (scripts/notify-standin.js).
+ */
+async function deliver(subscriber, alert, { smtp = null, mailer = null } = {}) {
+  const lang = subscriber.lang === "jp" ? "jp" : "en";
+
+  if (subscriber.channel === "email") {
+    if (!smtp?.host) throw new Error("SMTP is not configured");
+    const transport = mailer || createMailer(smtp);
+    await transport.sendMail({
+      from: smtp.from,
+      to: subscriber.target,
+      subject: alertTitle(alert, lang),
+      text: alertText(alert, lang),
+    });
+    return;
+  }
+
+  const fmt = FORMATTERS[subscriber.channel];
+  if (!fmt) throw new Error(`Unknown channel: ${subscriber.channel}`);
+  await postJson(subscriber.target, fmt(alert, lang));
+}
+
+/* =======================
+   Subscribers + rate limit (Firestore)
+======================= */
+const SUBSCRIBER_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validate a subscriber list from an admin request.
+ * Returns { subscribers } or { error } (error is a short message for a 400).
+ */
+function normalizeSubscribers(list) {
+  if (!Array.isArray(list)) return { error: "subscribers must be an array" };
+
+  const seen = new Set();
+  const subscribers = [];
+  for (const s of list) {
+    const id = String(s?.id || "");
+    if (!SUBSCRIBER_ID_RE.test(id)) return { error: "Invalid subscriber id" };
+    if (seen.has(id)) return { error: `Duplicate subscriber id: ${id}` };
+    seen.add(id);
+
+    const channel = String(s?.channel || "");
+    if (!CHANNELS.includes(channel)) return { error: `Unknown channel: ${channel}` };
+
+    const target = String(s?.target || "").trim();
+    if (channel === "email") {
+      if (!/^[^@\s]+@[^@\s]+$/.test(target)) return { error: `Invalid email for ${id}` };
+    } else if (!/^https?:\/\//.test(target)) {
+      return { error: `Invalid URL for ${id}` };
+    }
+
+    const minStage = s?.minStage === undefined ? 2 : Number(s.minStage);
+    if (![1, 2, 3].includes(minStage)) return { error: `minStage must be 1, 2 or 3 (${id})` };
+
+    subscribers.push({ id, channel, target, lang: s?.lang === "jp" ? "jp" : "en", minStage });
+  }
+  return { subscribers };
+}
+
+async function setSubscribers(key, subscribers) {
+  await admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(key).set({
+    subscribers,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+async function loadSubscribers(deviceIds) {
+  const db = admin.firestore();
+  const ids = [ALL_DEVICES_DOC, ...new Set(deviceIds)];
+  const snaps = await db.getAll(...ids.map((id) => db.collection(SUBSCRIPTIONS_COLLECTION).doc(id)));
+
+  const byDevice = new Map(); // deviceId|"*" -> subscribers[]
+  snaps.forEach((snap, i) => {
+    const list = snap.exists && Array.isArray(snap.data()?.subscribers) ? snap.data().subscribers : [];
+    byDevice.set(
+      ids[i],
+      list.filter((s) => s && s.id && CHANNELS.includes(s.channel) && s.target)
+    );
+  });
+  return byDevice;
+}
+
+function logDocId(eventKey, subscriberId) {
+  return `${eventKey}__${subscriberId}`.replace(/\//g, "_");
+}
+
+// Send on first sight, on escalation, or once repeatWindowMs has passed
+function shouldSend(log, stage, nowMs, repeatWindowMs) {
+  if (!log) return true;
+  if (stage > (log.lastStage || 0)) return true;
+  return nowMs - (log.lastSentMs || 0) >= repeatWindowMs;
+}
+
+/**
+ * Notify subscribers about firing alerts (evaluateGlobal candidates).
+ * Returns { sent, skipped, failed }.
+ */
+async function notifyAlerts(alerts, { nowMs = Date.now(), repeatWindowMs, smtp = null } = {}) {
+  if (!alerts.length) return { sent: 0, skipped: 0, failed: 0 };
+
+  const db = admin.firestore();
+  const byDevice = await loadSubscribers(alerts.map((a) => a.deviceId));
+  const mailer = smtp?.host ? createMailer(smtp) : null;
+
+  let sent = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const alert of alerts) {
+    const subs = [...(byDevice.get(ALL_DEVICES_DOC) || []), ...(byDevice.get(alert.deviceId) || [])];
+
+    for (const sub of subs) {
+      if ((alert.stage || 0) < (sub.minStage || 2)) continue;
+
+      const logRef = db.collection(NOTIFY_LOG_COLLECTION).doc(logDocId(alert.eventKey, sub.id));
+      const logSnap = await logRef.get();
+      if (!shouldSend(logSnap.exists ? logSnap.data() : null, alert.stage, nowMs, repeatWindowMs)) {
+        skipped += 1;
+        continue;
+      }
+
+      try {
+        await deliver(sub, alert, { smtp, mailer });
+        await logRef.set({
+          eventKey: alert.eventKey,
+          subscriberId: sub.id,
+          channel: sub.channel,
+          lastStage: alert.stage,
+          lastSentMs: nowMs,
+          lastError: null,
+        });
+        sent += 1;
+      } catch (e) {
+        // not logged as sent: retried on the next evaluation run
+        console.error("Notification failed:", sub.id, sub.channel, alert.eventKey, e.message);
+        await logRef.set({ lastError: String(e.message || e), lastErrorMs: nowMs }, { merge: true });
+        failed += 1;
+      }
+    }
+  }
+
+  return { sent, skipped, failed };
+}
+
+module.exports = {
+  ALL_DEVICES_DOC,
+  CHANNELS,
+  FORMATTERS,
+  deliver,
+  shouldSend,
+  normalizeSubscribers,
+  setSubscribers,
+  notifyAlerts,
+};
@@ -0,0 +1,107 @@
+// readings.js — shared helpers for writing public_readings/{deviceId}/data
+// (and quarantine_readings/{deviceId}/data for out-of-range samples)
+
+const admin = require("firebase-admin");
+
+const METRICS = ["Temperature", "Humidity", "Pressure", "Light"];
+
+// Batch ingest bounds (device-side timestamps)
+const MAX_BATCH_READINGS = 1000;
+const MAX_CLOCK_DRIFT_MS = 2 * 60 * 1000; // device clock vs server clock at send time
+const MAX_FUTURE_SKEW_MS = 30 * 1000; // a sample may not be newer than the device's own "now"
+const MAX_BACKLOG_AGE_MS = 7 * 24 * 60 * 60 * 1000; // older buffered samples are dropped
+const MIN_VALID_EPOCH_MS = Date.UTC(2024, 0, 1); // unsynced ESP32 clocks start near 1970
+
+const FIRESTORE_BATCH_LIMIT = 500;
+
+// Doc id "seq-<sampleMs>-<seq>" (auto ids never contain "-"). The sample time
+// is part of the key because device counters restart at 0 after a reboot or
+// reflash; a bare seq would collide with readings from before the restart.
+// Device contract: a retry resends the reading with the same seq AND the same
+// ts; seq only has to be unique among readings sharing a ts.
+const SEQ_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function readingsCol(deviceId) {
+  return admin.firestore().collection("public_readings").doc(deviceId).collection("data");
+}
+
+// Out-of-range readings are kept here for review instead of being discarded
+function quarantineCol(deviceId) {
+  return admin.firestore().collection("quarantine_readings").doc(deviceId).collection("data");
+}
+
+/** Epoch seconds, epoch ms or ISO string -> ms (null if unparseable). */
+function parseDeviceTimestamp(ts) {
+  if (typeof ts === "number" && Number.isFinite(ts)) return ts < 1e12 ? ts * 1000 : ts;
+  if (typeof ts === "string" && ts) {
+    const ms = Date.parse(ts);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return null;
+}
+
+/**
+ * Check a device-reported sample time against NTP drift bounds.
+ * deviceNowMs is the device clock at send time (already drift-checked).
+ * Returns null if ok, otherwise a reason string.
+ */
+function checkSampleTime(sampleMs, deviceNowMs, serverNowMs) {
+  if (sampleMs === null) return "invalid_timestamp";
+  if (sampleMs < MIN_VALID_EPOCH_MS) return "clock_not_synced";
+  if (sampleMs > deviceNowMs + MAX_FUTURE_SKEW_MS) return "timestamp_in_future";
+  if (serverNowMs - sampleMs > MAX_BACKLOG_AGE_MS) return "timestamp_too_old";
+  return null;
+}
+
+function seqDocId(seq, sampleMs) {
+  const s = typeof seq === "number" && Number.isInteger(seq) && seq >= 0 ? String(seq) : seq;
+  if (!Number.isInteger(sampleMs) || sampleMs < 0) return null;
+  return typeof s === "string" && SEQ_RE.test(s) ? `seq-${sampleMs}-${s}` : null;
+}
+
+/**
+ * Write prepared readings ({ docId, payload }) into col idempotently:
+ * docs that already exist (earlier retry) are skipped, the rest go in Firestore batches.
+ * Returns { written, duplicates }.
+ */
+async function writeReadingsIdempotent(col, items) {
+  const db = admin.firestore();
+
+  let written = 0;
+  let duplicates = 0;
+
+  for (let i = 0; i < items.length; i += FIRESTORE_BATCH_LIMIT) {
+    const chunk = items.slice(i, i + FIRESTORE_BATCH_LIMIT);
+    const refs = chunk.map((it) => col.doc(it.docId));
+    const snaps = await db.getAll(...refs);
+
+    const batch = db.batch();
+    let n = 0;
+    snaps.forEach((snap, idx) => {
+      if (snap.exists) {
+        duplicates += 1;
+        return;
+      }
+      // set (not create): a concurrent retry writing the same seq is harmless
+      batch.set(refs[idx], chunk[idx].payload);
+      n += 1;
+    });
+
+    if (n) await batch.commit();
+    written += n;
+  }
+
+  return { written, duplicates };
+}
+
+module.exports = {
+  METRICS,
+  MAX_BATCH_READINGS,
+  MAX_CLOCK_DRIFT_MS,
+  readingsCol,
+  quarantineCol,
+  parseDeviceTimestamp,
+  checkSampleTime,
+  seqDocId,
+  writeReadingsIdempotent,
+};
@@ -0,0 +1,287 @@
+// rollups.js — pre-aggregated readings for long dashboard ranges
+//
+// public_rollups/{deviceId}/{1m|10m|1h|1d}/{bucketMs}
+//   { bucketMs, timestamp, resolution, count,
+//     Temperature: mean, ..., stats: { Temperature: { min, max, sum, count }, ... } }
+//   Top-level metric fields hold the mean so rollup docs read like raw rows.
+//   1d buckets are JST days; the others line up with JST anyway (whole-hour offset).
+//
+// Incremental run: new raw readings are found by receivedAt (server time, so
+// buffered batch uploads with old sample times are picked up too). Every
+// touched 10-min window is recomputed from raw, then the covering 1h / 1d
+// buckets from the level below, so re-runs and duplicates are harmless.
+// Readings written before receivedAt existed need rebuildRange().
+
+const admin = require("firebase-admin");
+
+const { DEVICES_COLLECTION } = require("./devices");
+const { METRICS, readingsCol } = require("./readings");
+
+const ROLLUPS_COLLECTION = "public_rollups";
+const ROLLUP_STATE_COLLECTION = "rollup_state";
+
+const MIN_MS = 60 * 1000;
+const HOUR_MS = 60 * MIN_MS;
+const DAY_MS = 24 * HOUR_MS;
+const JST_OFFSET_MS = 9 * HOUR_MS;
+
+const RESOLUTIONS = {
+  "1m": MIN_MS,
+  "10m": 10 * MIN_MS,
+  "1h": HOUR_MS,
+  "1d": DAY_MS,
+};
+
+// serverTimestamp is assigned at commit: leave recent writes for the next run
+const SETTLE_MS = 60 * 1000;
+const NEW_READINGS_LIMIT = 5000; // per device per run; the rest is picked up next run
+const RAW_CHUNK_MS = 6 * HOUR_MS; // raw read size when recomputing a span
+const MAX_REBUILD_MS = 7 * DAY_MS; // per rebuild call (function timeout)
+
+const FIRESTORE_BATCH_LIMIT = 500;
+
+function bucketStart(ms, resolution) {
+  if (resolution === "1d") return Math.floor((ms + JST_OFFSET_MS) / DAY_MS) * DAY_MS - JST_OFFSET_MS;
+  const size = RESOLUTIONS[resolution];
+  return Math.floor(ms / size) * size;
+}
+
+function rollupCol(deviceId, resolution) {
+  return admin.firestore().collection(ROLLUPS_COLLECTION).doc(deviceId).collection(resolution);
+}
+
+function tsToMs(ts) {
+  if (!ts) return null;
+  if (ts.toMillis) return ts.toMillis();
+  if (typeof ts === "number") return ts < 1e12 ? ts * 1000 : ts;
+  const ms = new Date(ts).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/* =======================
+   Aggregation (pure)
+======================= */
+function emptyBucket() {
+  return { count: 0, stats: {} };
+}
+
+function addValue(bucket, metric, v) {
+  const s = bucket.stats[metric];
+  if (!s) bucket.stats[metric] = { min: v, max: v, sum: v, count: 1 };
+  else {
+    if (v < s.min) s.min = v;
+    if (v > s.max) s.max = v;
+    s.sum += v;
+    s.count += 1;
+  }
+}
+
+function addRawRow(bucket, row) {
+  bucket.count += 1;
+  for (const m of METRICS) {
+    if (typeof row[m] === "number" && Number.isFinite(row[m])) addValue(bucket, m, row[m]);
+  }
+}
+
+function addRollupDoc(bucket, d) {
+  bucket.count += d.count || 0;
+  for (const m of METRICS) {
+    const s = d.stats?.[m];
+    if (!s || !s.count) continue;
+    const t = bucket.stats[m];
+    if (!t) bucket.stats[m] = { ...s };
+    else {
+      t.min = Math.min(t.min, s.min);
+      t.max = Math.max(t.max, s.max);
+      t.sum += s.sum;
+      t.count += s.count;
+    }
+  }
+}
+
+function toRollupDoc(bucketMs, resolution, bucket) {
+  const doc = {
+    bucketMs,
+    timestamp: admin.firestore.Timestamp.fromMillis(bucketMs),
+    resolution,
+    count: bucket.count,
+    stats: bucket.stats,
+  };
+  for (const m of METRICS) {
+    const s = bucket.stats[m];
+    if (s && s.count) doc[m] = s.sum / s.count;
+  }
+  return doc;
+}
+
+/* =======================
+   Firestore writes
+======================= */
+async function commitSets(sets) {
+  const db = admin.firestore();
+  for (let i = 0; i < sets.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    sets.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(({ ref, data }) => batch.set(ref, data));
+    await batch.commit();
+  }
+}
+
+/**
+ * Recompute 1m + 10m buckets for [fromMs, toMs) (10-min aligned) from raw readings.
+ * Windows without any reading are left alone.
+ */
+async function rebuildFineSpan(deviceId, fromMs, toMs) {
+  for (let t = fromMs; t < toMs; t += RAW_CHUNK_MS) {
+    const end = Math.min(toMs, t + RAW_CHUNK_MS);
+    const snap = await readingsCol(deviceId)
+      .where("timestamp", ">=", admin.firestore.Timestamp.fromMillis(t))
+      .where("timestamp", "<", admin.firestore.Timestamp.fromMillis(end))
+      .orderBy("timestamp", "asc")
+      .get();
+
+    const buckets = { "1m": new Map(), "10m": new Map() };
+    snap.forEach((doc) => {
+      const row = doc.data();
+      const ms = tsToMs(row.timestamp);
+      if (ms === null) return;
+      for (const res of ["1m", "10m"]) {
+        const b = bucketStart(ms, res);
+        if (!buckets[res].has(b)) buckets[res].set(b, emptyBucket());
+        addRawRow(buckets[res].get(b), row);
+      }
+    });
+
+    const sets = [];
+    for (const res of ["1m", "10m"]) {
+      for (const [b, bucket] of buckets[res]) {
+        sets.push({ ref: rollupCol(deviceId, res).doc(String(b)), data: toRollupDoc(b, res, bucket) });
+      }
+    }
+    await commitSets(sets);
+  }
+}
+
+/** Recompute the given coarse buckets (1h from 10m, 1d from 1h). */
+async function rebuildCoarse(deviceId, resolution, bucketList) {
+  const source = resolution === "1h" ? "10m" : "1h";
+  const sets = [];
+
+  for (const b of bucketList) {
+    const end = b + RESOLUTIONS[resolution]; // JST has no DST, so a day is always 24h
+    const snap = await rollupCol(deviceId, source).where("bucketMs", ">=", b).where("bucketMs", "<", end).get();
+    if (snap.empty) continue;
+
+    const bucket = emptyBucket();
+    snap.forEach((doc) => addRollupDoc(bucket, doc.data()));
+    sets.push({ ref: rollupCol(deviceId, resolution).doc(String(b)), data: toRollupDoc(b, resolution, bucket) });
+  }
+
+  await commitSets(sets);
+}
+
+/**
+ * Recompute every level for the given 10-min windows (bucket start ms).
+ * Adjacent windows are merged so raw readings are read in few queries.
+ */
+async function rebuildWindows(deviceId, windowStarts) {
+  const sorted = Array.from(new Set(windowStarts)).sort((a, b) => a - b);
+  if (!sorted.length) return 0;
+
+  const size = RESOLUTIONS["10m"];
+  let spanFrom = sorted[0];
+  let spanTo = sorted[0] + size;
+  for (const w of sorted.slice(1)) {
+    if (w === spanTo) spanTo += size;
+    else {
+      await rebuildFineSpan(deviceId, spanFrom, spanTo);
+      spanFrom = w;
+      spanTo = w + size;
+    }
+  }
+  await rebuildFineSpan(deviceId, spanFrom, spanTo);
+
+  const hours = new Set(sorted.map((w) => bucketStart(w, "1h")));
+  await rebuildCoarse(deviceId, "1h", Array.from(hours));
+
+  const days = new Set(Array.from(hours).map((h) => bucketStart(h, "1d")));
+  await rebuildCoarse(deviceId, "1d", Array.from(days));
+
+  return sorted.length;
+}
+
+/* =======================
+   Entry points
+======================= */
+
+/** Admin rebuild for [fromMs, toMs) (e.g. data written before receivedAt existed). */
+async function rebuildRange(deviceId, fromMs, toMs) {
+  const from = bucketStart(fromMs, "10m");
+  const to = Math.min(toMs, from + MAX_REBUILD_MS);
+
+  const windows = [];
+  for (let w = from; w < to; w += RESOLUTIONS["10m"]) windows.push(w);
+  await rebuildWindows(deviceId, windows);
+  return { fromMs: from, toMs: to };
+}
+
+async function rollupDevice(deviceId, nowMs) {
+  const db = admin.firestore();
+  const stateRef = db.collection(ROLLUP_STATE_COLLECTION).doc(deviceId);
+  const stateSnap = await stateRef.get();
+  const watermarkMs = stateSnap.exists ? stateSnap.data()?.watermarkMs || 0 : 0;
+  const untilMs = nowMs - SETTLE_MS;
+  if (untilMs <= watermarkMs) return 0;
+
+  const snap = await readingsCol(deviceId)
+    .where("receivedAt", ">", admin.firestore.Timestamp.fromMillis(watermarkMs))
+    .where("receivedAt", "<=", admin.firestore.Timestamp.fromMillis(untilMs))
+    .orderBy("receivedAt", "asc")
+    .limit(NEW_READINGS_LIMIT)
+    .get();
+
+  const windows = [];
+  let lastReceivedMs = null;
+  snap.forEach((doc) => {
+    const d = doc.data();
+    const ms = tsToMs(d.timestamp);
+    if (ms !== null) windows.push(bucketStart(ms, "10m"));
+    lastReceivedMs = tsToMs(d.receivedAt);
+  });
+
+  const n = await rebuildWindows(deviceId, windows);
+
+  // hit the limit: continue after the last doc next run (docs sharing that
+  // receivedAt are re-read then, which is harmless)
+  const full = snap.size >= NEW_READINGS_LIMIT && lastReceivedMs !== null;
+  await stateRef.set({
+    watermarkMs: full ? lastReceivedMs - 1 : untilMs,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return n;
+}
+
+/** One incremental pass over every enabled device. Returns windows rebuilt per device. */
+async function runRollups(nowMs = Date.now()) {
+  const snap = await admin.firestore().collection(DEVICES_COLLECTION).get();
+  const out = {};
+
+  for (const doc of snap.docs) {
+    if (doc.data()?.enabled === false) continue;
+    try {
+      out[doc.id] = await rollupDevice(doc.id, nowMs);
+    } catch (e) {
+      // watermark not advanced: retried next run
+      console.error("Rollup failed for device", doc.id, e);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  ROLLUPS_COLLECTION,
+  RESOLUTIONS,
+  MAX_REBUILD_MS,
+  bucketStart,
+  runRollups,
+  rebuildRange,
+};
@@ -0,0 +1,133 @@
+// notify-standin.js — local stand-in for notification endpoints
+//
+//   node scripts/notify-standin.js          # HTTP on :8025, SMTP on :2525, prints what arrives
+//   node scripts/notify-standin.js --send   # same, then delivers a sample alert on every channel and exits
+//
+// Point webhook/slack/discord/googlechat subscribers at http://localhost:8025/<anything>
+// and the SMTP params at localhost:2525 (no auth, no TLS) to see real payloads.
+
+const http = require("http");
+const net = require("net");
+
+const { CHANNELS, deliver } = require("../notify");
+
+const HTTP_PORT = Number(process.env.STANDIN_HTTP_PORT || 8025);
+const SMTP_PORT = Number(process.env.STANDIN_SMTP_PORT || 2525);
+
+function startHttp(onMessage) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      onMessage({ kind: "http", path: req.url, body });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end('{"ok":true}');
+    });
+  });
+  return new Promise((resolve) => server.listen(HTTP_PORT, () => resolve(server)));
+}
+
+// Just enough SMTP for nodemailer: no AUTH, no STARTTLS
+function startSmtp(onMessage) {
+  const server = net.createServer((sock) => {
+    let buf = "";
+    let inData = false;
+    let envelope = { from: "", to: [] };
+
+    sock.write("220 notify-standin ESMTP\r\n");
+    sock.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+
+      while (buf) {
+        if (inData) {
+          const end = buf.indexOf("\r\n.\r\n");
+          if (end < 0) return;
+          onMessage({ kind: "smtp", ...envelope, data: buf.slice(0, end) });
+          buf = buf.slice(end + 5);
+          inData = false;
+          envelope = { from: "", to: [] };
+          sock.write("250 OK queued\r\n");
+          continue;
+        }
+
+        const nl = buf.indexOf("\r\n");
+        if (nl < 0) return;
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+
+        if (cmd === "EHLO" || cmd === "HELO") sock.write("250 notify-standin\r\n");
+        else if (cmd === "MAIL") {
+          envelope.from = line.slice(10).trim();
+          sock.write("250 OK\r\n");
+        } else if (cmd === "RCPT") {
+          envelope.to.push(line.slice(8).trim());
+          sock.write("250 OK\r\n");
+        } else if (cmd === "DATA") {
+          inData = true;
+          sock.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (cmd === "QUIT") {
+          sock.end("221 Bye\r\n");
+        } else sock.write("250 OK\r\n");
+      }
+    });
+    sock.on("error", () => {});
+  });
+  return new Promise((resolve) => server.listen(SMTP_PORT, () => resolve(server)));
+}
+
+const SAMPLE_ALERT = {
+  eventKey: "atom_s3_lite_01:Temperature:level",
+  deviceId: "atom_s3_lite_01",
+  deviceName: "Lab bench",
+  metric: "Temperature",
+  stage: 2,
+  level: "alert",
+  texts: {
+    en: "Temperature above max (32.0 °C) since 14:05 — now 33.4 °C",
+    jp: "温度が上限 (32.0 °C) を超えています（14:05〜）現在 33.4 °C",
+  },
+  firstSeenMs: Date.now() - 6 * 60 * 1000,
+  lastSeenMs: Date.now(),
+};
+
+async function sendSamples() {
+  const smtp = { host: "127.0.0.1", port: SMTP_PORT, secure: false, from: "alerts@localhost" };
+  let failed = 0;
+
+  for (const channel of CHANNELS) {
+    const sub = {
+      id: `standin-${channel}`,
+      channel,
+      target: channel === "email" ? "lab@localhost" : `http://127.0.0.1:${HTTP_PORT}/${channel}`,
+      lang: channel === "email" ? "jp" : "en",
+    };
+    try {
+      await deliver(sub, SAMPLE_ALERT, { smtp });
+      console.log(`sent: ${channel}`);
+    } catch (e) {
+      failed += 1;
+      console.error(`FAILED: ${channel}:`, e.message);
+    }
+  }
+  return failed;
+}
+
+async function main() {
+  const print = (m) => console.log(JSON.stringify(m, null, 2));
+  const httpServer = await startHttp(print);
+  const smtpServer = await startSmtp(print);
+  console.log(`notify stand-in: http://127.0.0.1:${HTTP_PORT}  smtp://127.0.0.1:${SMTP_PORT}`);
+
+  if (process.argv.includes("--send")) {
+    const failed = await sendSamples();
+    httpServer.close();
+    smtpServer.close();
+    process.exitCode = failed ? 1 : 0;
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
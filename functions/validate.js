@@ -0,0 +1,115 @@
+// validate.js — ingest payload schema + physical range checks
+//
+// Plausible ranges are per sensor model (devices/{id}.model). Code defaults
+// below can be overridden per model in Firestore: sensor_models/{model}.ranges
+// e.g. { Temperature: { min: -10, max: 50 } } (partial is fine).
+
+const admin = require("firebase-admin");
+
+const { METRICS } = require("./readings");
+
+const SENSOR_MODELS_COLLECTION = "sensor_models";
+
+// Indoor-plausible limits (not the sensor datasheet limits): a value outside
+// these is far more likely a glitch than a real room condition.
+const DEFAULT_MODEL = "default";
+const MODEL_RANGES = {
+  default: {
+    Temperature: { min: -20, max: 60 }, // °C
+    Humidity: { min: 0, max: 100 }, // %
+    Pressure: { min: 850, max: 1100 }, // hPa
+    Light: { min: 0, max: 100000 }, // lux
+  },
+  // M5Stack ENV III (SHT30 + QMP6988)
+  "env-iii": {
+    Temperature: { min: -20, max: 60 },
+    Humidity: { min: 0, max: 100 },
+    Pressure: { min: 850, max: 1100 },
+    Light: { min: 0, max: 65535 },
+  },
+  // M5Stack ENV IV (SHT40 + BMP280)
+  "env-iv": {
+    Temperature: { min: -20, max: 60 },
+    Humidity: { min: 0, max: 100 },
+    Pressure: { min: 850, max: 1100 },
+    Light: { min: 0, max: 65535 },
+  },
+};
+
+const RANGE_CACHE_MS = 5 * 60 * 1000;
+const rangeCache = new Map(); // model -> { ranges, loadedMs }
+
+function mergeRanges(base, override) {
+  const out = {};
+  for (const k of METRICS) {
+    const o = override?.[k] || {};
+    out[k] = {
+      min: typeof o.min === "number" ? o.min : base[k].min,
+      max: typeof o.max === "number" ? o.max : base[k].max,
+    };
+  }
+  return out;
+}
+
+/** Ranges for a sensor model: code defaults + sensor_models/{model} override (cached per instance). */
+async function getRangesForModel(model) {
+  const key = String(model || DEFAULT_MODEL).toLowerCase();
+  const cached = rangeCache.get(key);
+  if (cached && Date.now() - cached.loadedMs < RANGE_CACHE_MS) return cached.ranges;
+
+  const base = MODEL_RANGES[key] || MODEL_RANGES[DEFAULT_MODEL];
+  let ranges = base;
+
+  try {
+    const snap = await admin.firestore().collection(SENSOR_MODELS_COLLECTION).doc(key).get();
+    if (snap.exists) ranges = mergeRanges(base, snap.data()?.ranges);
+  } catch (e) {
+    console.error("Failed to load sensor model ranges:", key, e);
+  }
+
+  rangeCache.set(key, { ranges, loadedMs: Date.now() });
+  return ranges;
+}
+
+/**
+ * Validate metric fields of one reading.
+ * - absent field: fine (device may not have that sensor)
+ * - present but not a finite number: rejected (malformed payload)
+ * - number outside the model range: outOfRange (quarantined, not discarded)
+ *
+ * Returns { metrics, rejected: [{ field, reason, value }], outOfRange: [{ field, value, min, max }] }
+ */
+function validateMetrics(b, ranges) {
+  const metrics = {};
+  const rejected = [];
+  const outOfRange = [];
+
+  for (const k of METRICS) {
+    const raw = b?.[k];
+    if (raw === undefined || raw === null || raw === "") continue;
+
+    const v = typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw) : NaN;
+    if (!Number.isFinite(v)) {
+      rejected.push({ field: k, reason: "not_a_number", value: raw });
+      continue;
+    }
+
+    const r = ranges[k];
+    if (r && (v < r.min || v > r.max)) {
+      outOfRange.push({ field: k, value: v, min: r.min, max: r.max });
+    }
+    metrics[k] = v;
+  }
+
+  if (!rejected.length && !Object.keys(metrics).length) {
+    rejected.push({ field: "*", reason: "no_metrics", value: null });
+  }
+
+  return { metrics, rejected, outOfRange };
+}
+
+module.exports = {
+  MODEL_RANGES,
+  getRangesForModel,
+  validateMetrics,
+};
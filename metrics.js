@@ -0,0 +1,629 @@
+/* =========================
+   Derived comfort metrics (computed from Temperature °C + Humidity %RH)
+   - DewPoint: Magnus formula (Sonntag coefficients)
+   - HeatIndex: NOAA / Rothfusz regression (with its low-range and RH adjustments)
+   - WBGT: indoor approximation without solar load (Ono & Tonouchi),
+     as used for the Japanese 暑さ指数 estimate from temperature + humidity
+   - AbsHumidity: water vapour density in g/m³
+   - DiscomfortIndex: 不快指数 = 0.81T + 0.01H(0.99T − 14.3) + 46.3
+   Shared by the dashboard and the alert evaluator (ai.js); the functions
+   copy it into ./shared with `npm run sync-shared`.
+========================= */
+export const DERIVED_INPUTS = ["Temperature", "Humidity"];
+
+export const DERIVED_METRICS = [
+  { key: "DewPoint", label: "Dew Point", unit: "°C", digits: 1 },
+  { key: "HeatIndex", label: "Heat Index", unit: "°C", digits: 1 },
+  { key: "WBGT", label: "WBGT (approx.)", unit: "°C", digits: 1 },
+  { key: "AbsHumidity", label: "Absolute Humidity", unit: "g/m³", digits: 1 },
+  { key: "DiscomfortIndex", label: "Discomfort Index", unit: "", digits: 0 },
+];
+
+export const DERIVED_KEYS = DERIVED_METRICS.map((m) => m.key);
+
+// Saturation vapour pressure over water (hPa)
+function saturationVaporPressure(t) {
+  return 6.112 * Math.exp((17.62 * t) / (243.12 + t));
+}
+
+export function dewPoint(t, rh) {
+  if (!(rh > 0)) return null;
+  const g = Math.log(rh / 100) + (17.62 * t) / (243.12 + t);
+  return (243.12 * g) / (17.62 - g);
+}
+
+export function absoluteHumidity(t, rh) {
+  const e = (saturationVaporPressure(t) * rh) / 100; // hPa
+  return (216.7 * e) / (t + 273.15);
+}
+
+export function heatIndex(t, rh) {
+  const f = (t * 9) / 5 + 32;
+  let hi = 0.5 * (f + 61 + (f - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + f) / 2 >= 80) {
+    hi =
+      -42.379 +
+      2.04901523 * f +
+      10.14333127 * rh -
+      0.22475541 * f * rh -
+      0.00683783 * f * f -
+      0.05481717 * rh * rh +
+      0.00122874 * f * f * rh +
+      0.00085282 * f * rh * rh -
+      0.00000199 * f * f * rh * rh;
+
+    if (rh < 13 && f >= 80 && f <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17);
+    else if (rh > 85 && f >= 80 && f <= 87) hi += ((rh - 85) / 10) * ((87 - f) / 5);
+  }
+
+  return ((hi - 32) * 5) / 9;
+}
+
+export function wbgtIndoor(t, rh) {
+  return 0.725 * t + 0.0368 * rh + 0.00364 * t * rh - 3.246;
+}
+
+export function discomfortIndex(t, rh) {
+  return 0.81 * t + 0.01 * rh * (0.99 * t - 14.3) + 46.3;
+}
+
+/** { DewPoint, HeatIndex, WBGT, AbsHumidity, DiscomfortIndex } for one row, or null without T/RH. */
+export function deriveMetrics(row) {
+  const t = row?.Temperature;
+  const rh = row?.Humidity;
+  if (typeof t !== "number" || typeof rh !== "number" || !isFinite(t) || !isFinite(rh)) return null;
+
+  return {
+    DewPoint: dewPoint(t, rh),
+    HeatIndex: heatIndex(t, rh),
+    WBGT: wbgtIndoor(t, rh),
+    AbsHumidity: absoluteHumidity(t, rh),
+    DiscomfortIndex: discomfortIndex(t, rh),
+  };
+}
+
+/**
+ * Row with the derived fields added (same row back when T/RH are missing).
+ * Rollup rows are derived from their mean T/RH, so they are an approximation.
+ */
+export function withDerived(row) {
+  const d = deriveMetrics(row);
+  if (!d) return row;
+  const out = { ...row };
+  for (const [k, v] of Object.entries(d)) if (typeof v === "number" && isFinite(v)) out[k] = v;
+  return out;
+}
+
+/* =========================
+   Mold + condensation risk
+   - mold: hours with RH at or above the mold-growth limit for the current
+     temperature (Hukka & Viitanen isopleth: ~80% above 20°C, higher when
+     colder, no growth at or below 0°C)
+   - condensation: hours with the air within `condensationSpreadC` of its dew
+     point, i.e. a surface that much colder than the room (window glass, an
+     outside wall in winter) would be wet
+   Each sample counts until the next one (capped, so outages don't count).
+   Daily score 0..100: mold hours fill 60 points at `moldFullHours`,
+   condensation hours 40 points at `condensationFullHours`.
+========================= */
+export const MOLD_RISK = {
+  condensationSpreadC: 5,
+  maxSampleGapMs: 65 * 60 * 1000, // long enough for 1h rollup rows
+  moldFullHours: 6,
+  condensationFullHours: 8,
+  moderateScore: 20,
+  highScore: 50,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const JST_OFFSET_MS = 9 * HOUR_MS;
+
+function rowMs(ts) {
+  if (!ts) return null;
+  if (ts.toMillis) return ts.toMillis();
+  if (typeof ts === "number") return ts < 1e12 ? ts * 1000 : ts;
+  const ms = new Date(ts).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+export function jstDayStart(ms) {
+  return Math.floor((ms + JST_OFFSET_MS) / DAY_MS) * DAY_MS - JST_OFFSET_MS;
+}
+
+/** Lowest RH (%) at which mold can grow at temperature t (°C); null when it can't. */
+export function moldCriticalRh(t) {
+  if (!(t > 0) || t >= 50) return null;
+  if (t > 20) return 80;
+  return Math.min(100, Math.max(80, -0.00267 * t ** 3 + 0.16 * t ** 2 - 3.13 * t + 100));
+}
+
+export function moldRiskScore(moldHours, condensationHours, opts = MOLD_RISK) {
+  const mold = Math.min(1, moldHours / opts.moldFullHours) * 60;
+  const cond = Math.min(1, condensationHours / opts.condensationFullHours) * 40;
+  return Math.round(mold + cond);
+}
+
+export function moldRiskLevel(score, opts = MOLD_RISK) {
+  if (score >= opts.highScore) return "high";
+  if (score >= opts.moderateScore) return "moderate";
+  return "low";
+}
+
+/**
+ * Per JST day: [{ dayStartMs, moldHours, condensationHours, coveredHours,
+ *   minSpreadC, peakRh, peakRhTemp, score, level }] (ASC). Rows must be ASC.
+ */
+export function dailyMoldRisk(rows, opts = MOLD_RISK) {
+  const days = new Map();
+
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    const ms = rowMs(r?.timestamp);
+    const t = r?.Temperature;
+    const rh = r?.Humidity;
+    if (!ms || typeof t !== "number" || typeof rh !== "number") continue;
+
+    const nextMs = i + 1 < rows.length ? rowMs(rows[i + 1]?.timestamp) : null;
+    const prevMs = i > 0 ? rowMs(rows[i - 1]?.timestamp) : null;
+    const gap = nextMs ? nextMs - ms : prevMs ? ms - prevMs : 0;
+    const hours = Math.max(0, Math.min(gap, opts.maxSampleGapMs)) / HOUR_MS;
+
+    const key = jstDayStart(ms);
+    let d = days.get(key);
+    if (!d) {
+      d = { dayStartMs: key, moldHours: 0, condensationHours: 0, coveredHours: 0, minSpreadC: null, peakRh: null, peakRhTemp: null };
+      days.set(key, d);
+    }
+
+    d.coveredHours += hours;
+    const crit = moldCriticalRh(t);
+    if (crit !== null && rh >= crit) d.moldHours += hours;
+
+    const td = dewPoint(t, rh);
+    if (td !== null) {
+      const spread = t - td;
+      if (spread <= opts.condensationSpreadC) d.condensationHours += hours;
+      if (d.minSpreadC === null || spread < d.minSpreadC) d.minSpreadC = spread;
+    }
+    if (d.peakRh === null || rh > d.peakRh) {
+      d.peakRh = rh;
+      d.peakRhTemp = t;
+    }
+  }
+
+  return Array.from(days.values())
+    .sort((a, b) => a.dayStartMs - b.dayStartMs)
+    .map((d) => {
+      const score = moldRiskScore(d.moldHours, d.condensationHours, opts);
+      return { ...d, score, level: moldRiskLevel(score, opts) };
+    });
+}
+
+/** Summary over daily results (e.g. the last 7 days): mean score, totals, high-risk days. */
+export function weeklyMoldRisk(days, opts = MOLD_RISK) {
+  if (!days.length) return null;
+  const score = Math.round(days.reduce((a, d) => a + d.score, 0) / days.length);
+  return {
+    score,
+    level: moldRiskLevel(score, opts),
+    moldHours: days.reduce((a, d) => a + d.moldHours, 0),
+    condensationHours: days.reduce((a, d) => a + d.condensationHours, 0),
+    highDays: days.filter((d) => d.level === "high").length,
+    days: days.length,
+  };
+}
+
+/* =========================
+   Barometric tendency + Zambretti forecast
+   - tendency: change over the last 3 h, classed like the synoptic code
+     (steady < 0.1 hPa, slowly ≤ 1.5, normal ≤ 3.5, quickly ≤ 6, very rapidly)
+   - zambretti: forecast number 1..32 from sea-level pressure + tendency
+     (falling 1–9, steady 10–19, rising 20–32); texts live in ai.js TEXT
+   Indoor sensors read station pressure: pass the device altitude to reduce
+   it to sea level, otherwise the forecast leans towards "unsettled".
+========================= */
+export const PRESSURE_TREND = {
+  windowMs: 3 * HOUR_MS,
+  minCoverage: 0.8, // of the window, else no tendency
+  steadyHpa: 0.1,
+  classes: [
+    { max: 1.5, key: "slowly" },
+    { max: 3.5, key: "normal" },
+    { max: 6, key: "quickly" },
+    { max: Infinity, key: "very_rapidly" },
+  ],
+};
+
+/**
+ * Change of `key` over the last `windowMs` of ASC rows.
+ * Returns { delta, first, last, fromMs, toMs } or null without enough coverage.
+ */
+export function changeOver(rows, key, windowMs = PRESSURE_TREND.windowMs, minCoverage = PRESSURE_TREND.minCoverage) {
+  const pts = [];
+  for (const r of rows) {
+    const ms = rowMs(r?.timestamp);
+    const v = r?.[key];
+    if (ms && typeof v === "number" && isFinite(v)) pts.push({ ms, v });
+  }
+  if (pts.length < 2) return null;
+
+  const last = pts[pts.length - 1];
+  const fromMs = last.ms - windowMs;
+  const first = pts.find((p) => p.ms >= fromMs);
+  if (!first || first === last || last.ms - first.ms < windowMs * minCoverage) return null;
+
+  return { delta: last.v - first.v, first: first.v, last: last.v, fromMs: first.ms, toMs: last.ms };
+}
+
+/** { delta, direction: rising|falling|steady, magnitude: slowly|normal|quickly|very_rapidly|null, ... } or null */
+export function pressureTendency(rows, opts = PRESSURE_TREND) {
+  const c = changeOver(rows, "Pressure", opts.windowMs, opts.minCoverage);
+  if (!c) return null;
+
+  const abs = Math.abs(c.delta);
+  if (abs < opts.steadyHpa) return { ...c, direction: "steady", magnitude: null };
+  const cls = opts.classes.find((k) => abs <= k.max);
+  return { ...c, direction: c.delta > 0 ? "rising" : "falling", magnitude: cls.key };
+}
+
+/** Station pressure (hPa) -> sea level, for altitude (m) and air temperature (°C). */
+export function seaLevelPressure(p, altitudeM = 0, t = 15) {
+  if (!altitudeM) return p;
+  return p * Math.pow(1 - (0.0065 * altitudeM) / (t + 0.0065 * altitudeM + 273.15), -5.257);
+}
+
+/** Zambretti number 1..32 for sea-level pressure (hPa) and tendency direction. */
+export function zambretti(seaLevelHpa, direction) {
+  const clampRound = (z, lo, hi) => Math.min(hi, Math.max(lo, Math.round(z)));
+  if (direction === "falling") return clampRound(127 - 0.12 * seaLevelHpa, 1, 9);
+  if (direction === "rising") return clampRound(185 - 0.16 * seaLevelHpa, 20, 32);
+  return clampRound(144 - 0.13 * seaLevelHpa, 10, 19);
+}
+
+/* =========================
+   Light: daylight vs artificial + inferred occupancy
+   Artificial light switches: a jump of at least `stepLux` (and `stepRatio`)
+   between neighbouring samples starts a "lights on" run, a drop of at least
+   `offFraction` of that jump (or going dark) ends it. Light without a switch
+   counts as daylight between sunrise and sunset, as artificial at night.
+   Sessions are the "lights on" runs (short gaps merged, blips dropped);
+   sun times use `lat` / `lon` (default Tokyo, all devices are in Japan).
+========================= */
+export const LIGHT_SESSIONS = {
+  darkLux: 10,
+  stepLux: 60,
+  stepRatio: 1.5,
+  offFraction: 0.6,
+  maxStepGapMs: 2 * 60 * 1000, // a "step" across a longer gap is not a switch
+  mergeGapMs: 15 * 60 * 1000,
+  minSessionMs: 5 * 60 * 1000,
+  lat: 35.68,
+  lon: 139.77,
+};
+
+/** Sunrise / sunset (ms) for the JST day starting at dayStartMs (NOAA approximation). */
+export function sunTimes(dayStartMs, lat = LIGHT_SESSIONS.lat, lon = LIGHT_SESSIONS.lon) {
+  const rad = Math.PI / 180;
+  const noonMs = dayStartMs + 12 * HOUR_MS;
+  const n = Math.floor(noonMs / DAY_MS) - Math.floor(Date.UTC(new Date(noonMs).getUTCFullYear(), 0, 1) / DAY_MS) + 1;
+  const g = ((2 * Math.PI) / 365) * (n - 1);
+
+  const eqTime =
+    229.18 *
+    (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g) - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const decl =
+    0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g) - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g);
+
+  const cosH = Math.cos(90.833 * rad) / (Math.cos(lat * rad) * Math.cos(decl)) - Math.tan(lat * rad) * Math.tan(decl);
+  const ha = Math.acos(Math.max(-1, Math.min(1, cosH))) / rad;
+
+  // minutes after UTC midnight of the same (UTC) date as local noon
+  const utcMidnight = Math.floor(noonMs / DAY_MS) * DAY_MS;
+  const rise = 720 - 4 * (lon + ha) - eqTime;
+  const set = 720 - 4 * (lon - ha) - eqTime;
+  return { sunriseMs: utcMidnight + rise * 60000, sunsetMs: utcMidnight + set * 60000 };
+}
+
+/**
+ * Classify ASC rows and derive sessions.
+ * Returns { samples: [{ ms, lux, cls: dark|daylight|artificial }],
+ *           segments: [{ fromMs, toMs, cls }] (daylight/artificial runs),
+ *           sessions: [{ startMs, endMs }],
+ *           days: [{ dayStartMs, firstOnMs, lastOffMs, litHours, daylightHours, sessions }] }
+ */
+export function lightSessions(rows, opts = LIGHT_SESSIONS) {
+  const pts = [];
+  for (const r of rows) {
+    const ms = rowMs(r?.timestamp);
+    if (ms && typeof r?.Light === "number" && isFinite(r.Light)) pts.push({ ms, lux: r.Light });
+  }
+
+  const sunCache = new Map();
+  const isDaytime = (ms) => {
+    const day = jstDayStart(ms);
+    if (!sunCache.has(day)) sunCache.set(day, sunTimes(day, opts.lat, opts.lon));
+    const s = sunCache.get(day);
+    return ms >= s.sunriseMs && ms <= s.sunsetMs;
+  };
+
+  const samples = [];
+  let on = false;
+  let onStep = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const p = pts[i];
+    const prev = pts[i - 1];
+    const stepOk = prev && p.ms - prev.ms <= opts.maxStepGapMs;
+    const d = prev ? p.lux - prev.lux : 0;
+
+    if (p.lux < opts.darkLux) on = false;
+    else if (stepOk && d >= opts.stepLux && p.lux >= prev.lux * opts.stepRatio) {
+      on = true;
+      onStep = d;
+    } else if (on && stepOk && -d >= onStep * opts.offFraction) on = false;
+
+    const cls = p.lux < opts.darkLux ? "dark" : on || !isDaytime(p.ms) ? "artificial" : "daylight";
+    samples.push({ ms: p.ms, lux: p.lux, cls });
+  }
+
+  // runs of the same class; a run lasts until the next sample (capped)
+  const segments = [];
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i];
+    const next = samples[i + 1];
+    const toMs = next ? Math.min(next.ms, s.ms + opts.mergeGapMs) : s.ms;
+    if (s.cls === "dark") continue;
+    const last = segments[segments.length - 1];
+    if (last && last.cls === s.cls && s.ms - last.toMs <= opts.maxStepGapMs) last.toMs = toMs;
+    else segments.push({ fromMs: s.ms, toMs, cls: s.cls });
+  }
+
+  const sessions = [];
+  for (const seg of segments) {
+    if (seg.cls !== "artificial") continue;
+    const last = sessions[sessions.length - 1];
+    if (last && seg.fromMs - last.endMs <= opts.mergeGapMs) last.endMs = seg.toMs;
+    else sessions.push({ startMs: seg.fromMs, endMs: seg.toMs });
+  }
+  const kept = sessions.filter((s) => s.endMs - s.startMs >= opts.minSessionMs);
+
+  const days = new Map();
+  const dayOf = (ms) => {
+    const key = jstDayStart(ms);
+    if (!days.has(key)) {
+      days.set(key, { dayStartMs: key, firstOnMs: null, lastOffMs: null, litHours: 0, daylightHours: 0, sessions: 0 });
+    }
+    return days.get(key);
+  };
+  for (const seg of segments) {
+    if (seg.cls === "daylight") dayOf(seg.fromMs).daylightHours += (seg.toMs - seg.fromMs) / HOUR_MS;
+  }
+  for (const s of kept) {
+    const d = dayOf(s.startMs);
+    d.sessions += 1;
+    d.litHours += (s.endMs - s.startMs) / HOUR_MS;
+    if (d.firstOnMs === null || s.startMs < d.firstOnMs) d.firstOnMs = s.startMs;
+    if (d.lastOffMs === null || s.endMs > d.lastOffMs) d.lastOffMs = s.endMs;
+  }
+
+  return {
+    samples,
+    segments,
+    sessions: kept,
+    days: Array.from(days.values()).sort((a, b) => a.dayStartMs - b.dayStartMs),
+  };
+}
+
+/* =========================
+   Learned baselines (seasonal median / MAD)
+   Per metric, 10-min rollups of the last `windowDays` are bucketed by JST
+   hour of day, split into weekdays and weekends. Each bucket keeps the median
+   and MAD, so a reading is scored against what is normal for that hour:
+   z = (v - median) / (1.4826 * MAD), with a per-metric floor on the scale so
+   a very steady room doesn't turn sensor noise into anomalies. Buckets with
+   too few samples fall back to the hour (any day), then to the whole window.
+========================= */
+export const BASELINE = {
+  windowDays: 28,
+  minBucketSamples: 12,
+  runGapMs: 15 * 60 * 1000, // anomalous points closer than this are one run
+  scaleFloor: {
+    Temperature: 0.3,
+    Humidity: 2,
+    Pressure: 1,
+    Light: 20,
+    DewPoint: 0.3,
+    HeatIndex: 0.3,
+    WBGT: 0.3,
+    AbsHumidity: 0.3,
+    DiscomfortIndex: 0.5,
+  },
+};
+
+function median(sorted) {
+  const n = sorted.length;
+  if (!n) return null;
+  return n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+}
+
+function robustStats(values) {
+  if (!values.length) return null;
+  const s = values.slice().sort((a, b) => a - b);
+  const med = median(s);
+  const mad = median(s.map((v) => Math.abs(v - med)).sort((a, b) => a - b));
+  return { median: med, mad, n: values.length };
+}
+
+function jstHour(ms) {
+  return Math.floor(((ms + JST_OFFSET_MS) % DAY_MS) / HOUR_MS);
+}
+
+function isJstWeekend(ms) {
+  const dow = new Date(ms + JST_OFFSET_MS).getUTCDay();
+  return dow === 0 || dow === 6;
+}
+
+/**
+ * Learn one metric's profile from ASC rows (normally 10-min rollups).
+ * Returns a plain object (stored as-is in Firestore) or null without data.
+ */
+export function learnBaseline(rows, key) {
+  const all = [];
+  const hours = Array.from({ length: 24 }, () => []);
+  const dayHours = { weekday: Array.from({ length: 24 }, () => []), weekend: Array.from({ length: 24 }, () => []) };
+  let fromMs = null;
+  let toMs = null;
+
+  for (const r of rows) {
+    const ms = rowMs(r?.timestamp) ?? r?.bucketMs;
+    const v = r?.[key];
+    if (!ms || typeof v !== "number" || !isFinite(v)) continue;
+    const h = jstHour(ms);
+    all.push(v);
+    hours[h].push(v);
+    dayHours[isJstWeekend(ms) ? "weekend" : "weekday"][h].push(v);
+    if (fromMs === null || ms < fromMs) fromMs = ms;
+    if (toMs === null || ms > toMs) toMs = ms;
+  }
+  if (!all.length) return null;
+
+  return {
+    fromMs,
+    toMs,
+    overall: robustStats(all),
+    hours: hours.map(robustStats),
+    weekday: dayHours.weekday.map(robustStats),
+    weekend: dayHours.weekend.map(robustStats),
+  };
+}
+
+/** Expected { median, mad, n, source: "weekday"|"weekend"|"hour"|"overall" } at ms. */
+export function baselineAt(baseline, ms, opts = BASELINE) {
+  if (!baseline) return null;
+  const h = jstHour(ms);
+  const dayType = isJstWeekend(ms) ? "weekend" : "weekday";
+  const byDay = baseline[dayType]?.[h];
+  if (byDay && byDay.n >= opts.minBucketSamples) return { ...byDay, source: dayType };
+  const byHour = baseline.hours?.[h];
+  if (byHour && byHour.n >= opts.minBucketSamples) return { ...byHour, source: "hour" };
+  return baseline.overall ? { ...baseline.overall, source: "overall" } : null;
+}
+
+/** Robust z-score of v at ms against the learned profile (null without a baseline). */
+export function baselineZ(baseline, key, ms, v, opts = BASELINE) {
+  const e = baselineAt(baseline, ms, opts);
+  if (!e || typeof v !== "number") return null;
+  const scale = Math.max(1.4826 * e.mad, opts.scaleFloor[key] ?? 0);
+  if (!(scale > 0)) return null;
+  return { z: (v - e.median) / scale, expected: e.median, source: e.source };
+}
+
+/**
+ * Runs of points with |z| >= zMin; one entry per run, at its largest |z|:
+ * [{ fromMs, toMs, ms, v, z, expected }]
+ */
+export function baselineAnomalies(rows, baseline, key, zMin, opts = BASELINE) {
+  const runs = [];
+  if (!baseline || !(zMin > 0)) return runs;
+
+  let cur = null;
+  for (const r of rows) {
+    const ms = rowMs(r?.timestamp);
+    const v = r?.[key];
+    if (!ms || typeof v !== "number" || !isFinite(v)) continue;
+    const s = baselineZ(baseline, key, ms, v, opts);
+    if (!s || Math.abs(s.z) < zMin) continue;
+
+    if (cur && ms - cur.toMs <= opts.runGapMs) {
+      cur.toMs = ms;
+      if (Math.abs(s.z) > Math.abs(cur.z)) Object.assign(cur, { ms, v, z: s.z, expected: s.expected });
+    } else {
+      cur = { fromMs: ms, toMs: ms, ms, v, z: s.z, expected: s.expected };
+      runs.push(cur);
+    }
+  }
+  return runs;
+}
+
+/* =========================
+   Data gaps and uptime
+   Rows are expected every `expectedMs`: the device's sample interval for raw
+   readings, the bucket size for rollups (never less than the sample interval).
+   A gap is a stretch of more than `gapFactor` expected intervals (and at
+   least `minGapMs`) without a row; the window start and end count, so a
+   device that was off at midnight shows a gap from the start of the day.
+   A row covers [timestamp, timestamp + expectedMs), the gap is what's left.
+   Uptime per JST day = share of the day's window not missing: gaps, plus for
+   rollup rows the part of the bucket their sample count doesn't fill.
+========================= */
+export const DATA_GAPS = {
+  gapFactor: 3,
+  minGapMs: 60 * 1000,
+};
+
+export const ROLLUP_BUCKET_MS = { "1m": 60 * 1000, "10m": 10 * 60 * 1000, "1h": HOUR_MS, "1d": DAY_MS };
+
+export function expectedIntervalMs(resolution, sampleMs) {
+  return Math.max(sampleMs, ROLLUP_BUCKET_MS[resolution] || 0);
+}
+
+/** Longest spacing between rows that is not a gap (also the charts' spanGaps). */
+export function gapThresholdMs(expectedMs, opts = DATA_GAPS) {
+  return Math.max(opts.minGapMs, opts.gapFactor * expectedMs);
+}
+
+/** Gaps in ASC rows within [fromMs, toMs): [{ fromMs, toMs }] */
+export function findGaps(rows, expectedMs, fromMs, toMs, opts = DATA_GAPS) {
+  const limit = gapThresholdMs(expectedMs, opts);
+  const gaps = [];
+  let prev = null;
+
+  for (const r of rows) {
+    const ms = rowMs(r?.timestamp);
+    if (!ms || ms < fromMs || ms >= toMs) continue;
+    if (prev === null) {
+      if (ms - fromMs > limit) gaps.push({ fromMs, toMs: ms });
+    } else if (ms - prev > limit) gaps.push({ fromMs: prev + expectedMs, toMs: ms });
+    prev = ms;
+  }
+
+  if (prev === null) {
+    if (toMs - fromMs > limit) gaps.push({ fromMs, toMs });
+  } else if (toMs - prev > limit) gaps.push({ fromMs: prev + expectedMs, toMs });
+  return gaps;
+}
+
+/**
+ * Uptime per JST day of [fromMs, toMs) from findGaps() output; bucketMs > 0
+ * for rollup rows (their `count` fills the bucket at sampleMs per sample).
+ * Returns [{ dayStartMs, elapsedMs, missingMs, uptime (0..1) }]
+ */
+export function dailyUptime(rows, gaps, { sampleMs, bucketMs = 0 }, fromMs, toMs) {
+  const days = new Map();
+  for (let d = jstDayStart(fromMs); d < toMs; d += DAY_MS) {
+    const elapsedMs = Math.min(toMs, d + DAY_MS) - Math.max(fromMs, d);
+    if (elapsedMs > 0) days.set(d, { dayStartMs: d, elapsedMs, missingMs: 0, uptime: 1 });
+  }
+
+  const addMissing = (a, b, share = 1) => {
+    for (let d = jstDayStart(a); d < b; d += DAY_MS) {
+      const day = days.get(d);
+      const overlap = Math.min(b, d + DAY_MS, toMs) - Math.max(a, d, fromMs);
+      if (day && overlap > 0) day.missingMs += overlap * share;
+    }
+  };
+
+  for (const g of gaps) addMissing(g.fromMs, g.toMs);
+  if (bucketMs > 0) {
+    for (const r of rows) {
+      const ms = rowMs(r?.timestamp);
+      if (!ms) continue;
+      const fill = Math.min(1, ((r.count || 0) * sampleMs) / bucketMs);
+      if (fill < 1) addMissing(ms, ms + bucketMs, 1 - fill);
+    }
+  }
+
+  for (const day of days.values()) day.uptime = Math.max(0, 1 - day.missingMs / day.elapsedMs);
+  return Array.from(days.values());
+}